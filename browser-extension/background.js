@@ -1,28 +1,744 @@
 /**
  * Background service worker for the Chrome Extension
+ *
+ * Holds one WebSocket per VSCode instance for all tabs. Content scripts connect with
+ * chrome.runtime.connect, get the connected workspaces pushed to them and send their
+ * messages through here; replies to a tab's requests are routed back to that tab.
+ * Prompts written while VSCode was away wait in the outbox until a matching workspace connects.
  */
 
 // Store connection status
 let connectionStatus = 'disconnected';
 let hostStatuses = {}; // Track status per host
 
+// Longest side of a component screenshot, in image pixels
+const MAX_SCREENSHOT_SIZE = 1600;
+
+// Same as DEFAULT_PORTS in src/lib/settings.ts; the options page can change them
+const DEFAULT_PORTS = [9765, 9766, 9767, 9768, 9769];
+const BRIDGE_PORT_NAME = 'vscode-bridge';
+const POLL_INTERVAL = 5000;
+const BLOCKED_PORT_RETRY_DELAY = 60000;
+// The worker is stopped after 30 s without events; socket traffic counts, so ping while tabs are connected
+const KEEPALIVE_INTERVAL = 20000;
+
+// Protocol negotiation with the VSCode extension (see src/protocol.ts)
+const PROTOCOL_VERSION = 2;
+const SUPPORTED_SERVER_MESSAGES = [
+  'status',
+  'paired',
+  'received',
+  'dispatched',
+  'success',
+  'error',
+  'pong',
+  'templates',
+  'availability',
+  'output',
+];
+// Servers that don't report capabilities predate protocol v2. Infinity doesn't survive runtime messaging.
+const LEGACY_SERVER_CAPABILITIES = {
+  targets: ['copilot', 'claude'],
+  streamingTargets: [],
+  messageTypes: ['prompt', 'ping', 'element-context'],
+  maxPayloadSize: Number.MAX_SAFE_INTEGER,
+  maxElements: 1,
+  screenshots: false,
+};
+
+const connections = new Map(); // port -> { ws, workspace, isConnected, paired, authError, protocolVersion, capabilities, templates, availability }
+const blockedPorts = new Map(); // port -> { reason, until } for servers that rejected our origin
+let ports = DEFAULT_PORTS;
+let messageCounter = 0;
+
+const tabs = new Set(); // Runtime ports of the content scripts
+const requestTabs = new Map(); // requestId -> runtime port of the tab that sent it
+const lastSenders = new Map(); // VSCode port -> runtime port of the tab that last sent to it
+const authRequests = new Set(); // requestIds of `auth` messages sent with a stored token
+const pendingPairings = new Map(); // requestId -> sendResponse callback from the popup
+const sourceLookups = new Map(); // requestId -> pending `locate-source` request
+const LOCATE_TIMEOUT = 2000; // ms to wait for each workspace to say which files it has
+
+const MAX_QUEUED_PROMPTS = 20;
+const outboxDeliveries = new Map(); // requestId -> { id, port, received } of a queued prompt being sent
+let lastOutboxChange = Promise.resolve();
+let lastOutboxDelivery = Promise.resolve();
+
 // Listen for messages from content scripts
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.type === 'getStatus') {
     sendResponse({ status: connectionStatus });
-  } else if (request.type === 'updateStatus') {
-    connectionStatus = request.status;
-    // Update badge to show connection status
-    updateBadge(connectionStatus);
+  } else if (request.type === 'getConnectionState') {
+    sendResponse({ workspaces: getConnectedWorkspaces(), rejected: getRejectedPorts() });
+  } else if (request.type === 'pairWorkspace') {
+    pairWorkspace(request.port, request.code, sendResponse);
+  } else if (request.type === 'queuePrompt') {
+    queuePrompt(request.prompt)
+      .then(() => {
+        sendResponse({ success: true });
+        deliverOutbox();
+      })
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+  } else if (request.type === 'editQueuedPrompt') {
+    editQueuedPrompt(request.id, request.prompt).then(() => {
+      sendResponse({ success: true });
+      deliverOutbox();
+    });
+  } else if (request.type === 'discardQueuedPrompt') {
+    discardQueuedPrompt(request.id).then(() => sendResponse({ success: true }));
   } else if (request.type === 'hostStatus' && sender.tab) {
     // Store status for specific host
     const url = new URL(sender.tab.url);
     hostStatuses[url.hostname] = request.enabled;
     updateBadgeForTab(sender.tab.id, request.enabled);
+  } else if (request.type === 'captureScreenshot' && sender.tab) {
+    captureScreenshot(sender.tab.windowId, request.rect, request.viewportWidth)
+      .then((dataUrl) => sendResponse({ dataUrl }))
+      .catch((error) => sendResponse({ error: error.message }));
   }
   return true;
 });
 
+// ============================================
+// Tabs
+// ============================================
+chrome.runtime.onConnect.addListener((tab) => {
+  if (tab.name !== BRIDGE_PORT_NAME) return;
+
+  tabs.add(tab);
+  tab.onMessage.addListener((request) => {
+    if (request.type !== 'send') return;
+
+    if (request.message.requestId) requestTabs.set(request.message.requestId, tab);
+    lastSenders.set(request.port, tab);
+
+    if (!send(request.port, request.message)) {
+      postToTab(tab, {
+        type: 'server-message',
+        port: request.port,
+        message: { type: 'error', requestId: request.message.requestId, message: 'Workspace is not connected' },
+      });
+    }
+  });
+  tab.onDisconnect.addListener(() => {
+    tabs.delete(tab);
+    requestTabs.forEach((owner, id) => {
+      if (owner === tab) requestTabs.delete(id);
+    });
+    lastSenders.forEach((owner, port) => {
+      if (owner === tab) lastSenders.delete(port);
+    });
+  });
+
+  postToTab(tab, { type: 'workspaces', workspaces: getConnectedWorkspaces() });
+  connectToAllPorts();
+});
+
+function postToTab(tab, message) {
+  try {
+    tab.postMessage(message);
+  } catch (error) {
+    // The tab navigated away or closed
+  }
+}
+
+// Push the workspaces to every tab and the popup, and show them on the badge
+function notifyStateChange() {
+  const workspaces = getConnectedWorkspaces();
+  const rejected = getRejectedPorts();
+
+  tabs.forEach((tab) => postToTab(tab, { type: 'workspaces', workspaces }));
+  chrome.runtime.sendMessage({ type: 'connectionState', workspaces, rejected }).catch(() => {
+    // No popup open
+  });
+
+  connectionStatus = workspaces.length > 0 ? 'connected' : rejected.length > 0 ? 'error' : 'disconnected';
+  updateBadge(connectionStatus);
+  deliverOutbox();
+}
+
+// ============================================
+// WebSocket Connection
+// ============================================
+function connectToAllPorts() {
+  ports.forEach((port) => connectToPort(port));
+}
+
+function connectToPort(port) {
+  if (connections.has(port)) return;
+
+  const blocked = blockedPorts.get(port);
+  if (blocked && blocked.until > Date.now()) return;
+
+  try {
+    const ws = new WebSocket(`ws://localhost:${port}`);
+    const conn = {
+      ws,
+      workspace: null,
+      isConnected: false,
+      paired: false,
+      authError: null,
+      protocolVersion: null,
+      capabilities: null,
+      templates: [],
+      availability: null,
+    };
+    connections.set(port, conn);
+
+    ws.onopen = () => {
+      console.log(`[React Grab Bridge] Connected to VSCode on port ${port}`);
+      conn.isConnected = true;
+      notifyStateChange();
+    };
+
+    ws.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch {
+        return; // Not from React Grab: any server on a polled port can send frames
+      }
+      handleServerMessage(port, message);
+    };
+
+    ws.onclose = () => {
+      // Also reached when nothing listens on the port
+      if (connections.get(port) !== conn) return;
+      connections.delete(port);
+      releaseOutboxDeliveries(port);
+      if (conn.isConnected) {
+        console.log(`[React Grab Bridge] Disconnected from port ${port}`);
+        notifyStateChange();
+      }
+    };
+  } catch (error) {
+    // Silent fail
+  }
+}
+
+function getConnectedWorkspaces() {
+  const workspaces = [];
+  connections.forEach((conn, port) => {
+    if (conn.isConnected && conn.ws.readyState === WebSocket.OPEN) {
+      workspaces.push({
+        port,
+        name: conn.workspace?.name || `VSCode (port ${port})`,
+        path: conn.workspace?.path || '',
+        paired: conn.paired,
+        authError: conn.authError,
+        capabilities: conn.capabilities || LEGACY_SERVER_CAPABILITIES,
+        templates: conn.templates,
+        availability: conn.availability,
+      });
+    }
+  });
+  return workspaces;
+}
+
+function getRejectedPorts() {
+  const rejected = [];
+  blockedPorts.forEach((blocked, port) => {
+    if (blocked.until > Date.now()) rejected.push({ port, reason: blocked.reason });
+  });
+  return rejected;
+}
+
+function createRequestId() {
+  return `bg-${Date.now().toString(36)}-${(++messageCounter).toString(36)}`;
+}
+
+// Content scripts check capabilities and payload size before sending, so they can tell the user
+function send(port, message) {
+  const conn = connections.get(port);
+  if (!conn?.isConnected || conn.ws.readyState !== WebSocket.OPEN) return false;
+
+  conn.ws.send(JSON.stringify({ ...message, timestamp: message.timestamp ?? Date.now() }));
+  return true;
+}
+
+function handleServerMessage(port, message) {
+  const conn = connections.get(port);
+  if (!conn) return;
+
+  switch (message.type) {
+    case 'status':
+      if (message.workspace) {
+        conn.workspace = message.workspace;
+        conn.protocolVersion = message.protocolVersion || 1;
+        conn.capabilities = message.capabilities || LEGACY_SERVER_CAPABILITIES;
+        // Servers that predate pairing don't report it and accept everything
+        conn.paired = message.paired === true || message.pairingRequired === undefined;
+        console.log(
+          `[React Grab Bridge] Workspace "${message.workspace.name}" connected on port ${port} (protocol v${conn.protocolVersion})`
+        );
+        if (conn.capabilities.messageTypes.includes('hello')) {
+          send(port, {
+            type: 'hello',
+            requestId: createRequestId(),
+            protocolVersion: PROTOCOL_VERSION,
+            capabilities: { messageTypes: SUPPORTED_SERVER_MESSAGES },
+          });
+        }
+        if (!conn.paired) {
+          authenticate(port);
+        }
+        notifyStateChange();
+      }
+      break;
+    case 'paired':
+      handlePairedMessage(port, message);
+      break;
+    case 'templates':
+      conn.templates = message.templates || [];
+      notifyStateChange();
+      break;
+    case 'availability':
+      conn.availability = message.availability || null;
+      notifyStateChange();
+      break;
+    case 'pong':
+      break;
+    case 'error':
+      if (handleAuthError(port, message) || handleOutboxReply(message) || handleLocateReply(message)) {
+        break;
+      }
+      routeToTab(port, message);
+      break;
+    default:
+      if (!handleOutboxReply(message) && !handleLocateReply(message)) routeToTab(port, message);
+  }
+}
+
+// Replies go to the tab that sent the request; servers that predate request IDs reply to whoever sent last
+function routeToTab(port, message) {
+  const tab = (message.requestId && requestTabs.get(message.requestId)) || lastSenders.get(port);
+  if (!tab) return;
+
+  if (message.requestId && (message.type === 'success' || message.type === 'error')) {
+    requestTabs.delete(message.requestId);
+  }
+  postToTab(tab, { type: 'server-message', port, message });
+}
+
+// ============================================
+// Pairing
+// ============================================
+function getWorkspaceKey(workspace) {
+  return workspace.path || workspace.name;
+}
+
+async function getPairingToken(workspace) {
+  try {
+    const { pairingTokens = {} } = await chrome.storage.local.get(['pairingTokens']);
+    return pairingTokens[getWorkspaceKey(workspace)] || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function setPairingToken(workspace, token) {
+  const { pairingTokens = {} } = await chrome.storage.local.get(['pairingTokens']);
+  if (token) {
+    pairingTokens[getWorkspaceKey(workspace)] = token;
+  } else {
+    delete pairingTokens[getWorkspaceKey(workspace)];
+  }
+  await chrome.storage.local.set({ pairingTokens });
+}
+
+async function authenticate(port) {
+  const conn = connections.get(port);
+  if (!conn?.workspace) return;
+
+  const token = await getPairingToken(conn.workspace);
+  if (!token) {
+    conn.authError = 'Not paired. Enter the pairing code shown by VSCode.';
+    notifyStateChange();
+    return;
+  }
+
+  const id = createRequestId();
+  authRequests.add(id);
+  send(port, { type: 'auth', requestId: id, token });
+}
+
+function handlePairedMessage(port, message) {
+  const conn = connections.get(port);
+  if (conn) {
+    conn.paired = true;
+    conn.authError = null;
+    if (message.token && conn.workspace) {
+      setPairingToken(conn.workspace, message.token);
+    }
+    notifyStateChange();
+  }
+
+  authRequests.delete(message.requestId);
+
+  const respond = pendingPairings.get(message.requestId);
+  if (respond) {
+    pendingPairings.delete(message.requestId);
+    respond({ success: true });
+  }
+}
+
+// Returns true if the error was a pairing/auth failure that has been handled
+function handleAuthError(port, message) {
+  const conn = connections.get(port);
+
+  switch (message.code) {
+    case 'origin-not-allowed':
+      blockedPorts.set(port, {
+        reason: message.message,
+        until: Date.now() + BLOCKED_PORT_RETRY_DELAY,
+      });
+      console.warn(`[React Grab Bridge] ${message.message}`);
+      notifyStateChange();
+      return true;
+
+    case 'invalid-pairing-code': {
+      const respond = pendingPairings.get(message.requestId);
+      if (respond) {
+        pendingPairings.delete(message.requestId);
+        respond({ success: false, error: message.message });
+      }
+      return true;
+    }
+
+    case 'unauthorized':
+      if (conn) {
+        conn.paired = false;
+        conn.authError = message.message;
+        notifyStateChange();
+      }
+      // A stored token was rejected (e.g. pairings were revoked), forget it
+      if (authRequests.delete(message.requestId)) {
+        if (conn?.workspace) setPairingToken(conn.workspace, null);
+        return true;
+      }
+      return false;
+  }
+
+  return false;
+}
+
+// Pair with a workspace using the code shown by "React Grab: Pair Browser Extension"
+function pairWorkspace(port, code, sendResponse) {
+  const id = createRequestId();
+  pendingPairings.set(id, sendResponse);
+
+  if (!send(port, { type: 'pair', requestId: id, code })) {
+    pendingPairings.delete(id);
+    sendResponse({ success: false, error: 'Workspace is not connected' });
+  }
+}
+
+// ============================================
+// Outbox
+// ============================================
+// Prompts written while VSCode was not connected, kept in chrome.storage.local under `outbox`
+// (see QueuedPrompt in src/content/types.ts). The popup lists them and can edit or discard each one.
+
+// One read-modify-write at a time, so concurrent changes don't overwrite each other
+function updateOutbox(change) {
+  const result = lastOutboxChange.then(async () => {
+    const { outbox = [] } = await chrome.storage.local.get(['outbox']);
+    const value = change(outbox);
+    await chrome.storage.local.set({ outbox });
+    return value;
+  });
+  lastOutboxChange = result.catch(() => {});
+  return result;
+}
+
+function queuePrompt(prompt) {
+  return updateOutbox((outbox) => {
+    if (outbox.length >= MAX_QUEUED_PROMPTS) {
+      throw new Error(`${MAX_QUEUED_PROMPTS} prompts are already waiting for VSCode`);
+    }
+
+    const queued = {
+      ...prompt,
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      createdAt: Date.now(),
+      error: null,
+    };
+    outbox.push(queued);
+    return queued;
+  });
+}
+
+// Editing also lets a prompt whose delivery failed be sent again
+function editQueuedPrompt(id, text) {
+  return updateOutbox((outbox) => {
+    const queued = outbox.find((item) => item.id === id);
+    if (queued) {
+      queued.message.prompt = text;
+      queued.error = null;
+    }
+  });
+}
+
+function discardQueuedPrompt(id) {
+  return updateOutbox((outbox) => {
+    const index = outbox.findIndex((item) => item.id === id);
+    if (index !== -1) outbox.splice(index, 1);
+  });
+}
+
+function setQueuedPromptError(id, error) {
+  return updateOutbox((outbox) => {
+    const queued = outbox.find((item) => item.id === id);
+    if (queued) queued.error = error;
+  });
+}
+
+// Send every queued prompt that one of the connected workspaces can take. One run at a time:
+// VSCode sends several state messages back to back after auth, and runs overlapping across
+// the storage reads would each send the same prompts.
+function deliverOutbox() {
+  const result = lastOutboxDelivery.then(sendQueuedPrompts);
+  lastOutboxDelivery = result.catch(() => {});
+  return result;
+}
+
+async function sendQueuedPrompts() {
+  const ready = getConnectedWorkspaces().filter(
+    (ws) => ws.paired && ws.capabilities.messageTypes.includes('prompt')
+  );
+  if (ready.length === 0) return;
+
+  const { outbox = [] } = await chrome.storage.local.get(['outbox']);
+  const sending = new Set([...outboxDeliveries.values()].map((delivery) => delivery.id));
+  const { workspaceRules = {} } = await chrome.storage.sync.get(['workspaceRules']);
+  const pending = outbox.filter((queued) => !queued.error && !sending.has(queued.id));
+  const located = await locateFiles(
+    ready,
+    pending.filter((queued) => !queued.workspace).map((queued) => queued.filePath)
+  );
+
+  for (const queued of pending) {
+    const workspace = findWorkspaceForQueuedPrompt(queued, ready, workspaceRules, located);
+    if (!workspace) continue;
+
+    const { capabilities } = workspace;
+    const elements = Array.isArray(queued.message.elements) ? queued.message.elements.length : 1;
+    if (!capabilities.targets.includes(queued.message.target)) {
+      setQueuedPromptError(queued.id, `${workspace.name} cannot send to ${queued.message.target}`);
+      continue;
+    }
+    const unavailableReason = getUnavailableTargetReason(workspace, queued.message.target);
+    if (unavailableReason) {
+      setQueuedPromptError(queued.id, `${workspace.name}: ${unavailableReason}`);
+      continue;
+    }
+    if (elements > (capabilities.maxElements ?? 1)) {
+      setQueuedPromptError(
+        queued.id,
+        `${workspace.name} takes at most ${capabilities.maxElements ?? 1} component(s) per prompt`
+      );
+      continue;
+    }
+
+    const requestId = `outbox-${queued.id}-${Date.now().toString(36)}`;
+    const message = { ...queued.message, requestId };
+    if (JSON.stringify(message).length > capabilities.maxPayloadSize) {
+      setQueuedPromptError(queued.id, 'Context is too large to send to VSCode');
+      continue;
+    }
+
+    if (send(workspace.port, message)) {
+      outboxDeliveries.set(requestId, { id: queued.id, port: workspace.port, received: false });
+    }
+  }
+}
+
+// The workspace picked in the dialog, or else the one whose folder has the component's file,
+// the one the page's host is mapped to on the options page, or the only one (see src/lib/workspaces.ts)
+function findWorkspaceForQueuedPrompt(queued, workspaces, workspaceRules, located) {
+  if (queued.workspace) {
+    const { name, path } = queued.workspace;
+    return workspaces.find((ws) => (path ? ws.path === path : ws.name === name)) || null;
+  }
+
+  const owner = findPathOwner(workspaces, queued.filePath);
+  if (owner) return owner;
+  // A relative name belongs to a workspace only if no other one has the same file
+  const having = workspaces.filter((ws) => located[queued.filePath]?.includes(ws.port));
+  if (having.length === 1) return having[0];
+
+  let host = '';
+  try {
+    host = new URL(queued.pageUrl).host;
+  } catch (error) {
+    // Prompts queued without a page URL are only routed by file
+  }
+  const ruleName = (workspaceRules[host] || '').toLowerCase();
+  const ruled = ruleName && workspaces.find((ws) => ws.name.toLowerCase() === ruleName);
+  if (ruled) return ruled;
+
+  return workspaces.length === 1 ? workspaces[0] : null;
+}
+
+// The workspace whose folder contains the file, the deepest one if folders are nested
+function findPathOwner(workspaces, fileName) {
+  const normalized = (fileName || '').replace(/\\/g, '/');
+  const owners = workspaces
+    .filter(
+      (ws) => ws.path && normalized.startsWith(`${ws.path.replace(/\\/g, '/').replace(/\/$/, '')}/`)
+    )
+    .sort((a, b) => b.path.length - a.path.length);
+  return owners[0] || null;
+}
+
+// Ask the workspaces which of the files they have, for the names no workspace path contains
+// (relative ones like `src/App.tsx`). Resolves to { [fileName]: ports of the workspaces that
+// have it }; workspaces that don't reply in time (or predate `locate-source`) don't have them.
+async function locateFiles(workspaces, fileNames) {
+  if (workspaces.length < 2) return {};
+
+  const unmatched = [...new Set(fileNames)].filter(
+    (fileName) => fileName && !findPathOwner(workspaces, fileName)
+  );
+  const askable = workspaces.filter((ws) => ws.capabilities.messageTypes.includes('locate-source'));
+  if (unmatched.length === 0 || askable.length === 0) return {};
+
+  const located = {};
+  const ask = (workspace) =>
+    new Promise((resolve) => {
+      const requestId = createRequestId();
+      const finish = (found) => {
+        clearTimeout(timer);
+        sourceLookups.delete(requestId);
+        found.forEach((fileName) => (located[fileName] ||= []).push(workspace.port));
+        resolve();
+      };
+      const timer = setTimeout(() => finish([]), LOCATE_TIMEOUT);
+
+      sourceLookups.set(requestId, finish);
+      if (!send(workspace.port, { type: 'locate-source', requestId, fileNames: unmatched })) {
+        finish([]);
+      }
+    });
+
+  await Promise.all(askable.map(ask));
+  return located;
+}
+
+// Returns false for replies to anything but a `locate-source` request
+function handleLocateReply(message) {
+  const finish = sourceLookups.get(message.requestId);
+  if (!finish) return false;
+
+  finish(message.type === 'success' ? message.found || [] : []);
+  return true;
+}
+
+// Why a workspace can't take prompts for a target, as it reported in its `availability` message
+// (see src/lib/targets.ts), or null if it can. Workspaces that never report it can take any target.
+function getUnavailableTargetReason(workspace, target) {
+  const { availability } = workspace;
+  if (!availability) return null;
+
+  if (target === 'copilot' && !availability.copilot.installed) {
+    return 'Install GitHub Copilot Chat in VSCode to send prompts to Copilot';
+  }
+  return null;
+}
+
+// Returns false for replies to anything but a prompt sent from the outbox
+function handleOutboxReply(message) {
+  const delivery = outboxDeliveries.get(message.requestId);
+  if (!delivery) return false;
+
+  // The prompt stays queued until VSCode says it reached the AI, so a failure after `received`
+  // is still shown in the popup (the tab that wrote it may be long gone)
+  if (message.type === 'received') {
+    delivery.received = true;
+  } else if (message.type === 'success') {
+    discardQueuedPrompt(delivery.id);
+  } else if (message.type === 'error') {
+    setQueuedPromptError(delivery.id, message.reason || message.message || 'VSCode could not handle the prompt');
+  }
+
+  if (message.type === 'success' || message.type === 'error') {
+    outboxDeliveries.delete(message.requestId);
+  }
+  return true;
+}
+
+// Deliveries to a workspace that disconnected are sent again, unless it had acknowledged them:
+// those may already have reached the AI, so they wait for the user to retry them
+function releaseOutboxDeliveries(port) {
+  outboxDeliveries.forEach((delivery, requestId) => {
+    if (delivery.port !== port) return;
+    if (delivery.received) {
+      setQueuedPromptError(delivery.id, 'VSCode disconnected before reporting whether it was sent');
+    }
+    outboxDeliveries.delete(requestId);
+  });
+}
+
+// ============================================
+// Polling
+// ============================================
+async function startConnections() {
+  const stored = await chrome.storage.sync.get(['ports']);
+  if (Array.isArray(stored.ports) && stored.ports.length > 0) ports = stored.ports;
+
+  connectToAllPorts();
+  setInterval(connectToAllPorts, POLL_INTERVAL);
+  setInterval(() => {
+    if (tabs.size > 0) {
+      connections.forEach((conn, port) => send(port, { type: 'ping', requestId: createRequestId() }));
+    }
+  }, KEEPALIVE_INTERVAL);
+}
+
+// Ports edited on the options page apply right away
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'sync' || !changes.ports) return;
+
+  const updated = Array.isArray(changes.ports.newValue) && changes.ports.newValue.length > 0
+    ? changes.ports.newValue
+    : DEFAULT_PORTS;
+  const removed = ports.filter((port) => !updated.includes(port));
+  ports = updated;
+  removed.forEach((port) => connections.get(port)?.ws.close());
+  connectToAllPorts();
+});
+
+// ============================================
+// Screenshots
+// ============================================
+// Capture the visible part of the tab and crop it to `rect` (viewport CSS pixels)
+async function captureScreenshot(windowId, rect, viewportWidth) {
+  const capture = await chrome.tabs.captureVisibleTab(windowId, { format: 'png' });
+  const bitmap = await createImageBitmap(await (await fetch(capture)).blob());
+
+  // The capture is in device pixels
+  const scale = bitmap.width / viewportWidth;
+  const left = Math.max(0, Math.round(rect.left * scale));
+  const top = Math.max(0, Math.round(rect.top * scale));
+  const width = Math.min(bitmap.width, Math.round(rect.right * scale)) - left;
+  const height = Math.min(bitmap.height, Math.round(rect.bottom * scale)) - top;
+  if (width <= 0 || height <= 0) {
+    throw new Error('Component is not visible');
+  }
+
+  const ratio = Math.min(1, MAX_SCREENSHOT_SIZE / Math.max(width, height));
+  const canvas = new OffscreenCanvas(Math.round(width * ratio), Math.round(height * ratio));
+  canvas.getContext('2d').drawImage(bitmap, left, top, width, height, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+
+  const bytes = new Uint8Array(await (await canvas.convertToBlob({ type: 'image/png' })).arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return `data:image/png;base64,${btoa(binary)}`;
+}
+
 // Update extension badge based on connection status
 function updateBadge(status) {
   switch (status) {
@@ -46,48 +762,32 @@ function updateBadge(status) {
 // Update badge for specific tab
 function updateBadgeForTab(tabId, enabled) {
   if (enabled) {
-    chrome.action.setBadgeText({ text: '✓', tabId: tabId });
-    chrome.action.setBadgeBackgroundColor({ color: '#2da44e', tabId: tabId });
+    // Back to the global badge, which shows the VSCode connection
+    chrome.action.setBadgeText({ tabId: tabId });
   } else {
     chrome.action.setBadgeText({ text: 'OFF', tabId: tabId });
     chrome.action.setBadgeBackgroundColor({ color: '#6c757d', tabId: tabId });
   }
 }
 
-// Check and update badge when tab is activated
+// Show OFF on tabs of disabled sites; other tabs show the VSCode connection
 chrome.tabs.onActivated.addListener(async (activeInfo) => {
   const tab = await chrome.tabs.get(activeInfo.tabId);
-  if (tab.url) {
-    try {
-      const url = new URL(tab.url);
-      const hostname = url.hostname;
-
-      // Check if extension is enabled for this host
-      const settings = await chrome.storage.sync.get(['disabledHosts']);
-      const disabledHosts = settings.disabledHosts || [];
-
-      if (disabledHosts.includes(hostname)) {
-        updateBadgeForTab(activeInfo.tabId, false);
-      } else {
-        // Check actual connection status from content script
-        chrome.tabs.sendMessage(activeInfo.tabId, { type: 'checkConnection' }, (response) => {
-          if (chrome.runtime.lastError) {
-            // Content script not loaded
-            updateBadge('disconnected');
-          } else if (response) {
-            updateBadgeForTab(activeInfo.tabId, response.enabled !== false);
-          }
-        });
-      }
-    } catch (e) {
-      // Invalid URL
-      updateBadge('disconnected');
-    }
+  if (!tab.url) return;
+
+  try {
+    const { hostname } = new URL(tab.url);
+    const settings = await chrome.storage.sync.get(['disabledHosts']);
+    const disabledHosts = settings.disabledHosts || [];
+    updateBadgeForTab(activeInfo.tabId, !disabledHosts.includes(hostname));
+  } catch (e) {
+    // Invalid URL
   }
 });
 
 // Initialize badge
 updateBadge('disconnected');
+startConnections();
 
 // Handle extension installation
 chrome.runtime.onInstalled.addListener(() => {
@@ -1,10 +1,12 @@
 /**
  * React Grab Bridge - Content Script
  *
- * Activates when Option (Alt) key is held:
+ * Activates while Option (Alt) is held, or with the shortcut and mode chosen in the popup
+ * (in toggle mode a tap enters grab mode until something is selected or Escape is pressed):
  * - Shows crosshair cursor
- * - Highlights React components on hover
- * - Click to select and open prompt modal
+ * - Highlights React components on hover, including inside open shadow roots and same-origin iframes
+ * - Arrow up/down (or the wheel) moves the highlight to the parent/child component
+ * - Click (or Enter) to select and open prompt modal
  * - Send to Copilot or Claude Code
  */
 
@@ -14,25 +16,93 @@
   // ============================================
   // Configuration
   // ============================================
-  const WS_PORTS = [9765, 9766, 9767, 9768, 9769]; // Support multiple VSCode instances
-  const KEY_HOLD_DURATION = 150; // ms to hold key before activation
+  // Settings from the options page, stored in chrome.storage.sync (see src/lib/settings.ts)
+  const DEFAULT_SETTINGS = {
+    ports: [9765, 9766, 9767, 9768, 9769], // Support multiple VSCode instances
+    activation: {
+      shortcut: 'Alt', // Chord such as 'Alt' or 'Control+Shift+G'
+      holdDuration: 150, // ms the chord must be held in 'hold' mode
+      mode: 'hold', // 'hold': grab while held; 'toggle': a tap enters grab mode until a selection or Escape
+    },
+    defaultTarget: 'copilot', // Sent to with Cmd/Ctrl+Enter; Shift picks the other one
+    // Sections of the markdown context built by inject.js
+    contextSections: {
+      jsx: true,
+      props: true,
+      state: true,
+      context: true,
+      componentStack: true,
+      element: true,
+      styles: true,
+    },
+    overlayColor: '#8b5cf6', // Highlight, crosshair, marquee and selection markers
+    workspaceRules: {}, // Page host (e.g. 'localhost:3000') -> workspace name, when the component's file doesn't say
+  };
+  const MAX_PORTS = 20;
+  const MAX_HOLD_DURATION = 2000;
+  // Modifier key -> the KeyboardEvent flag that is set while it is down
+  const MODIFIER_KEYS = { Control: 'ctrlKey', Alt: 'altKey', Shift: 'shiftKey', Meta: 'metaKey' };
+  const MODIFIER_ALIASES = {
+    ctrl: 'Control',
+    control: 'Control',
+    alt: 'Alt',
+    option: 'Alt',
+    shift: 'Shift',
+    meta: 'Meta',
+    cmd: 'Meta',
+    command: 'Meta',
+  };
+  const MAX_SELECTED_COMPONENTS = 20; // Same as MAX_PROMPT_ELEMENTS in the VSCode extension
+  // How VSCode will deliver a Claude prompt, shown on the Send to Claude button
+  const CLAUDE_METHOD_NOTES = {
+    headless: 'runs claude -p',
+    chat: 'via @claude',
+    extension: 'via extension',
+    terminal: 'in terminal',
+  };
+  const DRAG_THRESHOLD = 5; // px the mouse must move before a click becomes a rectangle selection
+  const WHEEL_NAVIGATION_INTERVAL = 150; // ms between hierarchy steps, so a trackpad swipe is not one step per event
+  // The background worker holds the VSCode connections (see background.js)
+  const BRIDGE_PORT_NAME = 'vscode-bridge';
+  const BRIDGE_RECONNECT_DELAY = 1000; // ms before reconnecting to a restarted background worker
+  const LOCATE_TIMEOUT = 2000; // ms to wait for each workspace to say which files it has
+  const CONTEXT_TIMEOUT = 2000; // ms to wait for inject.js to build grabbed components' contexts
 
   // ============================================
   // State
   // ============================================
-  const connections = new Map(); // port -> { ws, workspace, isConnected }
-  let reconnectAttempts = 0;
-  const MAX_RECONNECT_ATTEMPTS = 3;
+  let bridge = null; // Runtime port to the background worker
+  let workspaces = []; // Connected workspaces, as last pushed by the background worker
 
   let isGrabMode = false;
-  let keyDownTime = null;
+  let settings = DEFAULT_SETTINGS;
+  let activationShortcut = parseShortcut(DEFAULT_SETTINGS.activation.shortcut); // { modifiers, key }
+  let keyDownTime = null; // Set while the shortcut is down and no other key has been pressed
   let keyHoldTimer = null;
   let currentElement = null;
   let currentContext = null;
+  let currentRect = null;
+  let currentHierarchy = null;
+  let trackedHover = null; // `${element key}:${name}` of the highlighted component inject.js follows
+  let nextTrackId = 0;
+  const selectedContexts = []; // Shift-clicked components, in the order they were picked
+  const selectionMarkers = []; // Numbered marker for each selected component
+  let dragStart = null; // { x, y } where the mouse went down in grab mode
+  let isDragging = false;
+  let suppressNextClick = false; // The click that ends a drag must not select anything
+  let lastWheelNavigation = 0;
+  const listenedFrameDocuments = new WeakSet(); // Same-origin iframe documents our handlers listen in
   let mouseX = 0;
   let mouseY = 0;
   let requestId = 0;
   const pendingRequests = new Map();
+  const contextRequests = new Map(); // requestId -> resolve of a GRAB_GET_CONTEXTS request
+  const sourceLookups = new Map(); // requestId -> pending `locate-source` request
+
+  // VSCode requests awaiting their lifecycle replies
+  let messageCounter = 0;
+  const trackedRequests = new Map(); // requestId -> { port, destination, componentName, stage, detail, output }
+  const backgroundRequests = new Set(); // requestIds whose replies should not be shown to the user
 
   // Extension state
   let extensionEnabled = true;
@@ -45,6 +115,7 @@
   let label = null;
   let crosshairH = null;
   let crosshairV = null;
+  let marquee = null;
 
   // ============================================
   // Initialization
@@ -56,20 +127,25 @@
     injectScript();
 
     // Check host settings
-    checkHostSettings().then((enabled) => {
+    checkHostSettings().then(async (enabled) => {
       if (enabled) {
+        await loadSettings();
+
         // Setup event listeners
         setupKeyListeners();
         setupMouseListeners();
+        setupFrameListeners(document);
         setupMessageListeners();
 
-        // Connect to all available VSCode instances
-        startConnectionPolling();
+        // Connect to all available VSCode instances through the background worker
+        connectToBackground();
 
         // Create overlay elements
         createOverlayElements();
 
-        console.log('[React Grab Bridge] Ready. Hold Option (Alt) to activate.');
+        console.log(
+          `[React Grab Bridge] Ready. ${settings.activation.mode === 'toggle' ? 'Press' : 'Hold'} ${formatShortcut(settings.activation.shortcut)} to activate.`
+        );
       }
     });
   }
@@ -80,54 +156,59 @@
   function injectScript() {
     const script = document.createElement('script');
     script.src = chrome.runtime.getURL('inject.js');
-    script.onload = () => script.remove();
+    script.onload = () => {
+      script.remove();
+      postInjectOptions();
+    };
     (document.head || document.documentElement).appendChild(script);
   }
 
   // ============================================
-  // WebSocket Connection
+  // VSCode Connection
   // ============================================
-  function connectToAllPorts() {
-    if (!extensionEnabled) return;
-
-    WS_PORTS.forEach((port) => connectToPort(port));
-  }
-
-  function connectToPort(port) {
-    if (connections.has(port)) {
-      const conn = connections.get(port);
-      if (conn.ws && conn.ws.readyState === WebSocket.OPEN) return;
-    }
+  // The background worker keeps one connection per VSCode instance for all tabs
+  function connectToBackground() {
+    if (!extensionEnabled || bridge) return;
 
     try {
-      const ws = new WebSocket(`ws://localhost:${port}`);
-
-      ws.onopen = () => {
-        console.log(`[React Grab Bridge] Connected to VSCode on port ${port}`);
-        connections.set(port, { ws, workspace: null, isConnected: true });
-        updateConnectionStatus();
-      };
+      bridge = chrome.runtime.connect({ name: BRIDGE_PORT_NAME });
+    } catch (error) {
+      // The extension was reloaded or removed; this content script is orphaned
+      return;
+    }
 
-      ws.onmessage = (event) => {
-        const message = JSON.parse(event.data);
-        handleServerMessage(port, message);
-      };
+    bridge.onMessage.addListener(handleBridgeMessage);
+    bridge.onDisconnect.addListener(() => {
+      bridge = null;
+      updateWorkspaces([]);
+      // The worker was stopped; connecting again starts a new one
+      setTimeout(connectToBackground, BRIDGE_RECONNECT_DELAY);
+    });
+  }
 
-      ws.onclose = () => {
-        console.log(`[React Grab Bridge] Disconnected from port ${port}`);
-        connections.delete(port);
-        updateConnectionStatus();
-      };
+  function disconnectFromBackground() {
+    if (bridge) bridge.disconnect();
+    bridge = null;
+    updateWorkspaces([]);
+  }
 
-      ws.onerror = () => {
-        // Silent fail - port might not be in use
-        connections.delete(port);
-      };
-    } catch (error) {
-      // Silent fail
+  function handleBridgeMessage(message) {
+    if (message.type === 'workspaces') {
+      updateWorkspaces(message.workspaces);
+    } else if (message.type === 'server-message') {
+      handleServerMessage(message.message);
     }
   }
 
+  function updateWorkspaces(updated) {
+    const closedPorts = workspaces
+      .filter((ws) => !updated.some((u) => u.port === ws.port))
+      .map((ws) => ws.port);
+    workspaces = updated;
+    closedPorts.forEach((port) => failRequestsForPort(port, 'Connection to VSCode closed'));
+    updateConnectionStatus();
+  }
+
   function updateConnectionStatus() {
     const connectedCount = getConnectedWorkspaces().length;
     if (connectedCount > 0) {
@@ -136,79 +217,129 @@
   }
 
   function getConnectedWorkspaces() {
-    const workspaces = [];
-    connections.forEach((conn, port) => {
-      if (conn.isConnected && conn.ws?.readyState === WebSocket.OPEN) {
-        workspaces.push({
-          port,
-          name: conn.workspace?.name || `VSCode (port ${port})`,
-          path: conn.workspace?.path || '',
-        });
-      }
-    });
     return workspaces;
   }
 
+  function workspaceSupports(workspace, messageType) {
+    return workspace?.capabilities?.messageTypes.includes(messageType) ?? false;
+  }
+
+  // Whether a workspace can take prompts for a target, as it reported in its `availability` message
+  // (see src/lib/targets.ts). `note` says how the prompt will arrive or why it can't; workspaces that
+  // never report availability are taken to support every target.
+  function getTargetStatus(workspace, target) {
+    const availability = workspace?.availability;
+    if (!availability) return { available: true, note: null };
+
+    if (target === 'copilot') {
+      return availability.copilot.installed
+        ? { available: true, note: null }
+        : {
+            available: false,
+            note: 'not installed',
+            hint: 'Install GitHub Copilot Chat in VSCode to send prompts to Copilot',
+          };
+    }
+
+    const [method] = availability.claude.methods;
+    return method
+      ? { available: true, note: CLAUDE_METHOD_NOTES[method] }
+      : {
+          available: true,
+          note: 'not detected',
+          hint: 'VSCode did not find Claude Code, but will still try the claude CLI in a terminal. Set reactGrabCopilot.claudeCliPath if it is not on PATH',
+        };
+  }
+
+  function createRequestId() {
+    return `${Date.now().toString(36)}-${(++messageCounter).toString(36)}`;
+  }
+
   function sendToVSCode(type, data, targetPort = null) {
     const workspaces = getConnectedWorkspaces();
 
-    if (workspaces.length === 0) {
-      showNotification('Not connected to VSCode', 'error');
-      return false;
-    }
+    // Every message carries a request ID so replies can be matched to it
+    const message = { type, requestId: createRequestId(), ...data, timestamp: Date.now() };
 
     // If targetPort specified, send to that port only
     if (targetPort) {
-      const conn = connections.get(targetPort);
-      if (conn && conn.ws?.readyState === WebSocket.OPEN) {
-        conn.ws.send(JSON.stringify({ type, ...data, timestamp: Date.now() }));
-        return true;
-      }
-      return false;
+      return sendToPort(targetPort, message);
     }
 
     // If only one connection, send directly
     if (workspaces.length === 1) {
-      const conn = connections.get(workspaces[0].port);
-      conn.ws.send(JSON.stringify({ type, ...data, timestamp: Date.now() }));
-      return true;
+      return sendToPort(workspaces[0].port, message);
     }
 
     // Multiple connections - caller should handle workspace selection
-    return 'multiple';
+    return workspaces.length > 1 ? 'multiple' : false;
+  }
+
+  // Send only what the server has said it can handle
+  function sendToPort(port, message) {
+    const workspace = getConnectedWorkspaces().find((ws) => ws.port === port);
+    if (!bridge || !workspace?.capabilities) return false;
+
+    const { capabilities, name } = workspace;
+
+    if (!capabilities.messageTypes.includes(message.type)) {
+      showNotification(
+        `${name} does not support "${message.type}". Please update the VSCode extension.`,
+        'error'
+      );
+      return false;
+    }
+
+    const payload = JSON.stringify(message);
+    if (payload.length > capabilities.maxPayloadSize) {
+      showNotification('Context is too large to send to VSCode', 'error');
+      return false;
+    }
+
+    bridge.postMessage({ type: 'send', port, message });
+    return true;
   }
 
-  function handleServerMessage(port, message) {
+  // Replies to this tab's requests; the background worker handles the handshake and pairing
+  function handleServerMessage(message) {
+    const finishLookup = sourceLookups.get(message.requestId);
+    if (finishLookup) {
+      finishLookup(message.type === 'success' ? message.found || [] : []);
+      return;
+    }
+
     switch (message.type) {
-      case 'status':
-        // Store workspace info
-        if (message.workspace) {
-          const conn = connections.get(port);
-          if (conn) {
-            conn.workspace = message.workspace;
-            console.log(
-              `[React Grab Bridge] Workspace "${message.workspace.name}" connected on port ${port}`
-            );
-          }
-        }
+      case 'received':
+      case 'dispatched':
+        updateTrackedRequest(message.requestId, message.type, message.message);
+        break;
+      case 'output':
+        appendRequestOutput(message.requestId, message.output || '');
         break;
       case 'success':
-        showNotification('Prompt sent successfully!', 'success');
+        if (backgroundRequests.delete(message.requestId)) {
+          break;
+        }
+        if (trackedRequests.has(message.requestId)) {
+          updateTrackedRequest(message.requestId, 'completed', message.message);
+        } else {
+          showNotification(message.message || 'Prompt sent successfully!', 'success');
+        }
         break;
       case 'error':
-        showNotification(message.message || 'Error occurred', 'error');
+        if (backgroundRequests.delete(message.requestId)) {
+          console.warn(`[React Grab Bridge] ${message.message}`);
+          break;
+        }
+        if (trackedRequests.has(message.requestId)) {
+          updateTrackedRequest(message.requestId, 'failed', message.reason || message.message);
+        } else {
+          showNotification(message.message || 'Error occurred', 'error');
+        }
         break;
     }
   }
 
-  // Periodically try to connect to all ports
-  function startConnectionPolling() {
-    connectToAllPorts();
-    setInterval(() => {
-      connectToAllPorts();
-    }, 5000); // Check every 5 seconds
-  }
-
   // ============================================
   // Overlay Elements
   // ============================================
@@ -223,7 +354,7 @@
       left: 0;
       right: 0;
       height: 1px;
-      background: rgba(139, 92, 246, 0.5);
+      background: ${accent(0.5)};
       display: none;
     `;
     document.body.appendChild(crosshairH);
@@ -238,7 +369,7 @@
       top: 0;
       bottom: 0;
       width: 1px;
-      background: rgba(139, 92, 246, 0.5);
+      background: ${accent(0.5)};
       display: none;
     `;
     document.body.appendChild(crosshairV);
@@ -250,8 +381,8 @@
       position: fixed;
       pointer-events: none;
       z-index: 2147483646;
-      border: 1px dashed rgba(139, 92, 246, 0.7);
-      background: rgba(139, 92, 246, 0.06);
+      border: 1px dashed ${accent(0.7)};
+      background: ${accent(0.06)};
       border-radius: 2px;
       display: none;
       transition: all 0.05s ease-out;
@@ -265,7 +396,7 @@
       position: fixed;
       pointer-events: none;
       z-index: 2147483647;
-      background: rgba(139, 92, 246, 0.9);
+      background: ${accent(0.9)};
       color: white;
       padding: 4px 8px;
       border-radius: 4px;
@@ -277,9 +408,23 @@
       box-shadow: 0 2px 8px rgba(0, 0, 0, 0.2);
     `;
     document.body.appendChild(label);
+
+    // Create rectangle selection box
+    marquee = document.createElement('div');
+    marquee.className = 'react-grab-marquee';
+    marquee.style.cssText = `
+      position: fixed;
+      pointer-events: none;
+      z-index: 2147483646;
+      border: 1px solid ${accent(0.9)};
+      background: ${accent(0.12)};
+      box-sizing: border-box;
+      display: none;
+    `;
+    document.body.appendChild(marquee);
   }
 
-  function showOverlay(rect, context) {
+  function showOverlay(rect, context, hierarchy) {
     if (!overlay || !label) return;
 
     const componentName = context?.componentName || 'Unknown';
@@ -291,7 +436,10 @@
     overlay.style.display = 'block';
 
     // Build detailed label content
-    let labelContent = `<span class="react-grab-label-name">${escapeHtml(componentName)}</span>`;
+    let labelContent = renderBreadcrumb(
+      hierarchy,
+      `<span class="react-grab-label-name">${escapeHtml(componentName)}</span>`
+    );
 
     // Add source file if available
     if (context?.source?.fileName) {
@@ -326,6 +474,25 @@
     label.style.display = 'block';
   }
 
+  // The highlighted component between its parent and child, e.g. `… › Layout › Card › Button`
+  function renderBreadcrumb(hierarchy, nameHtml) {
+    if (!hierarchy || hierarchy.names.length < 2) return nameHtml;
+
+    const { names, level } = hierarchy;
+    const parent = names[level + 1];
+    const child = names[level - 1];
+    const above = parent ? `${level + 2 < names.length ? '… › ' : ''}${parent} ›` : '';
+    const below = child ? `› ${child}${level - 2 >= 0 ? ' › …' : ''}` : '';
+
+    return [
+      above && `<span class="react-grab-label-crumb">${escapeHtml(above)}</span>`,
+      nameHtml,
+      below && `<span class="react-grab-label-crumb">${escapeHtml(below)}</span>`,
+    ]
+      .filter(Boolean)
+      .join('');
+  }
+
   function hideOverlay() {
     if (overlay) overlay.style.display = 'none';
     if (label) label.style.display = 'none';
@@ -337,42 +504,86 @@
   function setupKeyListeners() {
     document.addEventListener('keydown', handleKeyDown, true);
     document.addEventListener('keyup', handleKeyUp, true);
-    window.addEventListener('blur', deactivateGrabMode);
+    window.addEventListener('blur', cancelGrab);
   }
 
   function handleKeyDown(event) {
-    // Check for Alt (Option) key
-    if (event.key === 'Alt' && !isGrabMode) {
-      if (!keyDownTime) {
-        keyDownTime = Date.now();
-        keyHoldTimer = setTimeout(() => {
-          activateGrabMode();
-        }, KEY_HOLD_DURATION);
-      }
+    // Check for the activation shortcut (Option/Alt by default)
+    if (isShortcutPressed(event)) {
+      handleShortcutDown(event);
+    } else if (keyDownTime) {
+      // Another key joined in, e.g. an Alt-based shortcut of the page or OS, so it wasn't meant for us
+      cancelShortcut();
     }
 
-    // Escape to deactivate
+    // Escape to deactivate (and drop any shift-clicked components)
     if (event.key === 'Escape' && isGrabMode) {
-      deactivateGrabMode();
+      cancelGrab();
+      event.preventDefault();
+      event.stopPropagation();
+    }
+
+    // Arrow up/down walks the component hierarchy, Enter grabs the highlighted component
+    if (isGrabMode && (event.key === 'ArrowUp' || event.key === 'ArrowDown')) {
+      navigateHierarchy(event.key === 'ArrowUp' ? 'parent' : 'child');
+      event.preventDefault();
+      event.stopPropagation();
+    } else if (isGrabMode && event.key === 'Enter') {
+      event.preventDefault();
+      event.stopPropagation();
+      grabHighlighted(event);
+    }
+  }
+
+  function handleShortcutDown(event) {
+    // Don't type the chord's letter into the page
+    if (activationShortcut.key) {
       event.preventDefault();
       event.stopPropagation();
     }
+    if (event.repeat || keyDownTime) return;
+
+    keyDownTime = Date.now();
+    if (settings.activation.mode === 'hold' && !isGrabMode) {
+      keyHoldTimer = setTimeout(activateGrabMode, settings.activation.holdDuration);
+    }
   }
 
   function handleKeyUp(event) {
-    if (event.key === 'Alt') {
-      if (keyHoldTimer) {
-        clearTimeout(keyHoldTimer);
-        keyHoldTimer = null;
-      }
-      keyDownTime = null;
+    if (!isShortcutReleased(event)) return;
+
+    const isTap = keyDownTime !== null;
+    cancelShortcut();
 
+    if (settings.activation.mode === 'hold') {
+      finishGrab();
+    } else if (isTap) {
+      // In toggle mode a clean tap enters grab mode and the next one leaves it
       if (isGrabMode) {
-        deactivateGrabMode();
+        finishGrab();
+      } else {
+        activateGrabMode();
       }
+    }
+  }
 
-      // Always hide overlay and label when Alt is released
-      hideOverlay();
+  function cancelShortcut() {
+    if (keyHoldTimer) {
+      clearTimeout(keyHoldTimer);
+      keyHoldTimer = null;
+    }
+    keyDownTime = null;
+  }
+
+  // Leave grab mode; anything shift-clicked so far is asked about together
+  function finishGrab() {
+    deactivateGrabMode();
+
+    // Always hide overlay and label when the shortcut is released
+    hideOverlay();
+
+    if (selectedContexts.length > 0) {
+      openSelectionDialog();
     }
   }
 
@@ -399,8 +610,8 @@
       crosshairV.style.left = `${mouseX}px`;
     }
 
-    // Update overlay at current mouse position
-    updateHoverElement();
+    // Update overlay at current mouse position, starting again from the innermost component
+    updateHoverElement(true);
 
     console.log('[React Grab Bridge] Grab mode activated');
   }
@@ -415,17 +626,18 @@
 
     hideOverlay();
     hideCrosshair();
+    untrackHover();
     currentElement = null;
     currentContext = null;
+    currentRect = null;
+    currentHierarchy = null;
+    dragStart = null;
+    isDragging = false;
+    if (marquee) marquee.style.display = 'none';
 
     // Clear pending requests to prevent race conditions
     pendingRequests.clear();
-
-    if (keyHoldTimer) {
-      clearTimeout(keyHoldTimer);
-      keyHoldTimer = null;
-    }
-    keyDownTime = null;
+    cancelShortcut();
 
     console.log('[React Grab Bridge] Grab mode deactivated');
   }
@@ -435,12 +647,30 @@
     if (crosshairV) crosshairV.style.display = 'none';
   }
 
+  function cancelGrab() {
+    clearSelection();
+    deactivateGrabMode();
+  }
+
   // ============================================
   // Mouse Event Handlers
   // ============================================
   function setupMouseListeners() {
+    document.addEventListener('mousedown', handleMouseDown, true);
     document.addEventListener('mousemove', handleMouseMove, true);
+    document.addEventListener('mouseup', handleMouseUp, true);
     document.addEventListener('click', handleClick, true);
+    document.addEventListener('wheel', handleWheel, { capture: true, passive: false });
+  }
+
+  function handleMouseDown(event) {
+    if (!isGrabMode || event.button !== 0) return;
+
+    // Keep the page from starting a text selection or its own drag
+    event.preventDefault();
+    event.stopPropagation();
+    dragStart = { x: event.clientX, y: event.clientY };
+    isDragging = false;
   }
 
   function handleMouseMove(event) {
@@ -452,26 +682,152 @@
       if (crosshairH) crosshairH.style.top = `${mouseY}px`;
       if (crosshairV) crosshairV.style.left = `${mouseX}px`;
 
-      updateHoverElement();
+      if (dragStart && !isDragging &&
+          Math.hypot(mouseX - dragStart.x, mouseY - dragStart.y) > DRAG_THRESHOLD) {
+        isDragging = true;
+        hideOverlay();
+      }
+
+      if (isDragging) {
+        updateMarquee();
+      } else {
+        updateHoverElement();
+      }
     }
   }
 
+  function handleMouseUp(event) {
+    if (!dragStart) return;
+
+    const wasDragging = isDragging;
+    dragStart = null;
+    isDragging = false;
+    if (!wasDragging) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+
+    // The click event follows mouseup in the same task
+    suppressNextClick = true;
+    setTimeout(() => {
+      suppressNextClick = false;
+    }, 0);
+
+    const rect = marquee.getBoundingClientRect();
+    marquee.style.display = 'none';
+    requestComponentsInRect(rect, event.shiftKey);
+  }
+
   function handleClick(event) {
+    if (suppressNextClick) {
+      suppressNextClick = false;
+      event.preventDefault();
+      event.stopPropagation();
+      return;
+    }
+
     if (!isGrabMode) return;
 
     // Prevent default click behavior
     event.preventDefault();
     event.stopPropagation();
 
+    grabHighlighted(event);
+  }
+
+  // Wheel up selects the parent component, wheel down the child
+  function handleWheel(event) {
+    if (!isGrabMode || event.deltaY === 0) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+
+    const now = Date.now();
+    if (now - lastWheelNavigation < WHEEL_NAVIGATION_INTERVAL) return;
+    lastWheelNavigation = now;
+    navigateHierarchy(event.deltaY < 0 ? 'parent' : 'child');
+  }
+
+  // Act on the highlighted component for a click or Enter; modifier keys work the same for both
+  function grabHighlighted(event) {
     if (currentContext) {
       // Save context before deactivating (deactivateGrabMode sets currentContext = null)
       const context = currentContext;
+      const rect = currentRect;
+
+      // Shift + click collects several components for one combined prompt
+      if (event.shiftKey) {
+        toggleSelection(context, rect);
+        return;
+      }
+
+      deactivateGrabMode();
+
+      // A plain click after shift-clicking adds that component and asks about all of them
+      if (selectedContexts.length > 0) {
+        if (!isSelected(context)) addToSelection(context, rect);
+        openSelectionDialog();
+        return;
+      }
+
+      grabComponent(context, rect, event.metaKey || event.ctrlKey);
+    } else if (selectedContexts.length > 0 && !event.shiftKey) {
       deactivateGrabMode();
-      showComponentDialog(context);
+      openSelectionDialog();
+    }
+  }
+
+  // A single grabbed component goes to its source (Cmd/Ctrl + click) or the dialog
+  async function grabComponent(context, rect, openSource) {
+    await loadFullContexts([context]);
+    recordGrab(context);
+
+    // Cmd/Ctrl + click jumps straight to the source when we know which workspace has it
+    if (openSource && context.source?.fileName) {
+      const workspace = await findWorkspaceForSource(context.source.fileName);
+      if (workspace) {
+        openInEditor(context, workspace.port);
+        return;
+      }
     }
+
+    void showGrabDialog(context, rect);
   }
 
-  function updateHoverElement() {
+  // Hovering and rectangle selection only get a summary of each component (name, source and
+  // element key). inject.js builds the rest of the context, styles and markdown included, once
+  // the component is grabbed. Components that are gone by then keep their summary, and so do all
+  // of them if inject.js doesn't answer in time.
+  function loadFullContexts(contexts) {
+    const summaries = contexts.filter((context) => context.markdown === undefined);
+    if (summaries.length === 0) return Promise.resolve();
+
+    const id = ++requestId;
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        contextRequests.delete(id);
+        resolve([]);
+      }, CONTEXT_TIMEOUT);
+      contextRequests.set(id, (fullContexts) => {
+        clearTimeout(timer);
+        resolve(fullContexts);
+      });
+      window.postMessage(
+        {
+          type: 'GRAB_GET_CONTEXTS',
+          targets: summaries.map((context) => ({ key: context.element?.key, componentName: context.componentName })),
+          requestId: id,
+        },
+        '*'
+      );
+    }).then((fullContexts) => {
+      summaries.forEach((summary, index) => {
+        if (fullContexts[index]) Object.assign(summary, fullContexts[index]);
+      });
+    });
+  }
+
+  function updateHoverElement(resetLevel = false) {
     if (!isGrabMode) return;
 
     const id = ++requestId;
@@ -482,12 +838,87 @@
         type: 'GRAB_GET_ELEMENT_AT_POINT',
         x: mouseX,
         y: mouseY,
+        resetLevel,
         requestId: id,
       },
       '*'
     );
   }
 
+  // Move the highlight to the parent or child of the highlighted component
+  function navigateHierarchy(direction) {
+    if (!currentContext) return;
+
+    const id = ++requestId;
+    pendingRequests.set(id, 'hover');
+    window.postMessage({ type: 'GRAB_NAVIGATE_HIERARCHY', direction, requestId: id }, '*');
+  }
+
+  // ============================================
+  // Same-Origin Frames
+  // ============================================
+  // Events inside an iframe (e.g. a Storybook canvas) never reach this document, so the
+  // handlers listen in same-origin frames too. inject.js finds components inside them.
+  function setupFrameListeners(doc) {
+    // Capturing catches the load of every iframe, including ones added later
+    doc.addEventListener('load', (event) => {
+      if (event.target.tagName === 'IFRAME') listenInFrame(event.target);
+    }, true);
+    doc.querySelectorAll('iframe').forEach(listenInFrame);
+  }
+
+  function listenInFrame(frame) {
+    let doc;
+    try {
+      doc = frame.contentDocument;
+    } catch (e) {
+      return;
+    }
+    // Cross-origin frames have no document to listen in
+    if (!doc || listenedFrameDocuments.has(doc)) return;
+    listenedFrameDocuments.add(doc);
+
+    const withFrameCoordinates = (handler) => (event) => handler(toTopFrameEvent(event, frame));
+    doc.addEventListener('keydown', handleKeyDown, true);
+    doc.addEventListener('keyup', handleKeyUp, true);
+    doc.addEventListener('mousedown', withFrameCoordinates(handleMouseDown), true);
+    doc.addEventListener('mousemove', withFrameCoordinates(handleMouseMove), true);
+    doc.addEventListener('mouseup', withFrameCoordinates(handleMouseUp), true);
+    doc.addEventListener('click', withFrameCoordinates(handleClick), true);
+    doc.addEventListener('wheel', handleWheel, { capture: true, passive: false });
+    doc.defaultView?.addEventListener('blur', cancelGrab);
+
+    setupFrameListeners(doc);
+  }
+
+  // The event with its client coordinates moved into this document's viewport
+  function toTopFrameEvent(event, frame) {
+    const offset = getFrameOffset(frame);
+    return new Proxy(event, {
+      get(target, property) {
+        if (property === 'clientX') return target.clientX + offset.x;
+        if (property === 'clientY') return target.clientY + offset.y;
+        const value = target[property];
+        // Event methods only work when called on the event itself
+        return typeof value === 'function' ? value.bind(target) : value;
+      }
+    });
+  }
+
+  // Where a frame's viewport starts in this document's viewport, through any frames around it
+  function getFrameOffset(frame) {
+    let x = 0;
+    let y = 0;
+    for (let current = frame; current; current = current.ownerDocument.defaultView?.frameElement) {
+      const rect = current.getBoundingClientRect();
+      const style = current.ownerDocument.defaultView.getComputedStyle(current);
+      x += rect.left + current.clientLeft + parseFloat(style.paddingLeft);
+      y += rect.top + current.clientTop + parseFloat(style.paddingTop);
+      if (current.ownerDocument === document) break;
+    }
+    return { x, y };
+  }
+
   // ============================================
   // Message Handlers (from inject.js)
   // ============================================
@@ -497,13 +928,16 @@
 
       switch (event.data.type) {
         case 'GRAB_ELEMENT_FOUND': {
-          const { requestId: id, context, rect } = event.data;
+          const { requestId: id, context, rect, hierarchy } = event.data;
           if (pendingRequests.get(id) === 'hover') {
             pendingRequests.delete(id);
             // Only show overlay if still in grab mode
             if (isGrabMode && context && rect) {
               currentContext = context;
-              showOverlay(rect, context);
+              currentRect = rect;
+              currentHierarchy = hierarchy;
+              showOverlay(rect, context, hierarchy);
+              trackHover(context);
             }
           }
           break;
@@ -514,14 +948,41 @@
           if (pendingRequests.get(id) === 'hover') {
             pendingRequests.delete(id);
             hideOverlay();
+            untrackHover();
             currentContext = null;
+            currentRect = null;
+          }
+          break;
+        }
+
+        case 'GRAB_TRACKED_RECTS': {
+          handleTrackedRects(event.data.rects);
+          break;
+        }
+
+        case 'GRAB_CONTEXTS_RESULT': {
+          const { requestId: id, contexts } = event.data;
+          const resolve = contextRequests.get(id);
+          if (resolve) {
+            contextRequests.delete(id);
+            resolve(contexts);
+          }
+          break;
+        }
+
+        case 'GRAB_ELEMENTS_IN_RECT_RESULT': {
+          const { requestId: id, items } = event.data;
+          const mode = pendingRequests.get(id);
+          if (mode === 'rect' || mode === 'rect-add') {
+            pendingRequests.delete(id);
+            handleRectSelection(items, mode === 'rect-add');
           }
           break;
         }
 
         case 'GRAB_REACT_CHECK_RESULT': {
           if (!event.data.hasReact) {
-            console.log('[React Grab Bridge] No React detected on this page');
+            console.log('[React Grab Bridge] No React, Preact, Vue or Svelte detected on this page');
           }
           break;
         }
@@ -529,10 +990,289 @@
     });
   }
 
+  // ============================================
+  // Multi-Selection
+  // ============================================
+  // A wrapper component and the component it renders share their element, so compare names too
+  function isSameComponent(a, b) {
+    return a.element?.key === b.element?.key && a.componentName === b.componentName;
+  }
+
+  function isSelected(context) {
+    return selectedContexts.some((selected) => isSameComponent(selected, context));
+  }
+
+  // Components from a rectangle selection are not recorded one by one, there may be dozens
+  function addToSelection(context, rect, record = true) {
+    if (record) recordGrab(context);
+    selectedContexts.push(context);
+    selectionMarkers.push(createSelectionMarker(rect, context));
+    renumberSelectionMarkers();
+  }
+
+  function toggleSelection(context, rect) {
+    const index = selectedContexts.findIndex((selected) => isSameComponent(selected, context));
+
+    if (index !== -1) {
+      selectedContexts.splice(index, 1);
+      removeSelectionMarker(selectionMarkers.splice(index, 1)[0]);
+      renumberSelectionMarkers();
+    } else if (selectedContexts.length >= MAX_SELECTED_COMPONENTS) {
+      showNotification(`You can select up to ${MAX_SELECTED_COMPONENTS} components`, 'error');
+    } else {
+      addToSelection(context, rect);
+    }
+  }
+
+  // Markers follow their component as it moves, until it disappears
+  function createSelectionMarker(rect, context) {
+    const marker = document.createElement('div');
+    marker.className = 'react-grab-selection-marker';
+    marker.dataset.trackId = `selection-${++nextTrackId}`;
+    positionSelectionMarker(marker, rect);
+    marker.innerHTML = '<span class="react-grab-selection-number"></span>';
+    document.body.appendChild(marker);
+    trackTarget(marker.dataset.trackId, context);
+    return marker;
+  }
+
+  // Page coordinates, so the marker stays on its component between updates while the page scrolls
+  function positionSelectionMarker(marker, rect) {
+    marker.style.top = `${rect.top + window.scrollY}px`;
+    marker.style.left = `${rect.left + window.scrollX}px`;
+    marker.style.width = `${rect.width}px`;
+    marker.style.height = `${rect.height}px`;
+  }
+
+  function removeSelectionMarker(marker) {
+    untrackTarget(marker.dataset.trackId);
+    marker.remove();
+  }
+
+  function renumberSelectionMarkers() {
+    selectionMarkers.forEach((marker, index) => {
+      marker.firstElementChild.textContent = String(index + 1);
+    });
+  }
+
+  function clearSelection() {
+    selectedContexts.length = 0;
+    selectionMarkers.splice(0).forEach(removeSelectionMarker);
+  }
+
+  async function openSelectionDialog() {
+    const contexts = selectedContexts.slice();
+    clearSelection();
+    await loadFullContexts(contexts);
+    await showComponentDialog(contexts);
+  }
+
+  // One numbered section per component; the numbers match the markers and the dialog's list
+  function getSectionMarkdown(context, index) {
+    return (context.markdown || generateMarkdown(context)).trim().replace(/^## /, `## ${index + 1}. `);
+  }
+
+  // Context for the given components, keeping the user's edits where there are any
+  function combineMarkdown(contexts, indices, editedSections = new Map()) {
+    return indices
+      .map((index) => editedSections.get(index) ?? getSectionMarkdown(contexts[index], index))
+      .join('\n\n');
+  }
+
+  // Sections of the (possibly edited) combined context, keyed by component index
+  function parseMarkdownSections(markdown) {
+    const sections = new Map();
+    markdown.split(/^(?=## \d+\. )/m).forEach((section) => {
+      const match = section.match(/^## (\d+)\. /);
+      if (match) sections.set(parseInt(match[1], 10) - 1, section.trim());
+    });
+    return sections;
+  }
+
+  // ============================================
+  // Target Tracking
+  // ============================================
+  // inject.js follows grabbed components through scrolling, resizing and re-renders
+  // and posts their rects under the track ID they were registered with
+  function trackTarget(trackId, context) {
+    window.postMessage(
+      { type: 'GRAB_TRACK', trackId, key: context.element?.key, componentName: context.componentName },
+      '*'
+    );
+  }
+
+  function untrackTarget(trackId) {
+    window.postMessage({ type: 'GRAB_UNTRACK', trackId }, '*');
+  }
+
+  function trackHover(context) {
+    const hoverKey = `${context.element?.key}:${context.componentName}`;
+    if (hoverKey === trackedHover) return;
+    trackedHover = hoverKey;
+    trackTarget('hover', context);
+  }
+
+  function untrackHover() {
+    if (!trackedHover) return;
+    trackedHover = null;
+    untrackTarget('hover');
+  }
+
+  // A null rect means the target is gone
+  function handleTrackedRects(rects) {
+    Object.entries(rects).forEach(([trackId, rect]) => {
+      if (trackId === 'hover') {
+        if (!isGrabMode || !currentContext || isDragging || !trackedHover) return;
+        if (rect) {
+          currentRect = rect;
+          showOverlay(rect, currentContext, currentHierarchy);
+        } else {
+          hideOverlay();
+          trackedHover = null;
+          currentContext = null;
+          currentRect = null;
+        }
+        return;
+      }
+
+      const marker = selectionMarkers.find((m) => m.dataset.trackId === trackId);
+      if (!marker) return;
+      if (rect) {
+        positionSelectionMarker(marker, rect);
+        marker.style.display = '';
+      } else {
+        marker.style.display = 'none';
+      }
+    });
+  }
+
+  // ============================================
+  // Rectangle Selection
+  // ============================================
+  function updateMarquee() {
+    if (!marquee || !dragStart) return;
+
+    marquee.style.left = `${Math.min(dragStart.x, mouseX)}px`;
+    marquee.style.top = `${Math.min(dragStart.y, mouseY)}px`;
+    marquee.style.width = `${Math.abs(mouseX - dragStart.x)}px`;
+    marquee.style.height = `${Math.abs(mouseY - dragStart.y)}px`;
+    marquee.style.display = 'block';
+  }
+
+  function requestComponentsInRect(rect, additive) {
+    const id = ++requestId;
+    pendingRequests.set(id, additive ? 'rect-add' : 'rect');
+
+    window.postMessage(
+      {
+        type: 'GRAB_GET_ELEMENTS_IN_RECT',
+        rect: { left: rect.left, top: rect.top, right: rect.right, bottom: rect.bottom },
+        requestId: id,
+      },
+      '*'
+    );
+  }
+
+  // Shift + drag adds to the selection; a plain drag asks about everything selected so far
+  function handleRectSelection(items, additive) {
+    if (items.length === 0) {
+      showNotification('No React components in that area', 'info');
+      return;
+    }
+
+    let skipped = 0;
+    items.forEach(({ context, rect }) => {
+      if (isSelected(context)) return;
+      if (selectedContexts.length >= MAX_SELECTED_COMPONENTS) {
+        skipped++;
+        return;
+      }
+      addToSelection(context, rect, false);
+    });
+    if (skipped > 0) {
+      showNotification(`Only the first ${MAX_SELECTED_COMPONENTS} components were selected`, 'info');
+    }
+
+    if (!additive) {
+      deactivateGrabMode();
+      openSelectionDialog();
+    }
+  }
+
+  // ============================================
+  // Screenshots
+  // ============================================
+  async function showGrabDialog(context, rect) {
+    if (rect && getConnectedWorkspaces().some((ws) => ws.capabilities.screenshots)) {
+      context.screenshot = await captureScreenshot(rect);
+    }
+    await showComponentDialog([context]);
+  }
+
+  // Capture the component as it looks in the page. Returns a PNG data URL, or null on failure.
+  async function captureScreenshot(rect) {
+    // Let the overlay disappear before the tab is captured
+    await new Promise((resolve) => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'captureScreenshot',
+        rect: { left: rect.left, top: rect.top, right: rect.right, bottom: rect.bottom },
+        viewportWidth: window.innerWidth,
+      });
+      if (response?.error) throw new Error(response.error);
+      return response?.dataUrl || null;
+    } catch (error) {
+      console.warn('[React Grab Bridge] Could not capture screenshot:', error);
+      return null;
+    }
+  }
+
+  // Draw through a canvas: pages whose CSP has no `img-src data:` would block an <img>
+  async function drawScreenshot(canvas, dataUrl) {
+    const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+    const bytes = Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+    const bitmap = await createImageBitmap(new Blob([bytes], { type: 'image/png' }));
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    bitmap.close();
+  }
+
   // ============================================
   // Component Dialog
   // ============================================
-  function showComponentDialog(context) {
+
+  // Workspace <select> for when routing could not pick one, with the option to remember the choice
+  function workspaceChooserHtml(workspaces, selectedPort) {
+    const options = workspaces
+      .map(
+        (ws) =>
+          `<option value="${ws.port}"${ws.port === selectedPort ? ' selected' : ''}>${escapeHtml(ws.name)}${
+            ws.paired ? '' : ' (not paired)'
+          }</option>`
+      )
+      .join('');
+    return `
+      <div class="react-grab-workspace-section" id="react-grab-workspace-section">
+        <label>Send to workspace:</label>
+        <select id="react-grab-workspace" class="react-grab-workspace-select">
+          ${selectedPort ? '' : '<option value="" disabled selected>Choose a workspace…</option>'}
+          ${options}
+        </select>
+        ${
+          window.location.host
+            ? `<label class="react-grab-workspace-remember">
+                <input type="checkbox" id="react-grab-workspace-remember">
+                Always for ${escapeHtml(window.location.host)}
+              </label>`
+            : ''
+        }
+      </div>
+    `;
+  }
+
+  async function showComponentDialog(contexts) {
     // Hide overlay and label before showing dialog
     hideOverlay();
 
@@ -544,34 +1284,53 @@
     dialog.id = 'react-grab-dialog';
     dialog.className = 'react-grab-dialog';
 
-    const markdown = context.markdown || generateMarkdown(context);
+    const [context] = contexts;
+    const isMultiple = contexts.length > 1;
+    const markdown = isMultiple
+      ? combineMarkdown(contexts, contexts.map((_, index) => index))
+      : context.markdown || generateMarkdown(context);
     const workspaces = getConnectedWorkspaces();
+    const fileNames = contexts.map((selected) => selected.source?.fileName);
+    // Only ask which workspace to send to when routing could not tell
+    const route = routeWorkspace(
+      workspaces,
+      fileNames,
+      window.location.host,
+      await locateFiles(workspaces, fileNames)
+    );
 
     // Build workspace selector HTML
     let workspaceSelectorHtml = '';
-    if (workspaces.length > 1) {
-      const options = workspaces
-        .map((ws) => `<option value="${ws.port}">${escapeHtml(ws.name)}</option>`)
-        .join('');
-      workspaceSelectorHtml = `
-        <div class="react-grab-workspace-section">
-          <label>Send to workspace:</label>
-          <select id="react-grab-workspace" class="react-grab-workspace-select">
-            ${options}
-          </select>
-        </div>
-      `;
-    } else if (workspaces.length === 1) {
+    if (route) {
+      const hint =
+        route.reason === 'file'
+          ? 'has the source file'
+          : route.reason === 'host'
+            ? `set for ${window.location.host}`
+            : '';
       workspaceSelectorHtml = `
-        <div class="react-grab-workspace-section">
+        <div class="react-grab-workspace-section" id="react-grab-workspace-section">
           <label>Workspace:</label>
-          <span class="react-grab-workspace-name">${escapeHtml(workspaces[0].name)}</span>
+          <span class="react-grab-workspace-name">${escapeHtml(route.workspace.name)}</span>
+          ${hint ? `<span class="react-grab-workspace-hint">${escapeHtml(hint)}</span>` : ''}
+          ${
+            route.workspace.paired
+              ? ''
+              : '<span class="react-grab-workspace-unpaired">Not paired — pair from the extension popup</span>'
+          }
+          ${
+            workspaces.length > 1
+              ? '<button type="button" class="react-grab-workspace-change" id="react-grab-workspace-change">Change</button>'
+              : ''
+          }
         </div>
       `;
+    } else if (workspaces.length > 0) {
+      workspaceSelectorHtml = workspaceChooserHtml(workspaces, null);
     } else {
       workspaceSelectorHtml = `
         <div class="react-grab-workspace-section react-grab-workspace-warning">
-          <span>⚠️ No VSCode connected</span>
+          <span>⚠️ No VSCode connected. Prompts are kept and sent when it connects.</span>
         </div>
       `;
     }
@@ -581,9 +1340,9 @@
         <div class="react-grab-dialog-header">
           <div class="react-grab-dialog-title">
             <span class="react-grab-component-icon">⚛️</span>
-            <h3>${escapeHtml(context.componentName)}</h3>
+            <h3>${escapeHtml(isMultiple ? `${contexts.length} components` : context.componentName)}</h3>
             ${
-              context.source?.fileName
+              !isMultiple && context.source?.fileName
                 ? `<span class="react-grab-file-badge">${escapeHtml(
                     context.source.fileName.replace(/^.*[\/\\]/, '')
                   )}</span>`
@@ -596,6 +1355,45 @@
         <div class="react-grab-dialog-body">
           ${workspaceSelectorHtml}
 
+          ${
+            isMultiple
+              ? `<div class="react-grab-selection-section">
+            <label>Selected components:</label>
+            <ol class="react-grab-selection-list">
+              ${contexts
+                .map(
+                  (selected, index) => `<li>
+                <label class="react-grab-selection-item">
+                  <input type="checkbox" data-index="${index}" checked>
+                  <span class="react-grab-selection-name">${escapeHtml(selected.componentName)}</span>
+                  ${
+                    selected.source?.fileName
+                      ? `<span class="react-grab-file-badge">${escapeHtml(
+                          selected.source.fileName.replace(/^.*[\/\\]/, '')
+                        )}</span>`
+                      : ''
+                  }
+                </label>
+              </li>`
+                )
+                .join('')}
+            </ol>
+          </div>`
+              : ''
+          }
+
+          ${
+            !isMultiple && context.screenshot
+              ? `<div class="react-grab-screenshot-section">
+            <label class="react-grab-screenshot-toggle">
+              <input type="checkbox" id="react-grab-attach-screenshot" checked>
+              Attach screenshot
+            </label>
+            <canvas id="react-grab-screenshot" class="react-grab-screenshot"></canvas>
+          </div>`
+              : ''
+          }
+
           <div class="react-grab-context-section">
             <label>Component Context:</label>
             <textarea
@@ -607,6 +1405,7 @@
 
           <div class="react-grab-prompt-section">
             <label>Your prompt:</label>
+            <div id="react-grab-templates" class="react-grab-template-chips"></div>
             <textarea
               id="react-grab-prompt"
               class="react-grab-prompt-input"
@@ -621,16 +1420,25 @@
             }>
               <span class="btn-icon">🤖</span>
               Send to Copilot
+              <span class="react-grab-btn-note" id="react-grab-note-copilot"></span>
             </button>
             <button id="react-grab-send-claude" class="react-grab-btn react-grab-btn-claude" ${
               workspaces.length === 0 ? 'disabled' : ''
             }>
               <span class="btn-icon">🧠</span>
               Send to Claude
+              <span class="react-grab-btn-note" id="react-grab-note-claude"></span>
             </button>
           </div>
 
           <div class="react-grab-dialog-footer">
+            ${
+              !isMultiple && context.source?.fileName
+                ? `<button id="react-grab-open-editor" class="react-grab-btn react-grab-btn-secondary">
+              📂 Open in Editor
+            </button>`
+                : ''
+            }
             <button id="react-grab-copy" class="react-grab-btn react-grab-btn-secondary">
               📋 Copy Context
             </button>
@@ -644,6 +1452,13 @@
 
     document.body.appendChild(dialog);
 
+    const screenshotCanvas = document.getElementById('react-grab-screenshot');
+    if (screenshotCanvas) {
+      drawScreenshot(screenshotCanvas, context.screenshot).catch(() => {
+        screenshotCanvas.parentElement.remove();
+      });
+    }
+
     // Focus prompt input
     const promptInput = document.getElementById('react-grab-prompt');
     promptInput.focus();
@@ -662,31 +1477,128 @@
       }
     };
 
-    document.getElementById('react-grab-send-copilot').onclick = () => {
-      sendToAI('copilot', context);
-      dialog.remove();
+    // Components still ticked in the list (always the only one for a single component)
+    const getCheckedIndices = () =>
+      isMultiple
+        ? Array.from(dialog.querySelectorAll('.react-grab-selection-list input:checked')).map((input) =>
+            parseInt(input.dataset.index, 10)
+          )
+        : [0];
+
+    const getSelectedPort = () => {
+      const workspaceSelect = document.getElementById('react-grab-workspace');
+      if (workspaceSelect) return workspaceSelect.value ? parseInt(workspaceSelect.value, 10) : null;
+      return route ? route.workspace.port : null;
     };
 
-    document.getElementById('react-grab-send-claude').onclick = () => {
-      sendToAI('claude', context);
-      dialog.remove();
+    // Streamed responses are shown in the dialog, anything else closes it
+    const sendFromDialog = (target) => {
+      const port = getSelectedPort();
+      if (document.getElementById('react-grab-workspace-remember')?.checked) {
+        rememberWorkspace(workspaces.find((ws) => ws.port === port));
+      }
+
+      const streamingId = sendToAI(target, contexts, getCheckedIndices(), workspaces, port);
+      if (streamingId) {
+        showResponsePane(dialog, streamingId);
+      } else {
+        dialog.remove();
+      }
     };
 
+    document.getElementById('react-grab-send-copilot').onclick = () => sendFromDialog('copilot');
+    document.getElementById('react-grab-send-claude').onclick = () => sendFromDialog('claude');
+
+    // Only offer the AI targets the selected workspace reports; without VSCode the prompt is queued
+    const openEditorButton = document.getElementById('react-grab-open-editor');
+
+    if (openEditorButton) {
+      openEditorButton.onclick = () => openInEditor(context, getSelectedPort());
+    }
+
+    const updateTargetButtons = () => {
+      const port = getSelectedPort();
+      const workspace = workspaces.find((ws) => ws.port === port);
+      const needsChoice = workspaces.length > 0 && !workspace;
+      // Older VSCode extensions only take one component per prompt
+      const checkedIndices = getCheckedIndices();
+      const canSendAll = !workspace || (workspace.capabilities.maxElements ?? 1) >= checkedIndices.length;
+      // Copilot is disabled when the workspace reports it not installed; otherwise the note says how the prompt will arrive
+      ['copilot', 'claude'].forEach((target) => {
+        const button = document.getElementById(`react-grab-send-${target}`);
+        const status = getTargetStatus(workspace, target);
+        button.disabled =
+          needsChoice ||
+          (workspace && !workspace.capabilities.targets.includes(target)) ||
+          !status.available ||
+          !canSendAll ||
+          checkedIndices.length === 0;
+        button.title = needsChoice
+          ? 'Choose a workspace first'
+          : canSendAll
+            ? status.hint || ''
+            : 'Update the VSCode extension to send several components at once';
+        document.getElementById(`react-grab-note-${target}`).textContent = status.note ? `· ${status.note}` : '';
+      });
+      if (openEditorButton) {
+        openEditorButton.disabled = !workspaceSupports(workspace, 'open-in-editor');
+      }
+      const attachScreenshot = document.getElementById('react-grab-attach-screenshot');
+      if (attachScreenshot) {
+        attachScreenshot.disabled = !workspace?.capabilities.screenshots;
+        attachScreenshot.parentElement.title = attachScreenshot.disabled
+          ? 'Update the VSCode extension to attach screenshots'
+          : '';
+      }
+      renderTemplateChips(
+        workspace?.templates || [],
+        checkedIndices.map((index) => contexts[index]),
+        promptInput
+      );
+    };
+    const workspaceSelect = document.getElementById('react-grab-workspace');
+    if (workspaceSelect) workspaceSelect.onchange = updateTargetButtons;
+    const changeWorkspaceButton = document.getElementById('react-grab-workspace-change');
+    if (changeWorkspaceButton) {
+      changeWorkspaceButton.onclick = () => {
+        document.getElementById('react-grab-workspace-section').outerHTML = workspaceChooserHtml(
+          workspaces,
+          route.workspace.port
+        );
+        document.getElementById('react-grab-workspace').onchange = updateTargetButtons;
+        updateTargetButtons();
+      };
+    }
+    updateTargetButtons();
+
+    // Unticking a component drops its section from the context; edits come back if it is ticked again
+    const editedSections = new Map();
+    dialog.querySelectorAll('.react-grab-selection-list input').forEach((input) => {
+      input.onchange = () => {
+        const contextEditor = document.getElementById('react-grab-context');
+        parseMarkdownSections(contextEditor.value).forEach((section, index) => {
+          editedSections.set(index, section);
+        });
+        contextEditor.value = combineMarkdown(contexts, getCheckedIndices(), editedSections);
+        updateTargetButtons();
+      };
+    });
+
     // Keyboard shortcuts
     const handleKeyDown = (e) => {
       if (e.key === 'Escape') {
         dialog.remove();
         document.removeEventListener('keydown', handleKeyDown);
       }
-      // Cmd/Ctrl + Enter to send
+      // Cmd/Ctrl + Enter sends to the default target, with Shift to the other one
       if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
         e.preventDefault();
-        if (e.shiftKey) {
-          document.getElementById('react-grab-send-claude').click();
-        } else {
-          document.getElementById('react-grab-send-copilot').click();
+        const otherTarget = settings.defaultTarget === 'claude' ? 'copilot' : 'claude';
+        const target = e.shiftKey ? otherTarget : settings.defaultTarget;
+        document.getElementById(`react-grab-send-${target}`).click();
+        if (!dialog.isConnected) {
+          document.removeEventListener('keydown', handleKeyDown);
         }
-        document.removeEventListener('keydown', handleKeyDown);
       }
     };
     document.addEventListener('keydown', handleKeyDown);
@@ -700,37 +1612,445 @@
     };
   }
 
-  function sendToAI(target, context) {
+  // One-click prompts from the templates the selected workspace pushed to us
+  function renderTemplateChips(templates, contexts, promptInput) {
+    const container = document.getElementById('react-grab-templates');
+    container.innerHTML = '';
+
+    templates.forEach((template) => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'react-grab-template-chip';
+      chip.textContent = template.name;
+      chip.title = template.prompt;
+      chip.onclick = () => {
+        promptInput.value = expandTemplate(template.prompt, contexts);
+        promptInput.focus();
+      };
+      container.appendChild(chip);
+    });
+  }
+
+  const TEMPLATE_VARIABLES = {
+    componentName: (context) => context.componentName,
+    filePath: (context) => context.source?.fileName || '',
+    lineNumber: (context) => String(context.source?.lineNumber ?? ''),
+    props: (context) => JSON.stringify(context.props || {}, null, 2),
+    tagName: (context) => context.element?.tagName || '',
+    pageUrl: () => window.location.href,
+  };
+
+  // Replace {{variable}} placeholders; unknown ones are left as they are.
+  // With several components each distinct value is listed, separated by commas.
+  function expandTemplate(prompt, contexts) {
+    return prompt.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+      Object.prototype.hasOwnProperty.call(TEMPLATE_VARIABLES, name)
+        ? [...new Set(contexts.map((context) => TEMPLATE_VARIABLES[name](context)))]
+            .filter(Boolean)
+            .join(', ')
+        : match
+    );
+  }
+
+  // Returns the request ID when the response will be streamed back, otherwise null.
+  // `dialogWorkspaces` are the workspaces the dialog offered when it opened, `targetPort` the one picked.
+  function sendToAI(target, contexts, indices, dialogWorkspaces, targetPort) {
     const promptText = document.getElementById('react-grab-prompt').value.trim();
     const contextText = document.getElementById('react-grab-context').value;
-    const workspaceSelect = document.getElementById('react-grab-workspace');
 
-    const finalPrompt = promptText || 'Analyze this React component:';
+    const selected = indices.map((index) => contexts[index]);
+    const isMultiple = selected.length > 1;
+    const finalPrompt =
+      promptText || (isMultiple ? 'Analyze these React components:' : 'Analyze this React component:');
+
+    const componentName = isMultiple ? `${selected.length} components` : selected[0].componentName;
+    const id = createRequestId();
+    const message = {
+      type: 'prompt',
+      prompt: finalPrompt,
+      target: target,
+      pageUrl: window.location.href,
+      ...getPromptElements(contexts, indices, contextText),
+    };
 
-    // Get selected workspace port (if multiple workspaces)
-    const targetPort = workspaceSelect ? parseInt(workspaceSelect.value, 10) : null;
+    // Keep the prompt until VSCode (or the workspace picked in the dialog) connects again
+    const connected = getConnectedWorkspaces();
+    if (connected.length === 0 || (targetPort && !connected.some((ws) => ws.port === targetPort))) {
+      queuePrompt({
+        message,
+        workspace: dialogWorkspaces.find((ws) => ws.port === targetPort) || null,
+        filePath: selected[0].source?.fileName || null,
+        componentName,
+      });
+      return null;
+    }
 
-    const result = sendToVSCode(
-      'prompt',
-      {
-        prompt: finalPrompt,
-        target: target,
-        elementInfo: {
-          componentName: context.componentName,
-          jsx: context.jsx,
-          props: context.props,
-          filePath: context.source?.fileName || null,
-          tagName: context.element?.tagName || '',
-          className: context.element?.className || '',
-          id: context.element?.id || '',
-          markdownContext: contextText,
+    const { type, ...data } = message;
+    const result = sendToVSCode(type, { requestId: id, ...data }, targetPort);
+
+    if (result === true) {
+      const port = targetPort || getConnectedWorkspaces()[0]?.port;
+      trackRequest(id, {
+        port,
+        destination: target === 'claude' ? 'Claude' : 'Copilot',
+        componentName,
+      });
+
+      const workspace = getConnectedWorkspaces().find((ws) => ws.port === port);
+      if (workspace?.capabilities.streamingTargets?.includes(target)) {
+        return id;
+      }
+    } else if (result === false) {
+      showNotification('Failed to send to VSCode', 'error');
+    }
+    return null;
+  }
+
+  // A single component goes in `elementInfo`, several in `elements` with one context section each
+  function getPromptElements(contexts, indices, contextText) {
+    if (contexts.length === 1) {
+      const attachScreenshot = document.getElementById('react-grab-attach-screenshot');
+      return {
+        grabId: contexts[0].grabId,
+        elementInfo: buildElementInfo(contexts[0], contextText),
+        ...(attachScreenshot?.checked && !attachScreenshot.disabled
+          ? { screenshot: contexts[0].screenshot }
+          : {}),
+      };
+    }
+
+    const sections = parseMarkdownSections(contextText);
+    if (indices.some((index) => !sections.has(index))) {
+      showNotification('Some section headings were edited, sending their original context', 'info');
+    }
+
+    const elements = indices.map((index) =>
+      buildElementInfo(contexts[index], sections.get(index) ?? getSectionMarkdown(contexts[index], index))
+    );
+    return elements.length > 1
+      ? { elements }
+      : { grabId: contexts[indices[0]].grabId, elementInfo: elements[0] };
+  }
+
+  // ============================================
+  // Outbox
+  // ============================================
+  // The background worker keeps prompts written while VSCode is away and sends them when it connects
+  async function queuePrompt({ message, workspace, filePath, componentName }) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'queuePrompt',
+        prompt: {
+          message,
+          workspace: workspace && { name: workspace.name, path: workspace.path },
+          filePath,
+          componentName,
+          pageUrl: window.location.href,
         },
-      },
-      targetPort
+      });
+      if (!response?.success) throw new Error(response?.error);
+
+      showNotification(
+        `${workspace?.name || 'VSCode'} is not connected. The prompt will be sent when it is; see the extension popup.`,
+        'info'
+      );
+    } catch (error) {
+      showNotification(`Could not keep the prompt: ${error.message || 'unknown error'}`, 'error');
+    }
+  }
+
+  // ============================================
+  // Streamed Responses
+  // ============================================
+  function showResponsePane(dialog, id) {
+    const request = trackedRequests.get(id);
+    if (!request) return;
+
+    dialog.querySelectorAll('.react-grab-ai-buttons .react-grab-btn').forEach((button) => {
+      button.disabled = true;
+    });
+
+    const section = document.createElement('div');
+    section.className = 'react-grab-response-section';
+    section.dataset.requestId = id;
+    section.innerHTML = `
+      <div class="react-grab-response-header">
+        <label>${escapeHtml(request.destination)} response:</label>
+        <span class="react-grab-response-stage"></span>
+        <button class="react-grab-btn react-grab-btn-secondary react-grab-response-stop">Stop</button>
+      </div>
+      <pre class="react-grab-response-output"></pre>
+    `;
+    section.querySelector('.react-grab-response-stop').onclick = () => cancelRequest(id);
+
+    dialog.querySelector('.react-grab-ai-buttons').after(section);
+    renderResponsePane(id);
+  }
+
+  function renderResponsePane(id) {
+    const request = trackedRequests.get(id);
+    const section = document.querySelector(`.react-grab-response-section[data-request-id="${id}"]`);
+    if (!request || !section) return;
+
+    const output = section.querySelector('.react-grab-response-output');
+    output.textContent = request.output || 'Waiting for output…';
+    output.scrollTop = output.scrollHeight;
+
+    section.dataset.stage = request.stage;
+    section.querySelector('.react-grab-response-stage').textContent =
+      request.detail || REQUEST_STAGE_TEXT[request.stage];
+
+    if (request.stage === 'completed' || request.stage === 'failed') {
+      section.querySelector('.react-grab-response-stop')?.remove();
+    }
+  }
+
+  function appendRequestOutput(id, text) {
+    const request = trackedRequests.get(id);
+    if (!request) return;
+
+    request.output += text;
+    renderResponsePane(id);
+  }
+
+  function cancelRequest(id) {
+    const request = trackedRequests.get(id);
+    if (!request) return;
+
+    sendToPort(request.port, { type: 'cancel', requestId: id, timestamp: Date.now() });
+  }
+
+  function buildElementInfo(context, markdownContext) {
+    return {
+      componentName: context.componentName,
+      jsx: context.jsx,
+      props: context.props,
+      filePath: context.source?.fileName || null,
+      lineNumber: context.source?.lineNumber,
+      columnNumber: context.source?.columnNumber,
+      tagName: context.element?.tagName || '',
+      className: context.element?.className || '',
+      id: context.element?.id || '',
+      markdownContext,
+    };
+  }
+
+  // Let the workspace that owns the component keep the grab in its history.
+  // The grab ID ties any prompt sent from the dialog to the same history entry.
+  async function recordGrab(context) {
+    context.grabId = createRequestId();
+
+    const workspace = await findWorkspaceForSource(context.source?.fileName, 'element-context');
+    if (!workspace?.paired) return;
+
+    await loadFullContexts([context]);
+
+    const id = createRequestId();
+    backgroundRequests.add(id);
+
+    const sent = sendToPort(workspace.port, {
+      type: 'element-context',
+      requestId: id,
+      grabId: context.grabId,
+      pageUrl: window.location.href,
+      elementInfo: buildElementInfo(context, context.markdown || generateMarkdown(context)),
+      timestamp: Date.now(),
+    });
+    if (!sent) backgroundRequests.delete(id);
+  }
+
+  // ============================================
+  // Workspace Routing
+  // ============================================
+
+  // Pick the workspace for grabbed components without asking: the one whose folder contains all
+  // of their files, else the one this host is mapped to on the options page, else the only one.
+  // Returns { workspace, reason: 'file' | 'host' | 'only' }, or null when the user has to choose.
+  // `located` comes from locateFiles.
+  function routeWorkspace(workspaces, fileNames, host, located = {}) {
+    const owners = new Set(
+      fileNames.filter(Boolean).map((fileName) => findFileOwner(workspaces, fileName, located))
     );
+    const [owner] = owners;
+    if (owners.size === 1 && owner) return { workspace: owner, reason: 'file' };
 
-    if (result === false) {
-      showNotification('Failed to send to VSCode', 'error');
+    const ruleName = (settings.workspaceRules[host.toLowerCase()] || '').toLowerCase();
+    const ruled = ruleName && workspaces.find((ws) => ws.name.toLowerCase() === ruleName);
+    if (ruled) return { workspace: ruled, reason: 'host' };
+
+    return workspaces.length === 1 ? { workspace: workspaces[0], reason: 'only' } : null;
+  }
+
+  // The workspace whose folder contains the file (the deepest one if folders are nested), or for
+  // a relative name the only workspace that has it
+  function findFileOwner(workspaces, fileName, located) {
+    const owner = findPathOwner(workspaces, fileName);
+    if (owner) return owner;
+
+    const having = workspaces.filter((ws) => located[fileName]?.includes(ws.port));
+    return having.length === 1 ? having[0] : null;
+  }
+
+  function findPathOwner(workspaces, fileName) {
+    const normalized = fileName.replace(/\\/g, '/');
+    const owners = workspaces
+      .filter(
+        (ws) => ws.path && normalized.startsWith(`${ws.path.replace(/\\/g, '/').replace(/\/$/, '')}/`)
+      )
+      .sort((a, b) => b.path.length - a.path.length);
+    return owners[0] || null;
+  }
+
+  // Ask the workspaces which of the files they have, for the names no workspace path contains:
+  // relative ones like `src/App.tsx` from the source plugin or `/src/App.tsx` from a dev server.
+  // Resolves to { [fileName]: ports of the workspaces that have it }; workspaces that don't reply
+  // in time (or predate `locate-source`) are taken not to have them.
+  async function locateFiles(workspaces, fileNames) {
+    if (workspaces.length < 2) return {};
+
+    const unmatched = [...new Set(fileNames)].filter(
+      (fileName) => fileName && !findPathOwner(workspaces, fileName)
+    );
+    const askable = workspaces.filter((ws) => ws.paired && workspaceSupports(ws, 'locate-source'));
+    if (unmatched.length === 0 || askable.length === 0) return {};
+
+    const located = {};
+    const ask = (workspace) =>
+      new Promise((resolve) => {
+        const id = createRequestId();
+        const finish = (found) => {
+          clearTimeout(timer);
+          sourceLookups.delete(id);
+          found.forEach((fileName) => (located[fileName] ||= []).push(workspace.port));
+          resolve();
+        };
+        const timer = setTimeout(() => finish([]), LOCATE_TIMEOUT);
+
+        sourceLookups.set(id, finish);
+        if (!sendToPort(workspace.port, { type: 'locate-source', requestId: id, fileNames: unmatched })) {
+          finish([]);
+        }
+      });
+
+    await Promise.all(askable.map(ask));
+    return located;
+  }
+
+  // Use the workspace picked in the dialog for this host from now on
+  function rememberWorkspace(workspace) {
+    if (!workspace || !window.location.host) return;
+
+    chrome.storage.sync
+      .set({ workspaceRules: { ...settings.workspaceRules, [window.location.host]: workspace.name } })
+      .catch(() => showNotification('Failed to save the workspace for this site', 'error'));
+  }
+
+  // ============================================
+  // Open in Editor
+  // ============================================
+
+  // Pick the workspace that owns a source file among those that support the message: the longest
+  // workspace path that prefixes it (or the only workspace that has a relative name), the one
+  // this host is mapped to, or the only one
+  async function findWorkspaceForSource(fileName, messageType = 'open-in-editor') {
+    const candidates = getConnectedWorkspaces().filter((ws) => workspaceSupports(ws, messageType));
+    const located = await locateFiles(candidates, [fileName]);
+    return routeWorkspace(candidates, [fileName], window.location.host, located)?.workspace || null;
+  }
+
+  function openInEditor(context, port) {
+    if (!port) {
+      showNotification('Not connected to VSCode', 'error');
+      return;
+    }
+
+    const id = createRequestId();
+    const { fileName, lineNumber, columnNumber } = context.source;
+
+    if (
+      sendToVSCode(
+        'open-in-editor',
+        { requestId: id, source: { fileName, lineNumber, columnNumber } },
+        port
+      ) === true
+    ) {
+      trackRequest(id, { port, destination: 'Editor', componentName: context.componentName });
+    }
+  }
+
+  // ============================================
+  // Request Tracking
+  // ============================================
+  const REQUEST_STAGE_TEXT = {
+    sending: 'Sending to VSCode…',
+    received: 'Received by VSCode',
+    dispatched: 'Dispatched',
+    completed: 'Completed',
+    failed: 'Failed',
+  };
+
+  function trackRequest(id, request) {
+    trackedRequests.set(id, { ...request, stage: 'sending', detail: null, output: '' });
+    renderTrackedRequest(id);
+  }
+
+  function updateTrackedRequest(id, stage, detail) {
+    const request = trackedRequests.get(id);
+    if (!request) return;
+
+    request.stage = stage;
+    request.detail = detail || null;
+    renderTrackedRequest(id);
+
+    if (stage === 'completed' || stage === 'failed') {
+      trackedRequests.delete(id);
+    }
+  }
+
+  function failRequestsForPort(port, reason) {
+    trackedRequests.forEach((request, id) => {
+      if (request.port === port) {
+        updateTrackedRequest(id, 'failed', reason);
+      }
+    });
+  }
+
+  function renderTrackedRequest(id) {
+    const request = trackedRequests.get(id);
+    if (!request) return;
+
+    let list = document.getElementById('react-grab-request-list');
+    if (!list) {
+      list = document.createElement('div');
+      list.id = 'react-grab-request-list';
+      list.className = 'react-grab-request-list';
+      document.body.appendChild(list);
+    }
+
+    let item = list.querySelector(`[data-request-id="${id}"]`);
+    if (!item) {
+      item = document.createElement('div');
+      item.dataset.requestId = id;
+      list.appendChild(item);
+    }
+
+    const stageText = request.detail || REQUEST_STAGE_TEXT[request.stage];
+
+    item.className = `react-grab-request-status react-grab-request-${request.stage}`;
+    item.innerHTML = `
+      <span class="react-grab-request-title">${escapeHtml(request.componentName)} → ${request.destination}</span>
+      <span class="react-grab-request-stage">${escapeHtml(stageText)}</span>
+    `;
+    renderResponsePane(id);
+
+    if (request.stage === 'completed' || request.stage === 'failed') {
+      setTimeout(
+        () => {
+          item.classList.add('fade-out');
+          setTimeout(() => item.remove(), 300);
+        },
+        request.stage === 'failed' ? 6000 : 2500
+      );
     }
   }
 
@@ -778,6 +2098,135 @@
     }, 2500);
   }
 
+  // ============================================
+  // Settings
+  // ============================================
+  async function loadSettings() {
+    const keys = Object.keys(DEFAULT_SETTINGS);
+    try {
+      applySettings(normalizeSettings(await chrome.storage.sync.get(keys)));
+    } catch (error) {
+      applySettings(DEFAULT_SETTINGS);
+    }
+
+    // Changes made on the options page apply right away
+    chrome.storage.onChanged.addListener(async (changes, areaName) => {
+      if (areaName !== 'sync' || !keys.some((key) => key in changes)) return;
+
+      applySettings(normalizeSettings(await chrome.storage.sync.get(keys)));
+    });
+  }
+
+  // Fill in defaults for missing or invalid stored settings
+  function normalizeSettings(stored) {
+    const isPort = (port) => Number.isInteger(port) && port > 0 && port < 65536;
+    const ports = Array.isArray(stored.ports) ? stored.ports.filter(isPort).slice(0, MAX_PORTS) : [];
+    const activation = stored.activation || {};
+    const holdDuration = Number(activation.holdDuration);
+    const sections = stored.contextSections || {};
+
+    return {
+      ports: ports.length > 0 ? ports : DEFAULT_SETTINGS.ports,
+      activation: {
+        shortcut:
+          activation.shortcut && parseShortcut(activation.shortcut)
+            ? activation.shortcut
+            : DEFAULT_SETTINGS.activation.shortcut,
+        holdDuration: Number.isFinite(holdDuration)
+          ? Math.min(Math.max(Math.round(holdDuration), 0), MAX_HOLD_DURATION)
+          : DEFAULT_SETTINGS.activation.holdDuration,
+        mode: activation.mode === 'toggle' ? 'toggle' : 'hold',
+      },
+      defaultTarget: stored.defaultTarget === 'claude' ? 'claude' : 'copilot',
+      contextSections: Object.fromEntries(
+        Object.keys(DEFAULT_SETTINGS.contextSections).map((section) => [section, sections[section] !== false])
+      ),
+      overlayColor: /^#[0-9a-f]{6}$/i.test(stored.overlayColor || '')
+        ? stored.overlayColor
+        : DEFAULT_SETTINGS.overlayColor,
+      workspaceRules: Object.fromEntries(
+        Object.entries(stored.workspaceRules || {}).filter(
+          ([host, name]) => host && typeof name === 'string' && name.trim()
+        )
+      ),
+    };
+  }
+
+  function applySettings(updated) {
+    settings = updated;
+    activationShortcut = parseShortcut(settings.activation.shortcut);
+    cancelShortcut();
+
+    // The overlay colour's RGB channels, for `accent()`
+    const channels = [1, 3, 5].map((i) => parseInt(settings.overlayColor.slice(i, i + 2), 16)).join(', ');
+    document.documentElement.style.setProperty('--react-grab-accent', channels);
+
+    postInjectOptions();
+  }
+
+  // inject.js only builds the context sections the user wants
+  function postInjectOptions() {
+    window.postMessage({ type: 'GRAB_SET_OPTIONS', contextSections: settings.contextSections }, '*');
+  }
+
+  // Overlay colour with the given opacity
+  function accent(alpha) {
+    return `rgba(var(--react-grab-accent, 139, 92, 246), ${alpha})`;
+  }
+
+  // Parse a chord like 'Control+Shift+G' into { modifiers, key }, or null if it isn't one
+  function parseShortcut(value) {
+    const modifiers = [];
+    let key = null;
+
+    for (const part of value.split('+').map((p) => p.trim())) {
+      const modifier = MODIFIER_ALIASES[part.toLowerCase()];
+      if (modifier) {
+        if (!modifiers.includes(modifier)) modifiers.push(modifier);
+      } else if (part && !key) {
+        key = part.length === 1 ? part.toUpperCase() : part;
+      } else {
+        return null;
+      }
+    }
+
+    return modifiers.length > 0 || key ? { modifiers, key } : null;
+  }
+
+  function formatShortcut(value) {
+    return value === 'Alt' ? 'Option (Alt)' : value.split('+').join(' + ');
+  }
+
+  // Letters and digits are compared by physical key, since Option on macOS turns them into other characters
+  function getKeyCode(key) {
+    if (/^[A-Z]$/.test(key)) return `Key${key}`;
+    if (/^\d$/.test(key)) return `Digit${key}`;
+    return key;
+  }
+
+  function isChordKey(event) {
+    const { modifiers, key } = activationShortcut;
+    if (key) {
+      return event.code === getKeyCode(key) || event.key === key;
+    }
+    return modifiers.includes(event.key);
+  }
+
+  // Whether this keydown completes the chord, with exactly the chord's modifiers held
+  function isShortcutPressed(event) {
+    return (
+      isChordKey(event) &&
+      Object.keys(MODIFIER_KEYS).every(
+        (modifier) => event[MODIFIER_KEYS[modifier]] === activationShortcut.modifiers.includes(modifier)
+      )
+    );
+  }
+
+  // Whether this keyup releases one of the chord's keys
+  function isShortcutReleased(event) {
+    return isChordKey(event) || activationShortcut.modifiers.includes(event.key);
+  }
+
   // ============================================
   // Host Settings
   // ============================================
@@ -798,38 +2247,18 @@
   // ============================================
   // Chrome Extension Message Handlers
   // ============================================
-  chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    if (request.type === 'checkConnection') {
-      const workspaces = getConnectedWorkspaces();
-      sendResponse({
-        connected: workspaces.length > 0,
-        enabled: extensionEnabled,
-        workspaces: workspaces,
-      });
-    } else if (request.type === 'toggleExtension') {
+  chrome.runtime.onMessage.addListener((request) => {
+    if (request.type === 'toggleExtension') {
       extensionEnabled = request.enabled;
       if (!extensionEnabled) {
-        connections.forEach((conn) => {
-          if (conn.ws) conn.ws.close();
-        });
-        connections.clear();
+        disconnectFromBackground();
       } else {
-        connectToAllPorts();
+        connectToBackground();
       }
     }
     return true;
   });
 
-  // ============================================
-  // Cleanup
-  // ============================================
-  window.addEventListener('beforeunload', () => {
-    connections.forEach((conn) => {
-      if (conn.ws) conn.ws.close();
-    });
-    connections.clear();
-  });
-
   // ============================================
   // Start
   // ============================================
@@ -1,6 +1,7 @@
 /**
  * Injected script that runs in the page context
- * Provides React component detection via fiber traversal
+ * Provides component detection for React (via fiber traversal), Preact, Vue 3 and Svelte
+ * through one adapter per framework
  * Similar to react-grab's approach
  */
 
@@ -34,6 +35,144 @@
   // Component name prefixes to exclude
   const EXCLUDED_PREFIXES = ['_', '$'];
 
+  // Vue's built-in components, which wrap the user's components
+  const VUE_BUILT_IN_COMPONENTS = ['BaseTransition', 'Transition', 'TransitionGroup', 'KeepAlive', 'Suspense', 'Teleport'];
+
+  // Vue's ShapeFlags.ELEMENT: a vnode for a DOM element
+  const VUE_ELEMENT_SHAPE = 1;
+
+  // Most components a rectangle selection returns
+  const MAX_RECT_COMPONENTS = 50;
+
+  // Fiber tags (ReactWorkTags) of the fibers we read state from
+  const FUNCTION_COMPONENT = 0;
+  const CLASS_COMPONENT = 1;
+  const HOST_ROOT = 3;
+  const HOST_COMPONENT = 5;
+  const CONTEXT_PROVIDER = 10;
+  const FORWARD_REF = 11;
+  const SIMPLE_MEMO_COMPONENT = 15;
+
+  // Hooks in `_debugHookTypes` that have no entry in the hook list
+  const STATELESS_HOOKS = ['useContext', 'useDebugValue', 'use'];
+  const EFFECT_HOOKS = ['useEffect', 'useLayoutEffect', 'useInsertionEffect', 'useImperativeHandle'];
+
+  // Most context providers reported per component (those it reads come first)
+  const MAX_CONTEXTS = 10;
+
+  // Longest state or context value shown inline in the markdown
+  const MAX_INLINE_VALUE = 200;
+
+  // React 19 dropped `_debugSource`. The source is then read from `_debugStack`, the stack
+  // captured where the element was created, skipping the frames of React and other libraries.
+  const STACK_FRAME_PATTERN = /^\s*(?:at\s+(?:(.*?)\s+\()?|(.*?)@)(.+?):(\d+):(\d+)\)?\s*$/;
+  const REACT_FRAME_PATTERN = /(?:^|\.)(?:jsxs?|jsxDEV|createElement|cloneElement)$|react[-_]stack/;
+  const LIBRARY_SOURCE_PATTERN = /[\/\\]node_modules[\/\\]|\/\.vite\/deps\/|^webpack:\/\/[^/]*\/webpack\//;
+  const BASE64_DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+  // Exact JSX location of a DOM element (`file:line:column`), added by the companion
+  // build plugin in source-plugin/. Used before anything read from fibers.
+  const GRAB_SOURCE_ATTRIBUTE = 'data-grab-source';
+
+  // How long a reply waits for the source maps it needs before it is sent without them
+  const SOURCE_MAP_TIMEOUT = 500;
+
+  // Source maps of the page's scripts by URL: a promise while loading, then the map
+  // (null when the script has none or is not served by the page's origin)
+  const sourceMaps = new Map();
+  const pendingSourceMaps = new Set();
+  const resolvedFrames = new Map(); // `${url}:${line}:${column}` -> original location
+
+  // Computed styles worth reporting, by group. Margin, padding and border sides are
+  // reported as one shorthand when the element sets them.
+  const STYLE_GROUPS = {
+    Layout: [
+      'display', 'position', 'top', 'right', 'bottom', 'left', 'z-index', 'box-sizing',
+      'min-width', 'max-width', 'min-height', 'max-height', 'overflow-x', 'overflow-y', 'float'
+    ],
+    Spacing: ['margin', 'padding'],
+    'Flex & Grid': [
+      'flex-direction', 'flex-wrap', 'justify-content', 'align-items', 'align-content',
+      'align-self', 'justify-self', 'flex-grow', 'flex-shrink', 'flex-basis', 'order',
+      'row-gap', 'column-gap', 'grid-template-columns', 'grid-template-rows',
+      'grid-auto-flow', 'grid-column', 'grid-row'
+    ],
+    Typography: [
+      'font-family', 'font-size', 'font-weight', 'font-style', 'line-height',
+      'letter-spacing', 'text-align', 'text-decoration-line', 'text-transform',
+      'white-space', 'text-overflow'
+    ],
+    Colors: ['color', 'background-color', 'background-image', 'border-color', 'outline-color'],
+    'Borders & Effects': [
+      'border-width', 'border-style', 'border-radius', 'box-shadow', 'opacity',
+      'transform', 'transition', 'cursor'
+    ]
+  };
+
+  // Shorthands built from their four sides, since computed styles only have the longhands
+  const BOX_SHORTHANDS = {
+    margin: ['margin-top', 'margin-right', 'margin-bottom', 'margin-left'],
+    padding: ['padding-top', 'padding-right', 'padding-bottom', 'padding-left'],
+    'border-width': ['border-top-width', 'border-right-width', 'border-bottom-width', 'border-left-width'],
+    'border-style': ['border-top-style', 'border-right-style', 'border-bottom-style', 'border-left-style'],
+    'border-color': ['border-top-color', 'border-right-color', 'border-bottom-color', 'border-left-color'],
+    'border-radius': [
+      'border-top-left-radius', 'border-top-right-radius',
+      'border-bottom-right-radius', 'border-bottom-left-radius'
+    ]
+  };
+
+  // Most CSS rules reported per element (the last ones, which win ties in the cascade)
+  const MAX_CSS_RULES = 20;
+
+  // Browser default computed styles by tag name, read from an unstyled document
+  const defaultStyles = new Map();
+
+  // Sections of the markdown context to build; the content script sends the user's choice
+  // from the options page with GRAB_SET_OPTIONS
+  let contextSections = {
+    jsx: true,
+    props: true,
+    state: true,
+    context: true,
+    componentStack: true,
+    element: true,
+    styles: true
+  };
+
+  // Components under the cursor, innermost first, and which of them is highlighted.
+  // The arrow keys and the wheel move the highlight up and down this chain.
+  let hoverElement = null;
+  let hoverChain = [];
+  let hoverLevel = 0;
+
+  // Targets the content script's overlay and selection markers follow, by track ID.
+  // Their rects are posted whenever they move, until the target disappears.
+  const trackedTargets = new Map();
+  const elementsByKey = new Map(); // element key -> WeakRef, to find a grabbed element again
+  let elementsByKeyLimit = 256; // Size at which keys of collected elements are dropped
+  let trackingObserver = null;
+  let trackingFrame = null;
+  const trackingDocuments = new Set(); // The top document and the iframes' ones targets are in
+
+  // Our own UI, whose changes never move a tracked target
+  const OWN_UI_SELECTOR = [
+    '.react-grab-bridge-overlay',
+    '.react-grab-bridge-label',
+    '.react-grab-selection-marker',
+    '.react-grab-marquee',
+    '.react-grab-crosshair-h',
+    '.react-grab-crosshair-v',
+    '.react-grab-dialog',
+    '.react-grab-notification',
+    '#react-grab-request-list',
+    '#react-grab-dialog-root'
+  ].join(', ');
+
+  // Stable keys for DOM elements, so the content script can tell two grabs of the same element apart
+  const elementKeys = new WeakMap();
+  let nextElementKey = 1;
+
   /**
    * Get React fiber from a DOM element
    */
@@ -63,15 +202,7 @@
     if (typeof type !== 'function' && typeof type !== 'object') return false;
 
     const name = getComponentName(fiber);
-    if (!name) return false;
-
-    // Exclude internal components
-    if (EXCLUDED_COMPONENTS.includes(name)) return false;
-
-    // Exclude components starting with _ or $
-    for (const prefix of EXCLUDED_PREFIXES) {
-      if (name.startsWith(prefix)) return false;
-    }
+    if (!name || isExcludedName(name)) return false;
 
     // Must start with uppercase (React component convention)
     if (!/^[A-Z]/.test(name)) return false;
@@ -79,6 +210,17 @@
     return true;
   }
 
+  /**
+   * Whether a component name belongs to a framework internal rather than a user component
+   */
+  function isExcludedName(name) {
+    // Exclude internal components
+    if (EXCLUDED_COMPONENTS.includes(name)) return true;
+
+    // Exclude components starting with _ or $
+    return EXCLUDED_PREFIXES.some((prefix) => name.startsWith(prefix));
+  }
+
   /**
    * Get component name from fiber
    */
@@ -144,6 +286,10 @@
           columnNumber: current._debugSource.columnNumber
         };
       }
+      // React 19 sets `_debugStack` instead
+      if (current._debugStack) {
+        return getStackSource(current._debugStack);
+      }
       current = current.return;
     }
 
@@ -151,11 +297,239 @@
   }
 
   /**
-   * Sanitize props for display
+   * Where the element itself was written, from its `data-grab-source` attribute
    */
-  function sanitizeProps(props, maxDepth = 3) {
-    if (!props || typeof props !== 'object') return {};
+  function getElementSource(element) {
+    const match = /^(.+):(\d+):(\d+)$/.exec(element.getAttribute(GRAB_SOURCE_ATTRIBUTE) || '');
+    if (!match) return null;
+    return {
+      fileName: match[1],
+      lineNumber: Number(match[2]),
+      columnNumber: Number(match[3])
+    };
+  }
+
+  /**
+   * Source location of the first application frame of a `_debugStack`, in the original
+   * source when the dev server has source maps. Null while the maps are still loading.
+   */
+  function getStackSource(debugStack) {
+    const stack = typeof debugStack === 'string' ? debugStack : debugStack?.stack;
+    if (typeof stack !== 'string') return null;
+
+    const frames = [];
+    for (const line of stack.split('\n')) {
+      const match = STACK_FRAME_PATTERN.exec(line);
+      const functionName = match?.[1] || match?.[2] || '';
+      if (match && !REACT_FRAME_PATTERN.test(functionName)) {
+        frames.push({ url: match[3], line: Number(match[4]), column: Number(match[5]) });
+      }
+    }
+
+    // Resolve every frame at once, so one wait covers all the maps they need
+    const locations = frames.map(resolveStackFrame);
+    for (const location of locations) {
+      if (location === undefined) return null;
+      if (location && !LIBRARY_SOURCE_PATTERN.test(location.fileName)) return location;
+    }
+    return null;
+  }
+
+  /**
+   * Original location of a stack frame, or the frame's own location when there is no
+   * source map for it. Undefined while its script's source map is loading.
+   */
+  function resolveStackFrame(frame) {
+    const key = `${frame.url}:${frame.line}:${frame.column}`;
+    if (resolvedFrames.has(key)) return resolvedFrames.get(key);
+
+    if (!sourceMaps.has(frame.url)) loadSourceMap(frame.url);
+    const map = sourceMaps.get(frame.url);
+    if (map instanceof Promise) return undefined;
+
+    const location = (map && findOriginalPosition(map, frame.line, frame.column)) || {
+      fileName: toSourceFileName(frame.url),
+      lineNumber: frame.line,
+      columnNumber: frame.column
+    };
+    resolvedFrames.set(key, location);
+    return location;
+  }
+
+  /**
+   * Whether a URL is served by the page's own origin (the only place source maps are fetched from)
+   */
+  function isPageOrigin(url) {
+    try {
+      return new URL(url, location.href).origin === location.origin;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Shorter file name for a script or source URL: a path for the page's origin, a path
+   * within the project for webpack's `webpack-internal:` modules
+   */
+  function toSourceFileName(url) {
+    if (/^https?:/.test(url) && isPageOrigin(url)) {
+      const { pathname } = new URL(url);
+      return decodeURIComponent(pathname);
+    }
+    return url.replace(/^webpack-internal:\/\/\/(?:\([^)]*\)\/)?/, '');
+  }
+
+  function loadSourceMap(scriptUrl) {
+    const promise = fetchSourceMap(scriptUrl)
+      .catch(() => null)
+      .then((map) => {
+        sourceMaps.set(scriptUrl, map);
+        pendingSourceMaps.delete(promise);
+      });
+    sourceMaps.set(scriptUrl, promise);
+    pendingSourceMaps.add(promise);
+  }
+
+  /**
+   * Fetch a script and the source map it points to (`sourceMappingURL` comment or
+   * `SourceMap` header). Either has to come from the page's origin.
+   */
+  async function fetchSourceMap(scriptUrl) {
+    if (!/^https?:/.test(scriptUrl) || !isPageOrigin(scriptUrl)) return null;
+
+    const response = await fetch(scriptUrl);
+    if (!response.ok) return null;
+    const code = await response.text();
+    const comments = [...code.matchAll(/\/\/[#@]\s*sourceMappingURL=(\S+)/g)];
+    const mapUrl = response.headers.get('SourceMap') || response.headers.get('X-SourceMap') ||
+      comments[comments.length - 1]?.[1];
+    if (!mapUrl) return null;
+
+    if (mapUrl.startsWith('data:')) {
+      return parseSourceMap(JSON.parse(decodeDataUrl(mapUrl)), scriptUrl);
+    }
+
+    const absoluteMapUrl = new URL(mapUrl, scriptUrl).href;
+    if (!isPageOrigin(absoluteMapUrl)) return null;
+    const mapResponse = await fetch(absoluteMapUrl);
+    if (!mapResponse.ok) return null;
+    return parseSourceMap(await mapResponse.json(), absoluteMapUrl);
+  }
+
+  function decodeDataUrl(dataUrl) {
+    const comma = dataUrl.indexOf(',');
+    const data = dataUrl.slice(comma + 1);
+    if (!/;base64$/.test(dataUrl.slice(0, comma))) return decodeURIComponent(data);
+    const bytes = Uint8Array.from(atob(data), (char) => char.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+  }
+
+  /**
+   * Source names resolved against the map's URL; mappings are decoded when first needed.
+   * Index maps (with `sections`) are not supported.
+   */
+  function parseSourceMap(raw, mapUrl) {
+    if (!raw || typeof raw.mappings !== 'string' || !Array.isArray(raw.sources)) return null;
+
+    const root = raw.sourceRoot ? raw.sourceRoot.replace(/\/?$/, '/') : '';
+    const sources = raw.sources.map((source) => {
+      const name = `${root}${source ?? ''}`;
+      // Absolute URLs (`webpack://...`) and file system paths are kept as they are
+      if (/^[a-z][\w+.-]*:/i.test(name) || name.startsWith('/')) return toSourceFileName(name);
+      return toSourceFileName(new URL(name, mapUrl).href);
+    });
+    return { sources, mappings: raw.mappings, lines: null };
+  }
+
+  /**
+   * Original position of a generated one (1-based line and column, like stack frames)
+   */
+  function findOriginalPosition(map, line, column) {
+    if (!map.lines) map.lines = decodeMappings(map.mappings);
+
+    let match = null;
+    for (const segment of map.lines[line - 1] || []) {
+      if (segment[0] > column - 1) break;
+      match = segment;
+    }
+    if (!match || !map.sources[match[1]]) return null;
+
+    return {
+      fileName: map.sources[match[1]],
+      lineNumber: match[2] + 1,
+      columnNumber: match[3] + 1
+    };
+  }
+
+  /**
+   * Decode source map `mappings` into, per generated line, the segments that have a source:
+   * [generatedColumn, sourceIndex, originalLine, originalColumn], all 0-based
+   */
+  function decodeMappings(mappings) {
+    const lines = [];
+    let sourceIndex = 0;
+    let originalLine = 0;
+    let originalColumn = 0;
+
+    for (const line of mappings.split(';')) {
+      const segments = [];
+      let generatedColumn = 0;
+      for (const segment of line.split(',')) {
+        if (!segment) continue;
+        const values = decodeVlq(segment);
+        generatedColumn += values[0];
+        if (values.length >= 4) {
+          sourceIndex += values[1];
+          originalLine += values[2];
+          originalColumn += values[3];
+          segments.push([generatedColumn, sourceIndex, originalLine, originalColumn]);
+        }
+      }
+      lines.push(segments);
+    }
+    return lines;
+  }
+
+  /**
+   * Base64 VLQ values of one mappings segment
+   */
+  function decodeVlq(segment) {
+    const values = [];
+    let value = 0;
+    let shift = 0;
+    for (const char of segment) {
+      const digit = BASE64_DIGITS.indexOf(char);
+      value += (digit & 31) * 2 ** shift;
+      if (digit & 32) {
+        shift += 5;
+      } else {
+        values.push(value % 2 ? -(value - 1) / 2 : value / 2);
+        value = 0;
+        shift = 0;
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Run `compute`, and once more after the source maps it started loading are in (or
+   * SOURCE_MAP_TIMEOUT has passed), so its result has the original source locations
+   */
+  async function withResolvedSources(compute) {
+    const result = compute();
+    if (pendingSourceMaps.size === 0) return result;
+
+    await Promise.race([
+      Promise.all(pendingSourceMaps),
+      new Promise((resolve) => setTimeout(resolve, SOURCE_MAP_TIMEOUT))
+    ]);
+    return compute();
+  }
 
+  /**
+   * Sanitize a prop, state or context value for display
+   */
+  function sanitizeValue(value, maxDepth = 3) {
     const seen = new WeakSet();
 
     function sanitize(value, depth) {
@@ -171,7 +545,7 @@
         return value.toString();
       }
 
-      if (value instanceof Element || value instanceof Node) {
+      if (isNode(value)) {
         return '[DOM]';
       }
 
@@ -215,64 +589,410 @@
       return value;
     }
 
+    return sanitize(value, 0);
+  }
+
+  /**
+   * Sanitize props for display
+   */
+  function sanitizeProps(props, maxDepth = 3) {
+    if (!props || typeof props !== 'object') return {};
+
     const result = {};
     for (const [key, value] of Object.entries(props)) {
       if (key !== 'children' && !key.startsWith('_')) {
-        result[key] = sanitize(value, 0);
+        result[key] = sanitizeValue(value, maxDepth);
       }
     }
     return result;
   }
 
   /**
-   * Get component info from an element
+   * The committed version of a fiber. The fiber cached on a DOM node can be the
+   * alternate from an earlier render, whose props and state are out of date.
    */
-  function getComponentInfo(element) {
-    const fiber = getFiberFromElement(element);
-    if (!fiber) return null;
+  function getCurrentFiber(fiber) {
+    let root = fiber;
+    while (root.return) root = root.return;
+
+    const isCurrentTree = root.tag !== HOST_ROOT || root.stateNode?.current === root;
+    return !isCurrentTree && fiber.alternate ? fiber.alternate : fiber;
+  }
+
+  /**
+   * Name a hook from its state when React does not record hook names (production builds)
+   */
+  function guessHookType(hook) {
+    const state = hook.memoizedState;
+
+    if (hook.queue) {
+      if ('getSnapshot' in hook.queue) return 'useSyncExternalStore';
+      return hook.queue.lastRenderedReducer?.name === 'basicStateReducer' ? 'useState' : 'useReducer';
+    }
+
+    if (state && typeof state === 'object') {
+      if ('create' in state && 'tag' in state && 'next' in state) return 'useEffect';
+      if (Array.isArray(state) && state.length === 2 && (state[1] === null || Array.isArray(state[1]))) {
+        return typeof state[0] === 'function' ? 'useCallback' : 'useMemo';
+      }
+      if (Object.keys(state).length === 1 && 'current' in state) return 'useRef';
+    }
+
+    return 'hook';
+  }
+
+  /**
+   * State of a component fiber: its hooks in call order (useState/useReducer values,
+   * useMemo results, refs) and how many effects it has, or `this.state` of a class
+   */
+  function getComponentState(fiber) {
+    if (fiber.tag === CLASS_COMPONENT) {
+      return fiber.memoizedState
+        ? { hooks: [{ type: 'this.state', value: sanitizeValue(fiber.memoizedState) }], effects: 0 }
+        : null;
+    }
+    if (![FUNCTION_COMPONENT, FORWARD_REF, SIMPLE_MEMO_COMPONENT].includes(fiber.tag)) return null;
+
+    const hookList = [];
+    for (let hook = fiber.memoizedState; hook && hookList.length < 100; hook = hook.next) {
+      hookList.push(hook);
+    }
+    if (hookList.length === 0) return null;
+
+    // Development builds record the hook names; trust them only if they line up with the list
+    const debugTypes = (fiber._debugHookTypes || []).filter((type) => !STATELESS_HOOKS.includes(type));
+    const hookTypes = debugTypes.length === hookList.length ? debugTypes : hookList.map(guessHookType);
+
+    const hooks = [];
+    let effects = 0;
+    hookList.forEach((hook, index) => {
+      const type = hookTypes[index];
+      const state = hook.memoizedState;
+
+      if (EFFECT_HOOKS.includes(type)) {
+        effects++;
+      } else if (type === 'useRef') {
+        hooks.push({ type, value: sanitizeValue(state?.current) });
+      } else if (type === 'useMemo') {
+        hooks.push({ type, value: sanitizeValue(Array.isArray(state) ? state[0] : state) });
+      } else if (type !== 'useCallback') {
+        // Memoized callbacks say nothing about the component's state
+        hooks.push({ type, value: sanitizeValue(state) });
+      }
+    });
+
+    return { hooks, effects };
+  }
+
+  /**
+   * Values of the nearest provider of each context above a fiber, the contexts
+   * the component reads first
+   */
+  function getContextValues(fiber) {
+    const readContexts = new Set();
+    for (let dependency = fiber.dependencies?.firstContext; dependency; dependency = dependency.next) {
+      readContexts.add(dependency.context);
+    }
+
+    const seen = new Set();
+    const contexts = [];
+    for (let current = fiber.return; current; current = current.return) {
+      if (current.tag !== CONTEXT_PROVIDER) continue;
+
+      // React 19 uses the context as the provider type, earlier versions `{ _context }`
+      const context = current.type?._context || current.type;
+      if (!context || seen.has(context)) continue;
+      seen.add(context);
+
+      contexts.push({
+        name: context.displayName || 'Context',
+        read: readContexts.has(context),
+        value: sanitizeValue(current.memoizedProps?.value, 2)
+      });
+    }
+
+    return contexts
+      .sort((a, b) => Number(b.read) - Number(a.read))
+      .slice(0, MAX_CONTEXTS);
+  }
+
+  /**
+   * The outermost DOM elements a React component renders (several for a fragment)
+   */
+  function getReactHostElements(fiber) {
+    const elements = [];
+    const visit = (node) => {
+      for (let child = node.child; child; child = child.sibling) {
+        if (child.tag === HOST_COMPONENT && isElement(child.stateNode)) {
+          elements.push(child.stateNode);
+        } else {
+          visit(child);
+        }
+      }
+    };
+    visit(getCurrentFiber(fiber));
+    return elements;
+  }
+
+  /**
+   * Whether React renders anything in a document
+   */
+  function isReactPresent(doc) {
+    if (doc.defaultView?.__REACT_DEVTOOLS_GLOBAL_HOOK__ || doc.querySelector('[data-reactroot]')) return true;
+
+    // Also check for fiber on common root elements (#app may just as well be a Vue app)
+    return [...doc.querySelectorAll('#root, #app, #__next')].some((root) =>
+      !!(getFiberFromElement(root) || getFiberFromElement(root.firstElementChild)));
+  }
+
+  /**
+   * Whether a value is a Preact vnode (Preact's property names are mangled:
+   * `__k` children, `__` parent, `__e` DOM node)
+   */
+  function isPreactVNode(value) {
+    return !!value && typeof value === 'object' && 'type' in value && '__k' in value && '__e' in value;
+  }
+
+  /**
+   * The vnode Preact rendered an element from. Preact keeps no link from DOM nodes to
+   * vnodes, so the tree of the nearest render root (which has its vnode in `__k`) is searched.
+   */
+  function findPreactVNode(element) {
+    for (let node = element.parentNode; node; node = node.parentNode) {
+      if (!isPreactVNode(node.__k)) continue;
+
+      const pending = [node.__k];
+      while (pending.length > 0) {
+        const vnode = pending.pop();
+        if (!vnode) continue;
+        if (vnode.__e === element && typeof vnode.type === 'string') return vnode;
+        if (Array.isArray(vnode.__k)) pending.push(...vnode.__k);
+      }
+      return null;
+    }
+    return null;
+  }
+
+  /**
+   * The nearest component vnode from a vnode upward
+   */
+  function findPreactComponent(vnode) {
+    for (let current = vnode; current; current = current.__) {
+      if (typeof current.type !== 'function') continue;
+      const name = current.type.displayName || current.type.name;
+      if (name && !isExcludedName(name) && /^[A-Z]/.test(name)) return current;
+    }
+    return null;
+  }
+
+  /**
+   * The outermost DOM elements a Preact component renders
+   */
+  function getPreactHostElements(vnode) {
+    const elements = [];
+    for (const child of vnode.__k || []) {
+      if (!child) continue;
+      if (typeof child.type === 'string') {
+        if (isElement(child.__e)) elements.push(child.__e);
+      } else {
+        elements.push(...getPreactHostElements(child));
+      }
+    }
+    return elements;
+  }
+
+  /**
+   * Name of a Vue component instance: its `name` option, the SFC's file name
+   * (`__name`, or `__file` in development)
+   */
+  function getVueComponentName(instance) {
+    const type = instance.type || {};
+    return type.name || type.__name ||
+      (type.__file ? type.__file.replace(/^.*[\/\\]/, '').replace(/\.vue$/, '') : null);
+  }
+
+  /**
+   * The nearest user component from a Vue component instance upward
+   */
+  function findVueComponent(instance) {
+    for (let current = instance; current; current = current.parent) {
+      const name = getVueComponentName(current);
+      if (name && !isExcludedName(name) && !VUE_BUILT_IN_COMPONENTS.includes(name)) return current;
+    }
+    return null;
+  }
+
+  /**
+   * The DOM elements a Vue vnode renders: its element, a component's subtree or a fragment's children
+   */
+  function getVueHostElements(vnode) {
+    if (!vnode || typeof vnode !== 'object') return [];
+    if (vnode.component) return getVueHostElements(vnode.component.subTree);
+    if (vnode.shapeFlag & VUE_ELEMENT_SHAPE) return isElement(vnode.el) ? [vnode.el] : [];
+    return Array.isArray(vnode.children) ? vnode.children.flatMap(getVueHostElements) : [];
+  }
+
+  /**
+   * Svelte components can't be reached from the DOM, but development builds record in
+   * `__svelte_meta` where each element was written. A component is represented by the
+   * outermost element written in the same file as the nearest such element.
+   */
+  function findSvelteComponentRoot(element) {
+    let root = null;
+    for (let node = element; node; node = node.parentElement) {
+      const file = node.__svelte_meta?.loc?.file;
+      if (!file) continue;
+      if (root && file !== root.__svelte_meta.loc.file) break;
+      root = node;
+    }
+    return root;
+  }
+
+  /**
+   * Where a Svelte element was written. Svelte 4 reports 0-based lines (and a `char`
+   * offset), Svelte 5 1-based ones.
+   */
+  function getSvelteSource(element) {
+    const loc = element.__svelte_meta.loc;
+    return {
+      fileName: loc.file,
+      lineNumber: loc.char !== undefined ? loc.line + 1 : loc.line,
+      columnNumber: loc.column + 1
+    };
+  }
+
+  /**
+   * Framework adapters, tried in order on each element. A component is whatever object
+   * the adapter uses for it (a fiber, vnode, instance or element). Each adapter has:
+   * - getComponent(element): the nearest component that rendered the element, or null
+   * - getParent(component): the component that rendered it, or null
+   * - getName, getProps, getSource(component)
+   * - getHostElements(component): the outermost DOM elements it renders
+   * - getState, getContexts(component): optional, React only
+   * - isPresent(doc): whether the framework renders anything in the document
+   */
+  const FRAMEWORK_ADAPTERS = [
+    {
+      name: 'React',
+      getComponent(element) {
+        const fiber = findComponentFiber(getFiberFromElement(element), isValidComponent);
+        return fiber ? getCurrentFiber(fiber) : null;
+      },
+      getParent(fiber) {
+        const parent = findComponentFiber(fiber.return, isValidComponent);
+        return parent ? getCurrentFiber(parent) : null;
+      },
+      getName: getComponentName,
+      getProps: (fiber) => fiber.memoizedProps,
+      getSource: getSourceInfo,
+      getHostElements: getReactHostElements,
+      getState: getComponentState,
+      getContexts: getContextValues,
+      isPresent: isReactPresent
+    },
+    {
+      name: 'Preact',
+      getComponent(element) {
+        const vnode = findPreactVNode(element);
+        return vnode ? findPreactComponent(vnode.__) : null;
+      },
+      getParent: (vnode) => findPreactComponent(vnode.__),
+      getName: (vnode) => vnode.type.displayName || vnode.type.name,
+      getProps: (vnode) => vnode.props,
+      // Set by Preact's jsxDEV from the JSX source transform
+      getSource: (vnode) => vnode.__source || null,
+      getHostElements: getPreactHostElements,
+      isPresent: (doc) => [doc.body, ...doc.querySelectorAll('#app, #root, body > div')]
+        .some((node) => isPreactVNode(node?.__k))
+    },
+    {
+      name: 'Vue',
+      // Development builds link every element to the component that rendered it
+      getComponent: (element) => findVueComponent(element.__vueParentComponent),
+      getParent: (instance) => findVueComponent(instance.parent),
+      getName: getVueComponentName,
+      getProps: (instance) => instance.props,
+      getSource: (instance) => (instance.type?.__file ? { fileName: instance.type.__file } : null),
+      getHostElements: (instance) => getVueHostElements(instance.subTree),
+      isPresent: (doc) => !!doc.defaultView?.__VUE__ || !!doc.querySelector('[data-v-app]')
+    },
+    {
+      name: 'Svelte',
+      getComponent: findSvelteComponentRoot,
+      getParent: (root) => (root.parentElement ? findSvelteComponentRoot(root.parentElement) : null),
+      getName: (root) => root.__svelte_meta.loc.file.replace(/^.*[\/\\]/, '').replace(/\.svelte$/, ''),
+      getProps: () => null,
+      getSource: getSvelteSource,
+      getHostElements: (root) => [root],
+      isPresent: (doc) => !!doc.defaultView?.__svelte
+    }
+  ];
 
-    // Find the nearest valid component
-    const componentFiber = findComponentFiber(fiber, isValidComponent);
-    if (!componentFiber) return null;
+  /**
+   * The nearest component that rendered an element, as `{ adapter, component }`
+   */
+  function findComponent(element) {
+    for (const adapter of FRAMEWORK_ADAPTERS) {
+      const component = adapter.getComponent(element);
+      if (component) return { adapter, component };
+    }
+    return null;
+  }
+
+  function getParentComponent({ adapter, component }) {
+    const parent = adapter.getParent(component);
+    return parent ? { adapter, component: parent } : null;
+  }
+
+  function getName({ adapter, component }) {
+    return adapter.getName(component);
+  }
+
+  function getHostElements({ adapter, component }) {
+    return adapter.getHostElements(component);
+  }
+
+  /**
+   * Get component info from an element, for the nearest component above it
+   * unless another one is given
+   */
+  function getComponentInfo(element, target = null) {
+    const found = target || findComponent(element);
+    if (!found) return null;
+    const { adapter, component } = found;
 
-    const name = getComponentName(componentFiber);
+    const name = adapter.getName(component);
     if (!name) return null;
 
-    const sourceInfo = getSourceInfo(componentFiber);
-    const props = componentFiber.memoizedProps
-      ? sanitizeProps(componentFiber.memoizedProps)
-      : {};
+    // The element's own line beats its component's, unless a component above was picked
+    const sourceInfo = (!target && getElementSource(element)) || adapter.getSource(component);
+    const props = adapter.getProps(component);
 
     return {
       name,
-      props,
+      framework: adapter.name,
+      props: props ? sanitizeProps(props) : {},
+      state: adapter.getState?.(component) || null,
+      contexts: adapter.getContexts?.(component) || [],
       source: sourceInfo,
-      fiber: componentFiber
+      component
     };
   }
 
   /**
-   * Find all parent components of an element
+   * Find all parent components of an element (or from the given component upward)
    */
-  function getComponentStack(element) {
-    const fiber = getFiberFromElement(element);
-    if (!fiber) return [];
-
+  function getComponentStack(element, target = null) {
     const stack = [];
-    let current = fiber;
 
-    while (current) {
-      if (isValidComponent(current)) {
-        const name = getComponentName(current);
-        if (name && !stack.some(s => s.name === name)) {
-          const sourceInfo = getSourceInfo(current);
-          stack.push({
-            name,
-            source: sourceInfo
-          });
-        }
+    for (let current = target || findComponent(element); current; current = getParentComponent(current)) {
+      const name = getName(current);
+      if (name && !stack.some(s => s.name === name)) {
+        stack.push({
+          name,
+          source: current.adapter.getSource(current.component)
+        });
       }
-      current = current.return;
     }
 
     return stack;
@@ -326,94 +1046,399 @@
   }
 
   /**
-   * Generate markdown context
+   * Read a style property, joining the four sides of box shorthands
+   * (`8px 16px` rather than `8px 16px 8px 16px`)
    */
-  function generateMarkdown(element, componentInfo, componentStack) {
-    const name = componentInfo?.name || 'Unknown';
-    const props = componentInfo?.props || {};
-    const source = componentInfo?.source;
-
-    let md = `## ${name}\n\n`;
+  function readStyle(style, property) {
+    const sides = BOX_SHORTHANDS[property];
+    if (!sides) return style.getPropertyValue(property);
+
+    const [top, right, bottom, left] = sides.map((side) => style.getPropertyValue(side));
+    if (left !== right) return `${top} ${right} ${bottom} ${left}`;
+    if (top !== bottom) return `${top} ${right} ${bottom}`;
+    if (top !== right) return `${top} ${right}`;
+    return top;
+  }
 
-    if (source?.fileName) {
-      const shortPath = source.fileName.replace(/^.*[\/\\]/, '');
-      md += `**Source:** \`${shortPath}`;
-      if (source.lineNumber) {
-        md += `:${source.lineNumber}`;
+  /**
+   * Computed styles of an element of this tag in a document without any page CSS
+   */
+  function getDefaultStyles(tagName) {
+    if (defaultStyles.has(tagName)) return defaultStyles.get(tagName);
+
+    const defaults = {};
+    const iframe = document.createElement('iframe');
+    iframe.setAttribute('aria-hidden', 'true');
+    iframe.style.cssText = 'position:fixed;width:0;height:0;border:0;visibility:hidden;';
+    document.documentElement.appendChild(iframe);
+    try {
+      const doc = iframe.contentDocument;
+      const element = doc.createElement(tagName);
+      doc.body.appendChild(element);
+      const style = iframe.contentWindow.getComputedStyle(element);
+      for (const properties of Object.values(STYLE_GROUPS)) {
+        for (const property of properties) {
+          defaults[property] = readStyle(style, property);
+        }
       }
-      md += '`\n\n';
+    } catch (e) {
+      // No defaults to compare against; every style is reported
+    } finally {
+      iframe.remove();
     }
 
-    const jsx = generateJSX(element, componentInfo);
-    md += `### JSX\n\`\`\`jsx\n${jsx}\n\`\`\`\n\n`;
-
-    if (Object.keys(props).length > 0) {
-      md += `### Props\n\`\`\`json\n${JSON.stringify(props, null, 2)}\n\`\`\`\n\n`;
-    }
+    defaultStyles.set(tagName, defaults);
+    return defaults;
+  }
 
-    if (componentStack.length > 1) {
-      md += `### Component Stack\n`;
-      for (const comp of componentStack.slice(0, 5)) {
-        md += `- ${comp.name}`;
-        if (comp.source?.fileName) {
-          const shortPath = comp.source.fileName.replace(/^.*[\/\\]/, '');
-          md += ` (\`${shortPath}\`)`;
-        }
-        md += '\n';
+  /**
+   * Computed styles that differ from the browser defaults for the element's tag, by group
+   */
+  function getComputedStyleGroups(element) {
+    const style = element.ownerDocument.defaultView.getComputedStyle(element);
+    const defaults = getDefaultStyles(element.tagName.toLowerCase());
+    const groups = {};
+
+    for (const [group, properties] of Object.entries(STYLE_GROUPS)) {
+      for (const property of properties) {
+        const value = readStyle(style, property);
+        if (!value || value === defaults[property]) continue;
+        groups[group] = groups[group] || {};
+        groups[group][property] = value;
       }
-      md += '\n';
     }
+    return groups;
+  }
 
-    // Element info
-    md += `### Element\n`;
-    md += `- **Tag:** \`${element.tagName.toLowerCase()}\`\n`;
-    if (element.id) {
-      md += `- **ID:** \`${element.id}\`\n`;
-    }
-    if (element.className && typeof element.className === 'string' && element.className.trim()) {
-      md += `- **Classes:** \`${element.className.trim()}\`\n`;
+  /**
+   * Split a selector list on its top-level commas (`:is(a, b)` stays in one piece)
+   */
+  function splitSelectorList(selectorText) {
+    const selectors = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < selectorText.length; i++) {
+      const char = selectorText[i];
+      if (char === '(' || char === '[') depth++;
+      else if (char === ')' || char === ']') depth--;
+      else if (char === ',' && depth === 0) {
+        selectors.push(selectorText.slice(start, i).trim());
+        start = i + 1;
+      }
     }
-
-    const rect = element.getBoundingClientRect();
-    md += `- **Size:** ${Math.round(rect.width)}×${Math.round(rect.height)}px\n`;
-
-    return md;
+    selectors.push(selectorText.slice(start).trim());
+    return selectors;
   }
 
   /**
-   * Main function to get full component context
+   * Where a stylesheet comes from: its file name, the source file Vite injected it for, or `<style>`
    */
-  function getElementContext(element) {
-    if (!element || !(element instanceof Element)) return null;
-
-    const componentInfo = getComponentInfo(element);
-    const componentStack = getComponentStack(element);
+  function getStylesheetOrigin(sheet) {
+    if (sheet.href) return sheet.href.replace(/[?#].*$/, '').replace(/^.*\//, '');
+    const owner = sheet.ownerNode;
+    const viteId = owner?.getAttribute?.('data-vite-dev-id');
+    if (viteId) return viteId.replace(/^.*[\/\\]/, '');
+    return owner ? '<style>' : 'constructed stylesheet';
+  }
 
-    const context = {
-      componentName: componentInfo?.name || element.tagName.toLowerCase(),
-      props: componentInfo?.props || {},
-      source: componentInfo?.source || null,
-      componentStack: componentStack,
-      jsx: generateJSX(element, componentInfo),
-      markdown: generateMarkdown(element, componentInfo, componentStack),
+  /**
+   * Collect the style rules in `rules` that match the element, descending into
+   * @media (when it applies), @supports, @layer, @container and @import.
+   * Rules are told apart by `type`, as `instanceof` fails for an iframe's stylesheets.
+   */
+  function collectMatchingRules(element, rules, origin, conditions, matches) {
+    const view = element.ownerDocument.defaultView;
+    for (const rule of rules) {
+      if (rule.type === CSSRule.STYLE_RULE) {
+        let selectors;
+        try {
+          // Only report the selectors of the list that match; a bare `*` says nothing
+          selectors = splitSelectorList(rule.selectorText)
+            .filter((selector) => selector !== '*' && element.matches(selector));
+        } catch (e) {
+          continue; // Pseudo-elements and nested `&` selectors can't be matched
+        }
+        if (selectors.length > 0 && rule.style.cssText) {
+          matches.push({
+            selector: selectors.join(', '),
+            declarations: rule.style.cssText,
+            origin,
+            conditions
+          });
+        }
+      } else if (rule.type === CSSRule.IMPORT_RULE) {
+        if (rule.styleSheet) collectStylesheetRules(element, rule.styleSheet, matches);
+      } else if (rule.cssRules) {
+        if (rule.type === CSSRule.MEDIA_RULE && !view.matchMedia(rule.media.mediaText).matches) continue;
+        const condition = rule.cssText.slice(0, rule.cssText.indexOf('{')).trim();
+        collectMatchingRules(element, rule.cssRules, origin, [...conditions, condition], matches);
+      }
+    }
+  }
+
+  /**
+   * Collect the matching rules of one stylesheet. Returns false if it could not be read
+   * (cross-origin stylesheets without CORS headers)
+   */
+  function collectStylesheetRules(element, sheet, matches) {
+    if (sheet.disabled) return true;
+    const view = element.ownerDocument.defaultView;
+    if (sheet.media?.mediaText && !view.matchMedia(sheet.media.mediaText).matches) return true;
+
+    let rules;
+    try {
+      rules = sheet.cssRules;
+    } catch (e) {
+      return false;
+    }
+    collectMatchingRules(element, rules, getStylesheetOrigin(sheet), [], matches);
+    return true;
+  }
+
+  /**
+   * Meaningful computed styles of an element plus the CSS rules that apply to it
+   */
+  function getStyleInfo(element) {
+    const rules = [];
+    let unreadableStylesheets = 0;
+    // Inside a shadow root only the shadow root's own stylesheets apply
+    const root = element.getRootNode();
+    const sheets = [...(root.styleSheets || []), ...(root.adoptedStyleSheets || [])];
+    for (const sheet of sheets) {
+      if (!collectStylesheetRules(element, sheet, rules)) unreadableStylesheets++;
+    }
+
+    if (element.style?.cssText) {
+      rules.push({ selector: null, declarations: element.style.cssText, origin: 'style attribute', conditions: [] });
+    }
+
+    return {
+      computed: getComputedStyleGroups(element),
+      rules: rules.slice(-MAX_CSS_RULES),
+      omittedRules: Math.max(0, rules.length - MAX_CSS_RULES),
+      unreadableStylesheets
+    };
+  }
+
+  /**
+   * Markdown for the styles section of the context
+   */
+  function generateStylesMarkdown(styleInfo) {
+    let md = '';
+
+    const groups = Object.entries(styleInfo.computed);
+    if (groups.length > 0) {
+      md += `### Computed Styles\n\`\`\`css\n`;
+      md += groups
+        .map(([group, values]) =>
+          `/* ${group} */\n` +
+          Object.entries(values).map(([property, value]) => `${property}: ${value};`).join('\n'))
+        .join('\n\n');
+      md += '\n```\n\n';
+    }
+
+    if (styleInfo.rules.length > 0) {
+      md += `### Matching CSS Rules\n`;
+      if (styleInfo.omittedRules > 0) {
+        md += `_${styleInfo.omittedRules} earlier rules omitted._\n`;
+      }
+      md += '```css\n';
+      md += styleInfo.rules
+        .map((rule) => {
+          const origin = [rule.origin, ...rule.conditions].join(' ');
+          return rule.selector
+            ? `/* ${origin} */\n${rule.selector} { ${rule.declarations} }`
+            : `/* ${origin} */\n${rule.declarations}`;
+        })
+        .join('\n\n');
+      md += '\n```\n';
+    }
+
+    if (styleInfo.unreadableStylesheets > 0) {
+      md += `_${styleInfo.unreadableStylesheets} cross-origin stylesheet(s) could not be read._\n`;
+    }
+
+    return md;
+  }
+
+  /**
+   * A sanitized value as inline markdown code, shortened if needed
+   */
+  function formatInlineValue(value) {
+    let text = value === undefined ? 'undefined' : JSON.stringify(value);
+    if (text.length > MAX_INLINE_VALUE) {
+      text = `${text.slice(0, MAX_INLINE_VALUE)}…`;
+    }
+    return text.includes('`') ? `\`\` ${text} \`\`` : `\`${text}\``;
+  }
+
+  /**
+   * Generate markdown context
+   */
+  function generateMarkdown(element, componentInfo, componentStack) {
+    const name = componentInfo?.name || 'Unknown';
+    const props = componentInfo?.props || {};
+    const source = componentInfo?.source;
+
+    let md = `## ${name}\n\n`;
+
+    if (source?.fileName) {
+      const shortPath = source.fileName.replace(/^.*[\/\\]/, '');
+      md += `**Source:** \`${shortPath}`;
+      if (source.lineNumber) {
+        md += `:${source.lineNumber}`;
+      }
+      md += '`\n\n';
+    }
+
+    // React is the default; say so when the component is from another framework
+    if (componentInfo?.framework && componentInfo.framework !== 'React') {
+      md += `**Framework:** ${componentInfo.framework}\n\n`;
+    }
+
+    if (contextSections.jsx) {
+      const jsx = generateJSX(element, componentInfo);
+      md += `### JSX\n\`\`\`jsx\n${jsx}\n\`\`\`\n\n`;
+    }
+
+    if (contextSections.props && Object.keys(props).length > 0) {
+      md += `### Props\n\`\`\`json\n${JSON.stringify(props, null, 2)}\n\`\`\`\n\n`;
+    }
+
+    // Hooks in call order, so same-named ones can be told apart
+    const state = componentInfo?.state;
+    if (contextSections.state && state && (state.hooks.length > 0 || state.effects > 0)) {
+      md += `### State\n`;
+      state.hooks.forEach((hook, index) => {
+        md += `${index + 1}. \`${hook.type}\`: ${formatInlineValue(hook.value)}\n`;
+      });
+      if (state.effects > 0) {
+        md += `\n${state.effects} effect${state.effects === 1 ? '' : 's'}\n`;
+      }
+      md += '\n';
+    }
+
+    const contexts = componentInfo?.contexts || [];
+    if (contextSections.context && contexts.length > 0) {
+      md += `### Context\n`;
+      for (const context of contexts) {
+        md += `- **${context.name}**${context.read ? ' (read by this component)' : ''}: ${formatInlineValue(context.value)}\n`;
+      }
+      md += '\n';
+    }
+
+    if (contextSections.componentStack && componentStack.length > 1) {
+      md += `### Component Stack\n`;
+      for (const comp of componentStack.slice(0, 5)) {
+        md += `- ${comp.name}`;
+        if (comp.source?.fileName) {
+          const shortPath = comp.source.fileName.replace(/^.*[\/\\]/, '');
+          md += ` (\`${shortPath}\`)`;
+        }
+        md += '\n';
+      }
+      md += '\n';
+    }
+
+    // Element info
+    if (contextSections.element) {
+      md += `### Element\n`;
+      md += `- **Tag:** \`${element.tagName.toLowerCase()}\`\n`;
+      if (element.id) {
+        md += `- **ID:** \`${element.id}\`\n`;
+      }
+      if (element.className && typeof element.className === 'string' && element.className.trim()) {
+        md += `- **Classes:** \`${element.className.trim()}\`\n`;
+      }
+
+      const rect = element.getBoundingClientRect();
+      md += `- **Size:** ${Math.round(rect.width)}×${Math.round(rect.height)}px\n\n`;
+    }
+
+    // Styles are the slowest part, so they are not even looked at when left out
+    const stylesMarkdown = contextSections.styles ? generateStylesMarkdown(getStyleInfo(element)) : '';
+    if (stylesMarkdown) {
+      md += stylesMarkdown;
+    }
+
+    return md.trimEnd() + '\n';
+  }
+
+  /**
+   * Get (or assign) the stable key of a DOM element
+   */
+  function getElementKey(element) {
+    let key = elementKeys.get(element);
+    if (!key) {
+      key = nextElementKey++;
+      elementKeys.set(element, key);
+      // Every hovered element gets a key; sweeping only once the map has doubled keeps this cheap
+      if (elementsByKey.size >= elementsByKeyLimit) {
+        elementsByKey.forEach((ref, oldKey) => {
+          if (!ref.deref()) elementsByKey.delete(oldKey);
+        });
+        elementsByKeyLimit = Math.max(256, elementsByKey.size * 2);
+      }
+      elementsByKey.set(key, new WeakRef(element));
+    }
+    return key;
+  }
+
+  /**
+   * What hovering and rectangle selection need: the component's name and source and the
+   * element's key, to find it again. The rest of the context (props, styles, markdown) is only
+   * built once the component is grabbed, see GRAB_GET_CONTEXTS; reading styles scans every CSS rule.
+   */
+  function getElementSummary(element, target = null) {
+    if (!isElement(element)) return null;
+
+    const found = target || findComponent(element);
+    const name = found && getName(found);
+
+    return {
+      componentName: name || element.tagName.toLowerCase(),
+      framework: name ? found.adapter.name : null,
+      // The element's own line beats its component's, unless a component above was picked
+      source: (name && ((!target && getElementSource(element)) || found.adapter.getSource(found.component))) || null,
       element: {
+        key: getElementKey(element),
         tagName: element.tagName.toLowerCase(),
         id: element.id || '',
         className: element.className || '',
-        rect: element.getBoundingClientRect()
+        rect: getElementRect(element)
       }
     };
+  }
+
+  /**
+   * Main function to get full component context. `target` (`{ adapter, component }`)
+   * picks a component above the element other than the nearest one.
+   */
+  function getElementContext(element, target = null) {
+    const summary = getElementSummary(element, target);
+    if (!summary) return null;
 
-    return context;
+    const componentInfo = getComponentInfo(element, target);
+    const componentStack = getComponentStack(element, target);
+
+    return {
+      ...summary,
+      props: componentInfo?.props || {},
+      state: componentInfo?.state || null,
+      contexts: componentInfo?.contexts || [],
+      componentStack: componentStack,
+      jsx: generateJSX(element, componentInfo),
+      markdown: generateMarkdown(element, componentInfo, componentStack)
+    };
   }
 
   /**
    * Check if element is interactive (visible, has pointer-events)
    */
   function isInteractiveElement(element) {
-    if (!element || !(element instanceof Element)) return false;
+    if (!isElement(element)) return false;
 
-    const style = window.getComputedStyle(element);
+    const style = element.ownerDocument.defaultView.getComputedStyle(element);
 
     // Check visibility
     if (style.display === 'none') return false;
@@ -428,42 +1453,145 @@
     return true;
   }
 
+  /**
+   * Check if element belongs to the extension's own UI
+   */
+  function isOwnElement(element) {
+    return element.classList.contains('react-grab-bridge-overlay') ||
+      element.classList.contains('react-grab-bridge-label') ||
+      element.classList.contains('react-grab-selection-marker') ||
+      element.closest('.react-grab-dialog') ||
+      element.closest('.react-grab-load-prompt');
+  }
+
+  /**
+   * Whether a value is a DOM node. Nodes of a same-origin iframe belong to another
+   * window, so `instanceof Node` can't be used.
+   */
+  function isNode(value) {
+    return !!value && typeof value === 'object' &&
+      typeof value.nodeType === 'number' && typeof value.nodeName === 'string';
+  }
+
+  function isElement(value) {
+    return isNode(value) && value.nodeType === Node.ELEMENT_NODE;
+  }
+
+  /**
+   * The document of a same-origin iframe, or null (not an iframe, cross-origin or not loaded yet)
+   */
+  function getFrameDocument(element) {
+    if (element.tagName !== 'IFRAME' && element.tagName !== 'FRAME') return null;
+    try {
+      return element.contentDocument || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Where an iframe's viewport starts, in the viewport of the document the iframe is in
+   */
+  function getFrameContentOffset(frame) {
+    const rect = frame.getBoundingClientRect();
+    const style = frame.ownerDocument.defaultView.getComputedStyle(frame);
+    return {
+      x: rect.left + frame.clientLeft + parseFloat(style.paddingLeft),
+      y: rect.top + frame.clientTop + parseFloat(style.paddingTop)
+    };
+  }
+
+  /**
+   * Offset from a document's viewport to the top frame's (zero for the top document)
+   */
+  function getDocumentOffset(doc) {
+    let x = 0;
+    let y = 0;
+    for (let view = doc.defaultView; view && view !== window && view.frameElement; view = view.parent) {
+      const offset = getFrameContentOffset(view.frameElement);
+      x += offset.x;
+      y += offset.y;
+    }
+    return { x, y };
+  }
+
+  /**
+   * Bounding rect of an element in the top frame's viewport, which is where the overlay is drawn
+   */
+  function getElementRect(element) {
+    const rect = element.getBoundingClientRect();
+    const offset = getDocumentOffset(element.ownerDocument);
+    if (offset.x === 0 && offset.y === 0) return rect;
+    return new DOMRect(rect.x + offset.x, rect.y + offset.y, rect.width, rect.height);
+  }
+
+  /**
+   * Elements at a point, topmost first, looking inside open shadow roots and same-origin
+   * iframes (which `elementsFromPoint` stops at). The point is in the viewport of `root`'s document.
+   */
+  function deepElementsFromPoint(root, x, y) {
+    const elements = root.elementsFromPoint(x, y);
+    const topmost = elements[0];
+    if (!topmost) return elements;
+
+    let inner = [];
+    const frameDocument = getFrameDocument(topmost);
+    if (topmost.shadowRoot && topmost.shadowRoot !== root) {
+      inner = deepElementsFromPoint(topmost.shadowRoot, x, y);
+    } else if (frameDocument) {
+      const offset = getFrameContentOffset(topmost);
+      inner = deepElementsFromPoint(frameDocument, x - offset.x, y - offset.y);
+    }
+
+    // A shadow root also reports its host and the host's ancestors
+    return inner.length > 0 ? [...new Set([...inner, ...elements])] : elements;
+  }
+
+  /**
+   * Every element under a root in document order, followed into open shadow roots and
+   * same-origin iframes (their elements come right after the host or iframe)
+   */
+  function* walkElements(root) {
+    for (const element of root.querySelectorAll('*')) {
+      yield element;
+      const inner = element.shadowRoot || getFrameDocument(element)?.body;
+      if (inner) yield* walkElements(inner);
+    }
+  }
+
+  /**
+   * This document and the documents of the same-origin iframes in it, nested ones included
+   */
+  function getDocuments(doc = document) {
+    const documents = [doc];
+    for (const frame of doc.querySelectorAll('iframe, frame')) {
+      const frameDocument = getFrameDocument(frame);
+      if (frameDocument) documents.push(...getDocuments(frameDocument));
+    }
+    return documents;
+  }
+
   /**
    * Find the best element at a point (with React component)
    */
   function findComponentElementAtPoint(x, y) {
-    const elements = document.elementsFromPoint(x, y);
+    const elements = deepElementsFromPoint(document, x, y);
 
     for (const element of elements) {
       // Skip our overlay elements
-      if (element.classList.contains('react-grab-bridge-overlay') ||
-          element.classList.contains('react-grab-bridge-label') ||
-          element.closest('.react-grab-dialog') ||
-          element.closest('.react-grab-load-prompt')) {
-        continue;
-      }
+      if (isOwnElement(element)) continue;
 
       if (!isInteractiveElement(element)) continue;
 
-      // Check if this element has a React fiber
-      const fiber = getFiberFromElement(element);
-      if (fiber) {
-        // Find the nearest valid component
-        const componentFiber = findComponentFiber(fiber, isValidComponent);
-        if (componentFiber) {
-          return element;
-        }
+      // Check if a framework rendered this element from a component
+      if (findComponent(element)) {
+        return element;
       }
     }
 
     // Fallback: return first interactive element
     for (const element of elements) {
-      if (element.classList.contains('react-grab-bridge-overlay') ||
-          element.classList.contains('react-grab-bridge-label') ||
-          element.closest('.react-grab-dialog') ||
-          element.closest('.react-grab-load-prompt')) {
-        continue;
-      }
+      if (isOwnElement(element)) continue;
       if (isInteractiveElement(element)) {
         return element;
       }
@@ -472,33 +1600,326 @@
     return null;
   }
 
+  /**
+   * Components from the element upward, innermost first, as `{ adapter, component }`
+   */
+  function getComponentChain(element) {
+    const chain = [];
+    for (let current = findComponent(element); current; current = getParentComponent(current)) {
+      chain.push(current);
+    }
+    return chain;
+  }
+
+  /**
+   * Plain copy of a DOMRect, which can't be posted as it is
+   */
+  function toRectData(rect) {
+    return {
+      top: rect.top,
+      left: rect.left,
+      width: rect.width,
+      height: rect.height,
+      bottom: rect.bottom,
+      right: rect.right
+    };
+  }
+
+  /**
+   * Smallest rect around the visible elements (the first element's if none is visible)
+   */
+  function getUnionRect(elements) {
+    const visible = elements
+      .map((el) => getElementRect(el))
+      .filter((r) => r.width > 0 || r.height > 0);
+    if (visible.length === 0) return getElementRect(elements[0]);
+
+    const left = Math.min(...visible.map((r) => r.left));
+    const top = Math.min(...visible.map((r) => r.top));
+    return new DOMRect(
+      left,
+      top,
+      Math.max(...visible.map((r) => r.right)) - left,
+      Math.max(...visible.map((r) => r.bottom)) - top
+    );
+  }
+
+  /**
+   * Find a grabbed component again from its element key and name. A component other
+   * than the element's nearest one (picked with the keyboard) is followed through the framework.
+   */
+  function resolveTarget(key, componentName) {
+    const element = elementsByKey.get(key)?.deref();
+    if (!element?.isConnected) {
+      elementsByKey.delete(key);
+      return null;
+    }
+
+    const chain = getComponentChain(element);
+    const component = chain.length > 0 && getName(chain[0]) !== componentName
+      ? chain.find((c) => getName(c) === componentName) || null
+      : null;
+    return { element, component, observed: new Set(), lastRect: null };
+  }
+
+  /**
+   * Elements that make up a target right now (a component may render new ones)
+   */
+  function getTargetElements(target) {
+    if (!target.component) return target.element.isConnected ? [target.element] : [];
+    return getHostElements(target.component).filter((el) => el.isConnected);
+  }
+
+  /**
+   * Start following a target; its rect is posted under `trackId` until it is untracked or gone
+   */
+  function trackTarget(trackId, key, componentName) {
+    untrackTarget(trackId);
+
+    const target = resolveTarget(key, componentName);
+    if (!target) {
+      window.postMessage({ type: 'GRAB_TRACKED_RECTS', rects: { [trackId]: null } }, '*');
+      return;
+    }
+
+    target.resizeObserver = new ResizeObserver(scheduleTrackingUpdate);
+    target.intersectionObserver = new IntersectionObserver(scheduleTrackingUpdate, {
+      threshold: [0, 0.25, 0.5, 0.75, 1]
+    });
+    trackedTargets.set(trackId, target);
+
+    if (!trackingObserver) {
+      trackingObserver = new MutationObserver((mutations) => {
+        if (mutations.some((mutation) => !isOwnMutation(mutation))) scheduleTrackingUpdate();
+      });
+      watchTrackingDocument(document);
+    }
+
+    scheduleTrackingUpdate();
+  }
+
+  /**
+   * Follow the changes that can move a target in a document: the top one, or
+   * an iframe's (scrolling inside it moves the targets it contains)
+   */
+  function watchTrackingDocument(doc) {
+    if (trackingDocuments.has(doc)) return;
+    trackingDocuments.add(doc);
+
+    trackingObserver.observe(doc.documentElement, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      characterData: true
+    });
+    doc.defaultView.addEventListener('scroll', scheduleTrackingUpdate, { capture: true, passive: true });
+    doc.defaultView.addEventListener('resize', scheduleTrackingUpdate);
+    doc.addEventListener('transitionend', scheduleTrackingUpdate, true);
+    doc.addEventListener('animationend', scheduleTrackingUpdate, true);
+  }
+
+  /**
+   * Watch the document of an element and those of the iframes around it
+   */
+  function watchElementDocuments(element) {
+    for (let view = element.ownerDocument.defaultView; view && view !== window && view.frameElement; view = view.parent) {
+      if (trackingDocuments.has(view.document)) break;
+      watchTrackingDocument(view.document);
+    }
+  }
+
+  /**
+   * Stop following a target
+   */
+  function untrackTarget(trackId) {
+    const target = trackedTargets.get(trackId);
+    if (!target) return;
+
+    target.resizeObserver.disconnect();
+    target.intersectionObserver.disconnect();
+    trackedTargets.delete(trackId);
+
+    if (trackedTargets.size === 0 && trackingObserver) {
+      trackingObserver.disconnect();
+      trackingObserver = null;
+      for (const doc of trackingDocuments) {
+        doc.defaultView?.removeEventListener('scroll', scheduleTrackingUpdate, { capture: true });
+        doc.defaultView?.removeEventListener('resize', scheduleTrackingUpdate);
+        doc.removeEventListener('transitionend', scheduleTrackingUpdate, true);
+        doc.removeEventListener('animationend', scheduleTrackingUpdate, true);
+      }
+      trackingDocuments.clear();
+    }
+  }
+
+  /**
+   * Whether a mutation only touched our own UI
+   */
+  function isOwnMutation(mutation) {
+    const isOwn = (node) => {
+      const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+      return !!element?.closest(OWN_UI_SELECTOR);
+    };
+    if (mutation.type !== 'childList') return isOwn(mutation.target);
+    return [...mutation.addedNodes, ...mutation.removedNodes].every(isOwn);
+  }
+
+  function scheduleTrackingUpdate() {
+    if (!trackingFrame && trackedTargets.size > 0) {
+      trackingFrame = requestAnimationFrame(updateTrackedTargets);
+    }
+  }
+
+  /**
+   * Post the rects of the targets that moved, and null for the ones that disappeared
+   */
+  function updateTrackedTargets() {
+    trackingFrame = null;
+    const rects = {};
+    const elements = [];
+
+    for (const [trackId, target] of [...trackedTargets]) {
+      const targetElements = getTargetElements(target);
+      if (targetElements.length === 0) {
+        untrackTarget(trackId);
+        rects[trackId] = null;
+        continue;
+      }
+
+      for (const element of targetElements) {
+        if (!target.observed.has(element)) {
+          target.observed.add(element);
+          target.resizeObserver.observe(element);
+          target.intersectionObserver.observe(element);
+          watchElementDocuments(element);
+        }
+      }
+      elements.push(...targetElements);
+
+      const rect = toRectData(getUnionRect(targetElements));
+      const signature = JSON.stringify(rect);
+      if (signature !== target.lastRect) {
+        target.lastRect = signature;
+        rects[trackId] = rect;
+      }
+    }
+
+    if (Object.keys(rects).length > 0) {
+      window.postMessage({ type: 'GRAB_TRACKED_RECTS', rects }, '*');
+    }
+
+    // Observers don't report CSS animations and transitions, so follow them frame by frame
+    const isAnimating = [...trackingDocuments].some((doc) => doc.getAnimations?.().some((animation) => {
+      const animated = animation.effect?.target;
+      return animation.playState === 'running' && animated &&
+        elements.some((element) => animated.contains(element));
+    }));
+    if (isAnimating) scheduleTrackingUpdate();
+  }
+
+  /**
+   * Summary, rect and breadcrumb of the highlighted level of the hovered chain.
+   * A component above the hovered element covers all the elements it renders.
+   */
+  function getHoverHighlight() {
+    let element = hoverElement;
+    let rect = getElementRect(element);
+    let context;
+
+    if (hoverLevel === 0) {
+      context = getElementSummary(element);
+    } else {
+      const component = hoverChain[hoverLevel];
+      const elements = getHostElements(component);
+      if (elements.length > 0) {
+        element = elements[0];
+        rect = getUnionRect(elements);
+      }
+      context = getElementSummary(element, component);
+    }
+
+    return {
+      context,
+      rect: toRectData(rect),
+      hierarchy: {
+        names: hoverChain.map(getName),
+        level: hoverLevel
+      }
+    };
+  }
+
+  /**
+   * Post the hover highlight for a request. When source maps have to be loaded first,
+   * the reply describes whatever is hovered by then (nothing if the hover went away).
+   */
+  function postHoverHighlight(requestId) {
+    withResolvedSources(() => hoverElement && getHoverHighlight()).then((highlight) => {
+      if (!highlight) return;
+      window.postMessage({
+        type: 'GRAB_ELEMENT_FOUND',
+        requestId,
+        ...highlight
+      }, '*');
+    });
+  }
+
+  /**
+   * Find the distinct components rendered in a viewport rectangle, each represented by
+   * its outermost DOM element that intersects it. A component with an element that
+   * contains the whole rectangle surrounds the selection (e.g. the app root) and is skipped.
+   */
+  function findComponentElementsInRect(selection) {
+    const found = [];
+    const seenComponents = new WeakSet();
+
+    // Elements come in document order, so ancestors come before their descendants
+    for (const element of walkElements(document.body)) {
+      if (isOwnElement(element)) continue;
+
+      const rect = getElementRect(element);
+      if (rect.right < selection.left || rect.left > selection.right ||
+          rect.bottom < selection.top || rect.top > selection.bottom) {
+        continue;
+      }
+
+      const component = findComponent(element)?.component;
+      if (!component || seenComponents.has(component)) continue;
+
+      const surroundsSelection = rect.left <= selection.left && rect.right >= selection.right &&
+        rect.top <= selection.top && rect.bottom >= selection.bottom;
+      if (!surroundsSelection && !isInteractiveElement(element)) continue;
+
+      seenComponents.add(component);
+
+      if (!surroundsSelection) {
+        found.push(element);
+        if (found.length >= MAX_RECT_COMPONENTS) break;
+      }
+    }
+
+    return found;
+  }
+
   // Listen for messages from content script
   window.addEventListener('message', (event) => {
     if (event.source !== window) return;
 
     switch (event.data.type) {
       case 'GRAB_GET_ELEMENT_AT_POINT': {
-        const { x, y, requestId } = event.data;
+        const { x, y, requestId, resetLevel } = event.data;
         const element = findComponentElementAtPoint(x, y);
 
         if (element) {
-          const context = getElementContext(element);
-          const rect = element.getBoundingClientRect();
+          // Staying on the same element keeps the level picked with the keyboard
+          if (element !== hoverElement || resetLevel) {
+            hoverElement = element;
+            hoverChain = getComponentChain(element);
+            hoverLevel = 0;
+          }
 
-          window.postMessage({
-            type: 'GRAB_ELEMENT_FOUND',
-            requestId,
-            context,
-            rect: {
-              top: rect.top,
-              left: rect.left,
-              width: rect.width,
-              height: rect.height,
-              bottom: rect.bottom,
-              right: rect.right
-            }
-          }, '*');
+          postHoverHighlight(requestId);
         } else {
+          hoverElement = null;
           window.postMessage({
             type: 'GRAB_ELEMENT_NOT_FOUND',
             requestId
@@ -507,17 +1928,45 @@
         break;
       }
 
+      case 'GRAB_NAVIGATE_HIERARCHY': {
+        const { direction, requestId } = event.data;
+        if (!hoverElement?.isConnected) {
+          window.postMessage({ type: 'GRAB_ELEMENT_NOT_FOUND', requestId }, '*');
+          break;
+        }
+
+        const level = hoverLevel + (direction === 'parent' ? 1 : -1);
+        if (level >= 0 && level < hoverChain.length) {
+          hoverLevel = level;
+        }
+
+        postHoverHighlight(requestId);
+        break;
+      }
+
+      case 'GRAB_TRACK': {
+        const { trackId, key, componentName } = event.data;
+        trackTarget(trackId, key, componentName);
+        break;
+      }
+
+      case 'GRAB_UNTRACK': {
+        untrackTarget(event.data.trackId);
+        break;
+      }
+
       case 'GRAB_GET_CONTEXT': {
         const { x, y, requestId } = event.data;
         const element = findComponentElementAtPoint(x, y);
 
         if (element) {
-          const context = getElementContext(element);
-          window.postMessage({
-            type: 'GRAB_CONTEXT_RESULT',
-            requestId,
-            context
-          }, '*');
+          withResolvedSources(() => getElementContext(element)).then((context) => {
+            window.postMessage({
+              type: 'GRAB_CONTEXT_RESULT',
+              requestId,
+              context
+            }, '*');
+          });
         } else {
           window.postMessage({
             type: 'GRAB_CONTEXT_RESULT',
@@ -528,24 +1977,63 @@
         break;
       }
 
-      case 'GRAB_CHECK_REACT': {
-        const hasReact = !!window.__REACT_DEVTOOLS_GLOBAL_HOOK__ ||
-                        !!document.querySelector('[data-reactroot]') ||
-                        !!document.querySelector('#root, #app, #__next');
-
-        // Also check for fiber on common root elements
-        let hasFiber = false;
-        const roots = document.querySelectorAll('#root, #app, #__next, [data-reactroot]');
-        for (const root of roots) {
-          if (getFiberFromElement(root) || getFiberFromElement(root.firstElementChild)) {
-            hasFiber = true;
-            break;
+      case 'GRAB_GET_ELEMENTS_IN_RECT': {
+        const { rect: selection, requestId } = event.data;
+        const elements = findComponentElementsInRect(selection);
+        withResolvedSources(() => elements.map((element) => ({
+          context: getElementSummary(element),
+          rect: toRectData(getElementRect(element))
+        }))).then((items) => {
+          window.postMessage({
+            type: 'GRAB_ELEMENTS_IN_RECT_RESULT',
+            requestId,
+            items
+          }, '*');
+        });
+        break;
+      }
+
+      case 'GRAB_GET_CONTEXTS': {
+        // Full contexts of grabbed components, found again from the summaries' keys and names;
+        // null for the ones that are gone or whose context could not be read
+        const { targets, requestId } = event.data;
+        const postContexts = (contexts) => {
+          window.postMessage({
+            type: 'GRAB_CONTEXTS_RESULT',
+            requestId,
+            contexts
+          }, '*');
+        };
+        withResolvedSources(() => targets.map(({ key, componentName }) => {
+          try {
+            const target = resolveTarget(key, componentName);
+            return target && getElementContext(target.element, target.component);
+          } catch (e) {
+            return null; // Reading styles or hooks can throw on unusual elements
           }
-        }
+        }))
+          .then(postContexts)
+          .catch(() => postContexts(targets.map(() => null)));
+        break;
+      }
+
+      case 'GRAB_SET_OPTIONS': {
+        contextSections = { ...contextSections, ...event.data.contextSections };
+        break;
+      }
+
+      case 'GRAB_CHECK_REACT': {
+        // The framework may only be running in an iframe, e.g. a Storybook canvas
+        const documents = getDocuments();
+        const frameworks = FRAMEWORK_ADAPTERS
+          .filter((adapter) => documents.some((doc) => adapter.isPresent(doc)))
+          .map((adapter) => adapter.name);
 
+        // `hasReact` predates the other frameworks and means any supported one
         window.postMessage({
           type: 'GRAB_REACT_CHECK_RESULT',
-          hasReact: hasReact || hasFiber
+          hasReact: frameworks.length > 0,
+          frameworks
         }, '*');
         break;
       }
@@ -0,0 +1,268 @@
+/**
+ * Options page script. Settings are stored in chrome.storage.sync, where the
+ * content scripts pick up changes right away (see src/lib/settings.ts).
+ */
+
+const DEFAULT_SETTINGS = {
+  ports: [9765, 9766, 9767, 9768, 9769],
+  activation: { shortcut: 'Alt', holdDuration: 150, mode: 'hold' },
+  defaultTarget: 'copilot',
+  contextSections: {
+    jsx: true,
+    props: true,
+    state: true,
+    context: true,
+    componentStack: true,
+    element: true,
+    styles: true,
+  },
+  overlayColor: '#8b5cf6',
+  workspaceRules: {}, // Page host (e.g. 'localhost:3000') -> workspace name
+};
+const CONTEXT_SECTION_LABELS = {
+  jsx: 'JSX',
+  props: 'Props',
+  state: 'State (hooks)',
+  context: 'Context values',
+  componentStack: 'Component stack',
+  element: 'Element (tag, classes, size)',
+  styles: 'Styles (computed styles and CSS rules)',
+};
+const MAX_PORTS = 20;
+const MAX_HOLD_DURATION = 2000;
+const MODIFIER_KEYS = { Control: 'ctrlKey', Alt: 'altKey', Shift: 'shiftKey', Meta: 'metaKey' };
+
+let settings = DEFAULT_SETTINGS;
+let savedTimer = null;
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const stored = await chrome.storage.sync.get(Object.keys(DEFAULT_SETTINGS));
+  settings = {
+    ...DEFAULT_SETTINGS,
+    ...stored,
+    activation: { ...DEFAULT_SETTINGS.activation, ...stored.activation },
+    contextSections: { ...DEFAULT_SETTINGS.contextSections, ...stored.contextSections },
+  };
+
+  setupPorts();
+  setupActivation();
+  setupWorkspaceRules();
+  setupDefaultTarget();
+  setupContextSections();
+  setupOverlayColor();
+});
+
+// Save some settings and briefly say so
+async function saveSettings(changes) {
+  settings = { ...settings, ...changes };
+  await chrome.storage.sync.set(changes);
+
+  const saved = document.getElementById('saved');
+  saved.classList.add('visible');
+  clearTimeout(savedTimer);
+  savedTimer = setTimeout(() => saved.classList.remove('visible'), 1500);
+}
+
+// Port list or ranges such as '9765-9769, 9800'
+function setupPorts() {
+  const input = document.getElementById('ports-input');
+  const error = document.getElementById('ports-error');
+  input.value = formatPorts(settings.ports);
+
+  input.addEventListener('change', () => {
+    const ports = parsePorts(input.value);
+    if (!ports) {
+      error.textContent = `Enter ports or ranges such as 9765-9769, at most ${MAX_PORTS} in total`;
+      return;
+    }
+    error.textContent = '';
+    input.value = formatPorts(ports);
+    saveSettings({ ports });
+  });
+}
+
+// Parse a port list such as '9765-9769, 9800', or null if any part is not a port or range
+function parsePorts(text) {
+  const ports = new Set();
+  const isPort = (port) => Number.isInteger(port) && port > 0 && port < 65536;
+
+  for (const part of text.split(',').map((p) => p.trim()).filter(Boolean)) {
+    const match = /^(\d+)(?:\s*-\s*(\d+))?$/.exec(part);
+    if (!match) return null;
+
+    const start = Number(match[1]);
+    const end = Number(match[2] ?? match[1]);
+    if (!isPort(start) || !isPort(end) || end < start || end - start >= MAX_PORTS) return null;
+
+    for (let port = start; port <= end; port++) ports.add(port);
+  }
+
+  return ports.size > 0 && ports.size <= MAX_PORTS ? [...ports] : null;
+}
+
+// Consecutive ports are shown as a range
+function formatPorts(ports) {
+  const ranges = [];
+  const sorted = [...ports].sort((a, b) => a - b);
+
+  for (let i = 0; i < sorted.length; i++) {
+    const start = sorted[i];
+    while (sorted[i + 1] === sorted[i] + 1) i++;
+    ranges.push(start === sorted[i] ? `${start}` : `${start}-${sorted[i]}`);
+  }
+
+  return ranges.join(', ');
+}
+
+// Grab mode shortcut, hold/toggle mode and hold duration
+function setupActivation() {
+  const shortcutInput = document.getElementById('shortcut-input');
+  const modeSelect = document.getElementById('activation-mode');
+  const durationInput = document.getElementById('hold-duration');
+  const saveActivation = (changes) => {
+    saveSettings({ activation: { ...settings.activation, ...changes } });
+    updateHoldDurationRow();
+  };
+  const updateHoldDurationRow = () => {
+    document.getElementById('hold-duration-row').style.display =
+      settings.activation.mode === 'toggle' ? 'none' : '';
+  };
+
+  shortcutInput.value = settings.activation.shortcut;
+  modeSelect.value = settings.activation.mode;
+  durationInput.value = settings.activation.holdDuration;
+  updateHoldDurationRow();
+
+  // Record whatever keys are pressed while the field has focus
+  shortcutInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Tab') return;
+    e.preventDefault();
+    shortcutInput.value =
+      e.key === 'Backspace' ? DEFAULT_SETTINGS.activation.shortcut : shortcutFromEvent(e);
+  });
+  shortcutInput.addEventListener('keyup', () => {
+    if (shortcutInput.value && shortcutInput.value !== settings.activation.shortcut) {
+      saveActivation({ shortcut: shortcutInput.value });
+    }
+  });
+
+  modeSelect.addEventListener('change', () => {
+    saveActivation({ mode: modeSelect.value });
+  });
+
+  durationInput.addEventListener('change', () => {
+    const holdDuration = Math.min(Math.max(Math.round(Number(durationInput.value)) || 0, 0), MAX_HOLD_DURATION);
+    durationInput.value = holdDuration;
+    saveActivation({ holdDuration });
+  });
+}
+
+// Chord for the keys held in a keydown, e.g. 'Control+Shift+G'
+function shortcutFromEvent(event) {
+  const modifiers = Object.keys(MODIFIER_KEYS).filter((modifier) => event[MODIFIER_KEYS[modifier]]);
+  if (MODIFIER_KEYS[event.key]) {
+    return modifiers.join('+');
+  }
+
+  // Physical key for letters and digits, since Option on macOS turns them into other characters
+  const match = /^(?:Key([A-Z])|Digit(\d))$/.exec(event.code);
+  const key = match ? match[1] || match[2] : event.key.length === 1 ? event.key.toUpperCase() : event.key;
+  return [...modifiers, key].join('+');
+}
+
+// Host -> workspace name rows; rows missing either half stay on the page but are not saved
+function setupWorkspaceRules() {
+  const container = document.getElementById('workspace-rules');
+
+  const saveRules = () => {
+    const workspaceRules = {};
+    container.querySelectorAll('.rule-row').forEach((row) => {
+      const hostInput = row.querySelector('.rule-host');
+      const host = normalizeHost(hostInput.value);
+      const name = row.querySelector('.rule-name').value.trim();
+      hostInput.value = host;
+      if (host && name) workspaceRules[host] = name;
+    });
+    if (JSON.stringify(workspaceRules) !== JSON.stringify(settings.workspaceRules)) {
+      saveSettings({ workspaceRules });
+    }
+  };
+
+  const addRow = (host, name) => {
+    const row = document.createElement('div');
+    row.className = 'rule-row';
+
+    const hostInput = document.createElement('input');
+    hostInput.type = 'text';
+    hostInput.className = 'rule-host';
+    hostInput.placeholder = 'localhost:3000';
+    hostInput.value = host;
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'rule-name';
+    nameInput.placeholder = 'Workspace name';
+    nameInput.value = name;
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.textContent = '×';
+    removeButton.title = 'Remove rule';
+    removeButton.addEventListener('click', () => {
+      row.remove();
+      saveRules();
+    });
+
+    hostInput.addEventListener('change', saveRules);
+    nameInput.addEventListener('change', saveRules);
+    row.append(hostInput, '→', nameInput, removeButton);
+    container.appendChild(row);
+    return hostInput;
+  };
+
+  Object.entries(settings.workspaceRules).forEach(([host, name]) => addRow(host, name));
+  document.getElementById('add-workspace-rule').addEventListener('click', () => addRow('', '').focus());
+}
+
+// 'http://localhost:3000/app' or 'LOCALHOST:3000' -> 'localhost:3000', as rules are keyed
+function normalizeHost(text) {
+  return text.trim().toLowerCase().replace(/^[a-z][a-z0-9+.-]*:\/\//, '').replace(/[/?#].*$/, '');
+}
+
+function setupDefaultTarget() {
+  const select = document.getElementById('default-target');
+  select.value = settings.defaultTarget;
+  select.addEventListener('change', () => {
+    saveSettings({ defaultTarget: select.value });
+  });
+}
+
+function setupContextSections() {
+  const container = document.getElementById('context-sections');
+
+  Object.entries(CONTEXT_SECTION_LABELS).forEach(([section, labelText]) => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = settings.contextSections[section] !== false;
+    checkbox.addEventListener('change', () => {
+      saveSettings({ contextSections: { ...settings.contextSections, [section]: checkbox.checked } });
+    });
+
+    label.append(checkbox, labelText);
+    container.appendChild(label);
+  });
+}
+
+function setupOverlayColor() {
+  const input = document.getElementById('overlay-color');
+  input.value = settings.overlayColor;
+
+  input.addEventListener('change', () => {
+    saveSettings({ overlayColor: input.value });
+  });
+  document.getElementById('overlay-color-reset').addEventListener('click', () => {
+    input.value = DEFAULT_SETTINGS.overlayColor;
+    saveSettings({ overlayColor: DEFAULT_SETTINGS.overlayColor });
+  });
+}
@@ -5,8 +5,19 @@
 let currentTab = null;
 let currentHost = null;
 
+
 // Initialize popup when opened
 document.addEventListener('DOMContentLoaded', async () => {
+  // Shortcut and ports are edited on the options page
+  showSettingsSummary();
+  document.getElementById('open-options').addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+  });
+
+  // The background worker holds the VSCode connections for all tabs
+  checkConnectionStatus();
+  showOutbox();
+
   // Get current tab information
   const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
   currentTab = tabs[0];
@@ -21,10 +32,6 @@ document.addEventListener('DOMContentLoaded', async () => {
 
       // Load saved settings for this host
       await loadHostSettings();
-
-      // Check connection status
-      checkConnectionStatus();
-
     } catch (e) {
       // Invalid URL (like chrome:// pages)
       document.getElementById('current-host').textContent = 'Invalid page';
@@ -120,21 +127,219 @@ async function saveHostSetting(enabled) {
   console.log('Settings saved:', { enabledHosts, disabledHosts });
 }
 
+// Show the grab shortcut and ports chosen on the options page
+async function showSettingsSummary() {
+  const { activation, ports } = await chrome.storage.sync.get(['activation', 'ports']);
+  const shortcut = activation?.shortcut || 'Alt';
+
+  const hint = document.getElementById('activation-hint');
+  hint.textContent = activation?.mode === 'toggle' ? 'Press ' : 'Hold ';
+  const code = document.createElement('code');
+  code.textContent = shortcut === 'Alt' ? 'Option (Alt)' : shortcut.split('+').join(' + ');
+  hint.appendChild(code);
+
+  if (Array.isArray(ports) && ports.length > 0) {
+    document.getElementById('port-list').textContent = ports.join(', ');
+  }
+}
+
 // Check connection status with VSCode
 function checkConnectionStatus() {
-  chrome.tabs.sendMessage(currentTab.id, { type: 'checkConnection' }, (response) => {
+  chrome.runtime.sendMessage({ type: 'getConnectionState' }, (response) => {
     if (chrome.runtime.lastError) {
-      // Content script not loaded yet
       updateStatus('disconnected');
       return;
     }
 
-    if (response && response.connected) {
-      updateStatus('connected');
+    showConnectionState(response?.workspaces || [], response?.rejected || []);
+  });
+}
+
+function showConnectionState(workspaces, rejected) {
+  updateStatus(workspaces.length > 0 ? 'connected' : 'disconnected');
+  renderWorkspaces(workspaces, rejected);
+}
+
+// Render connected workspaces with their pairing state
+function renderWorkspaces(workspaces, rejected) {
+  const container = document.getElementById('workspaces');
+  container.innerHTML = '';
+
+  workspaces.forEach((workspace) => {
+    const item = document.createElement('div');
+    item.className = 'workspace';
+
+    const header = document.createElement('div');
+    header.className = 'workspace-header';
+
+    const name = document.createElement('span');
+    name.className = 'workspace-name';
+    name.textContent = workspace.name;
+
+    const badge = document.createElement('span');
+    badge.className = `workspace-badge${workspace.paired ? '' : ' unpaired'}`;
+    badge.textContent = workspace.paired ? 'Paired' : 'Not paired';
+
+    header.append(name, badge);
+    item.appendChild(header);
+
+    if (!workspace.paired) {
+      item.appendChild(createPairForm(workspace));
+    }
+
+    container.appendChild(item);
+  });
+
+  rejected.forEach(({ port, reason }) => {
+    const item = document.createElement('div');
+    item.className = 'workspace';
+
+    const name = document.createElement('span');
+    name.className = 'workspace-name';
+    name.textContent = `VSCode (port ${port})`;
+
+    const error = document.createElement('div');
+    error.className = 'workspace-error';
+    error.textContent = reason;
+
+    item.append(name, error);
+    container.appendChild(item);
+  });
+}
+
+// Form for entering the pairing code shown by "React Grab: Pair Browser Extension"
+function createPairForm(workspace) {
+  const form = document.createElement('form');
+  form.className = 'pair-form';
+
+  const input = document.createElement('input');
+  input.placeholder = 'Pairing code';
+  input.inputMode = 'numeric';
+  input.maxLength = 6;
+
+  const button = document.createElement('button');
+  button.type = 'submit';
+  button.textContent = 'Pair';
+
+  const error = document.createElement('div');
+  error.className = 'workspace-error';
+  error.textContent = workspace.authError || '';
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const code = input.value.trim();
+    if (!code) return;
+
+    button.disabled = true;
+    chrome.runtime.sendMessage({ type: 'pairWorkspace', port: workspace.port, code }, (response) => {
+      button.disabled = false;
+      if (response?.success) {
+        checkConnectionStatus();
+      } else {
+        error.textContent = response?.error || 'Pairing failed';
+      }
+    });
+  });
+
+  form.append(input, button);
+
+  const wrapper = document.createElement('div');
+  wrapper.append(form, error);
+  return wrapper;
+}
+
+// Prompts written while VSCode was not connected, sent by the background worker when it is
+async function showOutbox() {
+  const { outbox = [] } = await chrome.storage.local.get(['outbox']);
+  renderOutbox(outbox);
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.outbox) {
+    renderOutbox(changes.outbox.newValue || []);
+  }
+});
+
+function renderOutbox(outbox) {
+  const container = document.getElementById('outbox');
+  container.innerHTML = '';
+  if (outbox.length === 0) return;
+
+  const title = document.createElement('div');
+  title.className = 'outbox-title';
+  title.textContent = `Waiting for VSCode (${outbox.length})`;
+  container.appendChild(title);
+
+  outbox.forEach((queued) => container.appendChild(createQueuedPromptItem(queued)));
+}
+
+// The background worker owns the outbox, so changes go through it
+function createQueuedPromptItem(queued) {
+  const item = document.createElement('div');
+  item.className = 'workspace';
+
+  const header = document.createElement('div');
+  header.className = 'workspace-header';
+
+  const name = document.createElement('span');
+  name.className = 'workspace-name';
+  name.textContent = queued.componentName;
+
+  const badge = document.createElement('span');
+  badge.className = 'workspace-badge unpaired';
+  badge.textContent = queued.message.target === 'claude' ? 'Claude' : 'Copilot';
+
+  header.append(name, badge);
+
+  const meta = document.createElement('div');
+  meta.className = 'queued-meta';
+  const time = new Date(queued.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  meta.textContent = `${queued.workspace ? queued.workspace.name : 'Workspace with the file'} · ${time}`;
+
+  const text = document.createElement('div');
+  text.className = 'queued-prompt';
+  text.textContent = queued.message.prompt;
+
+  const editor = document.createElement('textarea');
+  editor.className = 'queued-edit';
+  editor.rows = 3;
+  editor.style.display = 'none';
+
+  const error = document.createElement('div');
+  error.className = 'workspace-error';
+  error.textContent = queued.error || '';
+
+  const actions = document.createElement('div');
+  actions.className = 'queued-actions';
+
+  const editButton = document.createElement('button');
+  editButton.textContent = queued.error ? 'Edit and retry' : 'Edit';
+  editButton.addEventListener('click', () => {
+    if (editor.style.display === 'none') {
+      editor.value = queued.message.prompt;
+      editor.style.display = '';
+      text.style.display = 'none';
+      editButton.textContent = 'Save';
+      editor.focus();
     } else {
-      updateStatus('disconnected');
+      const prompt = editor.value.trim() || queued.message.prompt;
+      chrome.runtime.sendMessage({ type: 'editQueuedPrompt', id: queued.id, prompt });
+      text.textContent = prompt;
+      text.style.display = '';
+      editor.style.display = 'none';
+      editButton.textContent = 'Edit';
     }
   });
+
+  const discardButton = document.createElement('button');
+  discardButton.textContent = 'Discard';
+  discardButton.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ type: 'discardQueuedPrompt', id: queued.id });
+  });
+
+  actions.append(editButton, discardButton);
+  item.append(header, meta, text, editor, error, actions);
+  return item;
 }
 
 // Get status from background script
@@ -170,9 +375,9 @@ function updateStatus(status) {
   }
 }
 
-// Listen for status updates from content script
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.type === 'statusUpdate') {
-    updateStatus(request.status);
+// Listen for connection changes from the background worker
+chrome.runtime.onMessage.addListener((request) => {
+  if (request.type === 'connectionState') {
+    showConnectionState(request.workspaces, request.rejected);
   }
 });
\ No newline at end of file
@@ -0,0 +1,427 @@
+/**
+ * VSCode connections, shared by every tab
+ *
+ * The worker keeps one WebSocket per VSCode instance and handles the protocol handshake
+ * and pairing itself. Tabs connect with chrome.runtime.connect and get the connected
+ * workspaces pushed to them; replies to a tab's requests are routed back to that tab.
+ * Prompts queued while VSCode was away (see ./outbox.ts) are sent as workspaces connect.
+ */
+
+import { BRIDGE_PORT_NAME } from '@/content/types'
+import type {
+  BridgeMessage,
+  BridgeRequest,
+  PairingResponse,
+  PromptTemplate,
+  RejectedPort,
+  ServerCapabilities,
+  ServerMessage,
+  TargetAvailability,
+  Workspace,
+} from '@/content/types'
+import { loadSettings, onSettingsChanged } from '@/lib/settings'
+import { handleLocateReply } from '@/lib/workspaces'
+import { deliverOutbox, handleOutboxReply, releaseOutboxDeliveries } from './outbox'
+
+// Protocol negotiation with the VSCode extension (see src/protocol.ts)
+const PROTOCOL_VERSION = 2
+const SUPPORTED_SERVER_MESSAGES = ['status', 'paired', 'received', 'dispatched', 'success', 'error', 'pong', 'templates', 'output', 'availability']
+// Servers that don't report capabilities predate protocol v2. Infinity doesn't survive runtime messaging.
+const LEGACY_SERVER_CAPABILITIES: ServerCapabilities = {
+  targets: ['copilot', 'claude'],
+  streamingTargets: [],
+  messageTypes: ['prompt', 'ping', 'element-context'],
+  maxPayloadSize: Number.MAX_SAFE_INTEGER,
+  maxElements: 1,
+  screenshots: false,
+}
+
+const POLL_INTERVAL = 5000
+// Servers that rejected our origin are not retried until `until`
+const BLOCKED_PORT_RETRY_DELAY = 60000
+// The worker is stopped after 30 s without events; socket traffic counts, so ping while tabs are connected
+const KEEPALIVE_INTERVAL = 20000
+
+interface Connection {
+  ws: WebSocket
+  workspace: Workspace | null
+  isConnected: boolean
+  paired: boolean
+  authError: string | null
+  protocolVersion: number | null
+  capabilities: ServerCapabilities | null
+  templates: PromptTemplate[]
+  availability: TargetAvailability | null
+}
+
+type OutgoingMessage = BridgeRequest['message']
+
+const connections = new Map<number, Connection>()
+const blockedPorts = new Map<number, { reason: string; until: number }>()
+let ports: number[] = []
+let messageCounter = 0
+
+const tabs = new Set<chrome.runtime.Port>()
+const requestTabs = new Map<string, chrome.runtime.Port>() // requestId -> tab that sent it
+const lastSenders = new Map<number, chrome.runtime.Port>() // VSCode port -> tab that last sent to it
+const authRequests = new Set<string>()
+const pendingPairings = new Map<string, (response: PairingResponse) => void>()
+
+// Notifies the badge when the set of workspaces changes
+let stateListener: ((workspaces: Workspace[], rejected: RejectedPort[]) => void) | null = null
+
+/**
+ * Start polling the ports from the settings and accept tabs
+ */
+export async function startConnections(onStateChange: (workspaces: Workspace[], rejected: RejectedPort[]) => void) {
+  stateListener = onStateChange
+
+  chrome.runtime.onConnect.addListener((tab) => {
+    if (tab.name === BRIDGE_PORT_NAME) addTab(tab)
+  })
+
+  ports = (await loadSettings()).ports
+  onSettingsChanged((settings) => {
+    const removed = ports.filter((port) => !settings.ports.includes(port))
+    ports = settings.ports
+    removed.forEach((port) => connections.get(port)?.ws.close())
+    connectToAllPorts()
+  })
+
+  connectToAllPorts()
+  setInterval(connectToAllPorts, POLL_INTERVAL)
+  setInterval(() => {
+    if (tabs.size > 0) connections.forEach((_conn, port) => send(port, { type: 'ping', requestId: createRequestId() }))
+  }, KEEPALIVE_INTERVAL)
+}
+
+// Tabs
+function addTab(tab: chrome.runtime.Port) {
+  tabs.add(tab)
+  tab.onMessage.addListener((request: BridgeRequest) => {
+    if (request.type !== 'send') return
+
+    if (request.message.requestId) requestTabs.set(request.message.requestId, tab)
+    lastSenders.set(request.port, tab)
+
+    if (!send(request.port, request.message)) {
+      postToTab(tab, {
+        type: 'server-message',
+        port: request.port,
+        message: { type: 'error', requestId: request.message.requestId, message: 'Workspace is not connected' },
+      })
+    }
+  })
+  tab.onDisconnect.addListener(() => {
+    tabs.delete(tab)
+    requestTabs.forEach((owner, id) => {
+      if (owner === tab) requestTabs.delete(id)
+    })
+    lastSenders.forEach((owner, port) => {
+      if (owner === tab) lastSenders.delete(port)
+    })
+  })
+
+  postToTab(tab, { type: 'workspaces', workspaces: getConnectedWorkspaces() })
+  connectToAllPorts()
+}
+
+function postToTab(tab: chrome.runtime.Port, message: BridgeMessage) {
+  try {
+    tab.postMessage(message)
+  } catch {
+    // The tab navigated away or closed
+  }
+}
+
+// Push the workspaces to every tab, and to the popup if it is open
+function notifyStateChange() {
+  const workspaces = getConnectedWorkspaces()
+  const rejected = getRejectedPorts()
+
+  tabs.forEach((tab) => postToTab(tab, { type: 'workspaces', workspaces }))
+  chrome.runtime.sendMessage({ type: 'connectionState', workspaces, rejected }).catch(() => {
+    // No popup open
+  })
+  stateListener?.(workspaces, rejected)
+  deliverOutbox(workspaces, send)
+}
+
+/**
+ * Send queued prompts that a connected workspace can take now
+ */
+export function deliverQueuedPrompts() {
+  deliverOutbox(getConnectedWorkspaces(), send)
+}
+
+// WebSocket Connection
+function connectToAllPorts() {
+  ports.forEach((port) => connectToPort(port))
+}
+
+function connectToPort(port: number) {
+  if (connections.has(port)) return
+
+  const blocked = blockedPorts.get(port)
+  if (blocked && blocked.until > Date.now()) return
+
+  try {
+    const ws = new WebSocket(`ws://localhost:${port}`)
+    const conn: Connection = {
+      ws,
+      workspace: null,
+      isConnected: false,
+      paired: false,
+      authError: null,
+      protocolVersion: null,
+      capabilities: null,
+      templates: [],
+      availability: null,
+    }
+    connections.set(port, conn)
+
+    ws.onopen = () => {
+      console.log(`[React Grab Bridge] Connected to VSCode on port ${port}`)
+      conn.isConnected = true
+      notifyStateChange()
+    }
+
+    ws.onmessage = (event) => {
+      let message: ServerMessage
+      try {
+        message = JSON.parse(event.data)
+      } catch {
+        return // Not from React Grab: any server on a polled port can send frames
+      }
+      handleServerMessage(port, message)
+    }
+
+    ws.onclose = () => {
+      if (connections.get(port) !== conn) return
+      connections.delete(port)
+      releaseOutboxDeliveries(port)
+      if (conn.isConnected) {
+        console.log(`[React Grab Bridge] Disconnected from port ${port}`)
+        notifyStateChange()
+      }
+    }
+  } catch {
+    // Silent fail
+  }
+}
+
+export function getConnectedWorkspaces(): Workspace[] {
+  const workspaces: Workspace[] = []
+  connections.forEach((conn, port) => {
+    if (conn.isConnected && conn.ws.readyState === WebSocket.OPEN) {
+      workspaces.push({
+        port,
+        name: conn.workspace?.name || `VSCode (port ${port})`,
+        path: conn.workspace?.path || '',
+        paired: conn.paired,
+        authError: conn.authError,
+        capabilities: conn.capabilities || LEGACY_SERVER_CAPABILITIES,
+        templates: conn.templates,
+        availability: conn.availability,
+      })
+    }
+  })
+  return workspaces
+}
+
+export function getRejectedPorts(): RejectedPort[] {
+  const rejected: RejectedPort[] = []
+  blockedPorts.forEach((blocked, port) => {
+    if (blocked.until > Date.now()) rejected.push({ port, reason: blocked.reason })
+  })
+  return rejected
+}
+
+function createRequestId(): string {
+  return `bg-${Date.now().toString(36)}-${(++messageCounter).toString(36)}`
+}
+
+// Tabs check capabilities and payload size before sending, so they can tell the user
+function send(port: number, message: OutgoingMessage): boolean {
+  const conn = connections.get(port)
+  if (!conn?.isConnected || conn.ws.readyState !== WebSocket.OPEN) return false
+
+  conn.ws.send(JSON.stringify({ ...message, timestamp: message.timestamp ?? Date.now() }))
+  return true
+}
+
+function handleServerMessage(port: number, message: ServerMessage) {
+  const conn = connections.get(port)
+  if (!conn) return
+
+  switch (message.type) {
+    case 'status':
+      if (message.workspace) {
+        conn.workspace = message.workspace
+        conn.protocolVersion = message.protocolVersion || 1
+        conn.capabilities = message.capabilities || LEGACY_SERVER_CAPABILITIES
+        // Servers that predate pairing don't report it and accept everything
+        conn.paired = message.paired === true || message.pairingRequired === undefined
+        console.log(
+          `[React Grab Bridge] Workspace "${message.workspace.name}" connected on port ${port} (protocol v${conn.protocolVersion})`
+        )
+        if (conn.capabilities.messageTypes.includes('hello')) {
+          send(port, {
+            type: 'hello',
+            requestId: createRequestId(),
+            protocolVersion: PROTOCOL_VERSION,
+            capabilities: { messageTypes: SUPPORTED_SERVER_MESSAGES },
+          })
+        }
+        if (!conn.paired) {
+          authenticate(port)
+        }
+        notifyStateChange()
+      }
+      break
+    case 'paired':
+      handlePairedMessage(port, message)
+      break
+    case 'templates':
+      conn.templates = message.templates || []
+      notifyStateChange()
+      break
+    case 'availability':
+      conn.availability = message.availability ?? null
+      notifyStateChange()
+      break
+    case 'pong':
+      break
+    case 'error':
+      if (handleAuthError(port, message) || handleOutboxReply(message) || handleLocateReply(message)) break
+      routeToTab(port, message)
+      break
+    default:
+      if (!handleOutboxReply(message) && !handleLocateReply(message)) routeToTab(port, message)
+  }
+}
+
+// Replies go to the tab that sent the request; servers that predate request IDs reply to whoever sent last
+function routeToTab(port: number, message: ServerMessage) {
+  const tab = (message.requestId && requestTabs.get(message.requestId)) || lastSenders.get(port)
+  if (!tab) return
+
+  if (message.requestId && (message.type === 'success' || message.type === 'error')) {
+    requestTabs.delete(message.requestId)
+  }
+  postToTab(tab, { type: 'server-message', port, message })
+}
+
+// Pairing
+function getWorkspaceKey(workspace: Workspace): string {
+  return workspace.path || workspace.name
+}
+
+async function getPairingToken(workspace: Workspace): Promise<string | null> {
+  try {
+    const { pairingTokens = {} } = await chrome.storage.local.get(['pairingTokens'])
+    return pairingTokens[getWorkspaceKey(workspace)] || null
+  } catch {
+    return null
+  }
+}
+
+async function setPairingToken(workspace: Workspace, token: string | null) {
+  const { pairingTokens = {} } = await chrome.storage.local.get(['pairingTokens'])
+  if (token) {
+    pairingTokens[getWorkspaceKey(workspace)] = token
+  } else {
+    delete pairingTokens[getWorkspaceKey(workspace)]
+  }
+  await chrome.storage.local.set({ pairingTokens })
+}
+
+async function authenticate(port: number) {
+  const conn = connections.get(port)
+  if (!conn?.workspace) return
+
+  const token = await getPairingToken(conn.workspace)
+  if (!token) {
+    conn.authError = 'Not paired. Enter the pairing code shown by VSCode.'
+    notifyStateChange()
+    return
+  }
+
+  const id = createRequestId()
+  authRequests.add(id)
+  send(port, { type: 'auth', requestId: id, token })
+}
+
+function handlePairedMessage(port: number, message: ServerMessage) {
+  const conn = connections.get(port)
+  if (conn) {
+    conn.paired = true
+    conn.authError = null
+    if (message.token && conn.workspace) {
+      setPairingToken(conn.workspace, message.token)
+    }
+    notifyStateChange()
+  }
+
+  if (!message.requestId) return
+  authRequests.delete(message.requestId)
+
+  const respond = pendingPairings.get(message.requestId)
+  if (respond) {
+    pendingPairings.delete(message.requestId)
+    respond({ success: true })
+  }
+}
+
+// Returns true if the error was a pairing/auth failure that has been handled
+function handleAuthError(port: number, message: ServerMessage): boolean {
+  const conn = connections.get(port)
+
+  switch (message.code) {
+    case 'origin-not-allowed':
+      blockedPorts.set(port, {
+        reason: message.message || 'Origin not allowed',
+        until: Date.now() + BLOCKED_PORT_RETRY_DELAY,
+      })
+      console.warn(`[React Grab Bridge] ${message.message}`)
+      notifyStateChange()
+      return true
+
+    case 'invalid-pairing-code': {
+      const respond = message.requestId ? pendingPairings.get(message.requestId) : undefined
+      if (respond && message.requestId) {
+        pendingPairings.delete(message.requestId)
+        respond({ success: false, error: message.message })
+      }
+      return true
+    }
+
+    case 'unauthorized':
+      if (conn) {
+        conn.paired = false
+        conn.authError = message.message || null
+        notifyStateChange()
+      }
+      // A stored token was rejected (e.g. pairings were revoked), forget it
+      if (message.requestId && authRequests.delete(message.requestId)) {
+        if (conn?.workspace) setPairingToken(conn.workspace, null)
+        return true
+      }
+      return false
+  }
+
+  return false
+}
+
+/**
+ * Pair with a workspace using the code shown by "React Grab: Pair Browser Extension"
+ */
+export function pairWorkspace(port: number, code: string, sendResponse: (response: PairingResponse) => void) {
+  const id = createRequestId()
+  pendingPairings.set(id, sendResponse)
+
+  if (!send(port, { type: 'pair', requestId: id, code })) {
+    pendingPairings.delete(id)
+    sendResponse({ success: false, error: 'Workspace is not connected' })
+  }
+}
@@ -1,24 +1,92 @@
 /**
  * React Grab Bridge - Background Service Worker
+ *
+ * Holds the VSCode connections for all tabs (see ./connections.ts), keeps prompts written
+ * while VSCode is away (see ./outbox.ts) and captures screenshots.
  */
 
+import {
+  deliverQueuedPrompts,
+  getConnectedWorkspaces,
+  getRejectedPorts,
+  pairWorkspace,
+  startConnections,
+} from './connections'
+import { discardQueuedPrompt, editQueuedPrompt, queuePrompt } from './outbox'
+
 // Track extension state
 let extensionState = {
   status: 'disconnected' as 'connected' | 'disconnected' | 'error',
 }
 
+// Longest side of a component screenshot, in image pixels
+const MAX_SCREENSHOT_SIZE = 1600
+
+interface ScreenshotRect {
+  left: number
+  top: number
+  right: number
+  bottom: number
+}
+
 // Listen for messages from popup and content scripts
-chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.type === 'getStatus') {
     sendResponse({ status: extensionState.status })
-  } else if (request.type === 'updateStatus') {
-    extensionState.status = request.status
-    // Update badge
-    updateBadge(request.status)
+  } else if (request.type === 'getConnectionState') {
+    sendResponse({ workspaces: getConnectedWorkspaces(), rejected: getRejectedPorts() })
+  } else if (request.type === 'pairWorkspace') {
+    pairWorkspace(request.port, request.code, sendResponse)
+  } else if (request.type === 'queuePrompt') {
+    queuePrompt(request.prompt)
+      .then(() => {
+        sendResponse({ success: true })
+        deliverQueuedPrompts()
+      })
+      .catch((error: Error) => sendResponse({ success: false, error: error.message }))
+  } else if (request.type === 'editQueuedPrompt') {
+    editQueuedPrompt(request.id, request.prompt).then(() => {
+      sendResponse({ success: true })
+      deliverQueuedPrompts()
+    })
+  } else if (request.type === 'discardQueuedPrompt') {
+    discardQueuedPrompt(request.id).then(() => sendResponse({ success: true }))
+  } else if (request.type === 'captureScreenshot' && sender.tab) {
+    captureScreenshot(sender.tab.windowId, request.rect, request.viewportWidth)
+      .then((dataUrl) => sendResponse({ dataUrl }))
+      .catch((error: Error) => sendResponse({ error: error.message }))
   }
   return true
 })
 
+// Capture the visible part of the tab and crop it to `rect` (viewport CSS pixels)
+async function captureScreenshot(windowId: number, rect: ScreenshotRect, viewportWidth: number): Promise<string> {
+  const capture = await chrome.tabs.captureVisibleTab(windowId, { format: 'png' })
+  const bitmap = await createImageBitmap(await (await fetch(capture)).blob())
+
+  // The capture is in device pixels
+  const scale = bitmap.width / viewportWidth
+  const left = Math.max(0, Math.round(rect.left * scale))
+  const top = Math.max(0, Math.round(rect.top * scale))
+  const width = Math.min(bitmap.width, Math.round(rect.right * scale)) - left
+  const height = Math.min(bitmap.height, Math.round(rect.bottom * scale)) - top
+  if (width <= 0 || height <= 0) {
+    throw new Error('Component is not visible')
+  }
+
+  const ratio = Math.min(1, MAX_SCREENSHOT_SIZE / Math.max(width, height))
+  const canvas = new OffscreenCanvas(Math.round(width * ratio), Math.round(height * ratio))
+  canvas.getContext('2d')!.drawImage(bitmap, left, top, width, height, 0, 0, canvas.width, canvas.height)
+  bitmap.close()
+
+  const bytes = new Uint8Array(await (await canvas.convertToBlob({ type: 'image/png' })).arrayBuffer())
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return `data:image/png;base64,${btoa(binary)}`
+}
+
 // Update extension badge based on connection status
 function updateBadge(status: 'connected' | 'disconnected' | 'error') {
   if (status === 'connected') {
@@ -35,4 +103,10 @@ function updateBadge(status: 'connected' | 'disconnected' | 'error') {
 // Initialize badge
 updateBadge('disconnected')
 
+// The badge follows the VSCode connections
+startConnections((workspaces, rejected) => {
+  extensionState.status = workspaces.length > 0 ? 'connected' : rejected.length > 0 ? 'error' : 'disconnected'
+  updateBadge(extensionState.status)
+})
+
 console.log('[React Grab Bridge] Background service worker started')
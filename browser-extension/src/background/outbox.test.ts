@@ -0,0 +1,86 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import type { QueuedPrompt, Workspace } from '@/content/types'
+
+type Outbox = typeof import('./outbox')
+
+const workspace: Workspace = {
+  port: 9765,
+  name: 'app',
+  path: '/work/app',
+  paired: true,
+  capabilities: { targets: ['copilot', 'claude'], messageTypes: ['prompt'], maxPayloadSize: 1024 * 1024 },
+}
+
+// Just enough of chrome.storage for the outbox: local holds it, sync the (default) settings
+function fakeStorage() {
+  const area = (items: Record<string, unknown>) => ({
+    get: async (keys: string[]) => Object.fromEntries(keys.filter((key) => key in items).map((key) => [key, items[key]])),
+    set: async (values: Record<string, unknown>) => {
+      Object.assign(items, structuredClone(values))
+    },
+  })
+  const local: Record<string, unknown> = {}
+  vi.stubGlobal('chrome', { storage: { local: area(local), sync: area({}) } })
+  return local
+}
+
+describe('outbox', () => {
+  let local: Record<string, unknown>
+  let outbox: Outbox
+
+  beforeEach(async () => {
+    local = fakeStorage()
+    vi.resetModules() // Deliveries in flight are module state
+    outbox = await import('./outbox')
+  })
+
+  // Queue a prompt and deliver it, returning the requestId it was sent with
+  async function sendQueuedPrompt(): Promise<string> {
+    await outbox.queuePrompt({
+      message: { type: 'prompt', prompt: 'Make it blue', target: 'copilot' },
+      workspace: { name: workspace.name, path: workspace.path },
+      filePath: 'src/Button.tsx',
+      componentName: 'Button',
+      pageUrl: 'http://localhost:3000/',
+    })
+    const sent: string[] = []
+    await outbox.deliverOutbox([workspace], (_port, message) => {
+      sent.push(message.requestId!)
+      return true
+    })
+    expect(sent).toHaveLength(1)
+    return sent[0]
+  }
+
+  const queued = () => local.outbox as QueuedPrompt[]
+
+  it('keeps a received prompt until VSCode reports it sent', async () => {
+    const requestId = await sendQueuedPrompt()
+
+    expect(outbox.handleOutboxReply({ type: 'received', requestId })).toBe(true)
+    expect(queued()).toHaveLength(1)
+
+    outbox.handleOutboxReply({ type: 'success', requestId })
+    await vi.waitFor(() => expect(queued()).toHaveLength(0))
+  })
+
+  it('records an error that follows received', async () => {
+    const requestId = await sendQueuedPrompt()
+
+    outbox.handleOutboxReply({ type: 'received', requestId })
+    expect(outbox.handleOutboxReply({ type: 'error', requestId, reason: 'Copilot Chat is busy' })).toBe(true)
+
+    await vi.waitFor(() => expect(queued()).toMatchObject([{ componentName: 'Button', error: 'Copilot Chat is busy' }]))
+    // Later replies with that requestId are no longer the outbox's
+    expect(outbox.handleOutboxReply({ type: 'success', requestId })).toBe(false)
+  })
+
+  it('flags received prompts whose workspace disconnects instead of sending them again', async () => {
+    const requestId = await sendQueuedPrompt()
+
+    outbox.handleOutboxReply({ type: 'received', requestId })
+    outbox.releaseOutboxDeliveries(workspace.port)
+
+    await vi.waitFor(() => expect(queued()[0].error).toMatch(/disconnected/))
+  })
+})
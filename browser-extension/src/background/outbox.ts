@@ -0,0 +1,188 @@
+/**
+ * Outbox of prompts written while VSCode was not connected
+ *
+ * Prompts are kept in chrome.storage.local so they survive the worker and the browser
+ * restarting, and are sent once a workspace that can take them connects. The popup lists
+ * them and can edit or discard each one.
+ */
+
+import type { BridgeRequest, QueuedPrompt, ServerMessage, Workspace } from '@/content/types'
+import { loadSettings } from '@/lib/settings'
+import { getTargetStatus } from '@/lib/targets'
+import { locateFiles, normalizeHost, routeWorkspace } from '@/lib/workspaces'
+import type { LocatedFiles, WorkspaceRules } from '@/lib/workspaces'
+
+const MAX_QUEUED_PROMPTS = 20
+
+export type NewQueuedPrompt = Omit<QueuedPrompt, 'id' | 'createdAt' | 'error'>
+
+type Send = (port: number, message: BridgeRequest['message']) => boolean
+
+// requestId -> queued prompt being sent; `received` once VSCode has acknowledged it
+const deliveries = new Map<string, { id: string; port: number; received: boolean }>()
+let lastChange: Promise<unknown> = Promise.resolve()
+let lastDelivery: Promise<void> = Promise.resolve()
+
+// One read-modify-write at a time, so concurrent changes don't overwrite each other
+function updateOutbox<T>(change: (outbox: QueuedPrompt[]) => T): Promise<T> {
+  const result = lastChange.then(async () => {
+    const { outbox = [] } = await chrome.storage.local.get(['outbox'])
+    const value = change(outbox)
+    await chrome.storage.local.set({ outbox })
+    return value
+  })
+  lastChange = result.catch(() => {})
+  return result
+}
+
+export function queuePrompt(prompt: NewQueuedPrompt): Promise<QueuedPrompt> {
+  return updateOutbox((outbox) => {
+    if (outbox.length >= MAX_QUEUED_PROMPTS) {
+      throw new Error(`${MAX_QUEUED_PROMPTS} prompts are already waiting for VSCode`)
+    }
+
+    const queued: QueuedPrompt = {
+      ...prompt,
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      createdAt: Date.now(),
+      error: null,
+    }
+    outbox.push(queued)
+    return queued
+  })
+}
+
+/**
+ * Change a queued prompt's text; this also lets a prompt whose delivery failed be sent again
+ */
+export function editQueuedPrompt(id: string, text: string): Promise<void> {
+  return updateOutbox((outbox) => {
+    const queued = outbox.find((item) => item.id === id)
+    if (queued) {
+      queued.message.prompt = text
+      queued.error = null
+    }
+  })
+}
+
+export function discardQueuedPrompt(id: string): Promise<void> {
+  return updateOutbox((outbox) => {
+    const index = outbox.findIndex((item) => item.id === id)
+    if (index !== -1) outbox.splice(index, 1)
+  })
+}
+
+function setQueuedPromptError(id: string, error: string): Promise<void> {
+  return updateOutbox((outbox) => {
+    const queued = outbox.find((item) => item.id === id)
+    if (queued) queued.error = error
+  })
+}
+
+/**
+ * Send every queued prompt that one of the connected workspaces can take
+ */
+export function deliverOutbox(workspaces: Workspace[], send: Send): Promise<void> {
+  // One run at a time: VSCode sends several state messages back to back after auth, and runs
+  // overlapping across the storage reads would each send the same prompts
+  const result = lastDelivery.then(() => sendQueuedPrompts(workspaces, send))
+  lastDelivery = result.catch(() => {})
+  return result
+}
+
+async function sendQueuedPrompts(workspaces: Workspace[], send: Send) {
+  const ready = workspaces.filter((ws) => ws.paired && ws.capabilities?.messageTypes.includes('prompt'))
+  if (ready.length === 0) return
+
+  const { outbox = [] }: { outbox?: QueuedPrompt[] } = await chrome.storage.local.get(['outbox'])
+  const sending = new Set([...deliveries.values()].map((delivery) => delivery.id))
+  const { workspaceRules } = await loadSettings()
+  const pending = outbox.filter((queued) => !queued.error && !sending.has(queued.id))
+  const located = await locateFiles(
+    ready,
+    pending.filter((queued) => !queued.workspace).map((queued) => queued.filePath),
+    send
+  )
+
+  for (const queued of pending) {
+    const workspace = findWorkspaceFor(queued, ready, workspaceRules, located)
+    if (!workspace?.capabilities) continue
+
+    const { capabilities } = workspace
+    const elements = Array.isArray(queued.message.elements) ? queued.message.elements.length : 1
+    if (!capabilities.targets.includes(queued.message.target)) {
+      setQueuedPromptError(queued.id, `${workspace.name} cannot send to ${queued.message.target}`)
+      continue
+    }
+    const targetStatus = getTargetStatus(workspace, queued.message.target)
+    if (!targetStatus.available) {
+      setQueuedPromptError(queued.id, `${workspace.name}: ${targetStatus.hint}`)
+      continue
+    }
+    if (elements > (capabilities.maxElements ?? 1)) {
+      setQueuedPromptError(queued.id, `${workspace.name} takes at most ${capabilities.maxElements ?? 1} component(s) per prompt`)
+      continue
+    }
+
+    const requestId = `outbox-${queued.id}-${Date.now().toString(36)}`
+    const message = { ...queued.message, requestId }
+    if (JSON.stringify(message).length > capabilities.maxPayloadSize) {
+      setQueuedPromptError(queued.id, 'Context is too large to send to VSCode')
+      continue
+    }
+
+    if (send(workspace.port, message)) {
+      deliveries.set(requestId, { id: queued.id, port: workspace.port, received: false })
+    }
+  }
+}
+
+// The workspace picked in the dialog, or else the one the component would have been routed to
+function findWorkspaceFor(
+  queued: QueuedPrompt,
+  workspaces: Workspace[],
+  rules: WorkspaceRules,
+  located: LocatedFiles
+): Workspace | null {
+  if (queued.workspace) {
+    const { name, path } = queued.workspace
+    return workspaces.find((ws) => (path ? ws.path === path : ws.name === name)) ?? null
+  }
+  const host = normalizeHost(queued.pageUrl)
+  return routeWorkspace(workspaces, [queued.filePath], host, rules, located)?.workspace ?? null
+}
+
+/**
+ * Handle VSCode's reply to a prompt sent from the outbox. Returns false for replies to anything else.
+ */
+export function handleOutboxReply(message: ServerMessage): boolean {
+  const delivery = message.requestId ? deliveries.get(message.requestId) : undefined
+  if (!delivery || !message.requestId) return false
+
+  // The prompt stays queued until VSCode says it reached the AI, so a failure after `received`
+  // is still shown in the popup (the tab that wrote it may be long gone)
+  if (message.type === 'received') {
+    delivery.received = true
+  } else if (message.type === 'success') {
+    discardQueuedPrompt(delivery.id)
+  } else if (message.type === 'error') {
+    setQueuedPromptError(delivery.id, message.reason || message.message || 'VSCode could not handle the prompt')
+  }
+
+  if (message.type === 'success' || message.type === 'error') {
+    deliveries.delete(message.requestId)
+  }
+  return true
+}
+
+/**
+ * Forget deliveries to a workspace that disconnected. Prompts it never acknowledged are sent
+ * again; the others may already have reached the AI, so they wait for the user to retry them.
+ */
+export function releaseOutboxDeliveries(port: number) {
+  deliveries.forEach((delivery, requestId) => {
+    if (delivery.port !== port) return
+    if (delivery.received) setQueuedPromptError(delivery.id, 'VSCode disconnected before reporting whether it was sent')
+    deliveries.delete(requestId)
+  })
+}
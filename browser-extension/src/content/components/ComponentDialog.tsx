@@ -1,5 +1,7 @@
-import { useState, useEffect, useCallback, useMemo } from 'react'
-import type { ComponentContext, Workspace } from '../types'
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react'
+import type { AITarget, ComponentContext, TrackedRequest, Workspace } from '../types'
+import { getTargetStatus } from '@/lib/targets'
+import type { WorkspaceRoute } from '@/lib/workspaces'
 
 // Detect dark mode from system preference or page
 function useIsDarkMode(): boolean {
@@ -51,11 +53,25 @@ const darkTheme = {
   warningText: 'hsl(45 80% 70%)',
 }
 
-interface ComponentDialogProps {
+// A component ticked in the dialog, with its part of the (edited) context
+export interface DialogSelection {
   context: ComponentContext
+  markdownContext: string
+  screenshot?: string // Only when the screenshot is to be attached
+}
+
+interface ComponentDialogProps {
+  contexts: ComponentContext[] // One component, or several shift-clicked ones
   workspaces: Workspace[]
+  route: WorkspaceRoute | null // Workspace picked from the components' files or the host; null: the user chooses
+  host: string // Page host, for remembering the chosen workspace
+  response: TrackedRequest | null // Streamed response to a prompt sent from this dialog
+  defaultTarget: AITarget // Sent to with Cmd/Ctrl+Enter; Shift picks the other one
   onClose: () => void
-  onSendToAI: (target: 'copilot' | 'claude', prompt: string, markdownContext: string, targetPort: number | null) => void
+  onSendToAI: (target: AITarget, prompt: string, selection: DialogSelection[], targetPort: number | null) => void
+  onCancelResponse: () => void
+  onOpenInEditor: (targetPort: number | null) => void
+  onRememberWorkspace: (name: string) => void // Use this workspace for the host from now on
   onCopy: (text: string) => void
 }
 
@@ -77,44 +93,167 @@ function generateMarkdown(context: ComponentContext): string {
   return md
 }
 
-const STORAGE_KEY = 'react-grab-selected-workspace'
+// One numbered section per component; the numbers match the markers and the dialog's list
+function getSectionMarkdown(context: ComponentContext, index: number): string {
+  return (context.markdown || generateMarkdown(context)).trim().replace(/^## /, `## ${index + 1}. `)
+}
 
-function getStoredPort(): number | null {
-  try {
-    const stored = localStorage.getItem(STORAGE_KEY)
-    return stored ? parseInt(stored, 10) : null
-  } catch {
-    return null
-  }
+// Context for the given components, keeping the user's edits where there are any
+function combineMarkdown(contexts: ComponentContext[], indices: number[], editedSections = new Map<number, string>()): string {
+  return indices.map((index) => editedSections.get(index) ?? getSectionMarkdown(contexts[index], index)).join('\n\n')
 }
 
-function storePort(port: number): void {
-  try {
-    localStorage.setItem(STORAGE_KEY, String(port))
-  } catch {
-    // Ignore storage errors
+// Sections of the (possibly edited) combined context, keyed by component index
+function parseMarkdownSections(markdown: string): Map<number, string> {
+  const sections = new Map<number, string>()
+  for (const section of markdown.split(/^(?=## \d+\. )/m)) {
+    const match = section.match(/^## (\d+)\. /)
+    if (match) sections.set(parseInt(match[1], 10) - 1, section.trim())
   }
+  return sections
+}
+
+const TEMPLATE_VARIABLES: Record<string, (context: ComponentContext) => string> = {
+  componentName: (context) => context.componentName,
+  filePath: (context) => context.source?.fileName || '',
+  lineNumber: (context) => String(context.source?.lineNumber ?? ''),
+  props: (context) => JSON.stringify(context.props || {}, null, 2),
+  tagName: (context) => context.element?.tagName || '',
+  pageUrl: () => window.location.href,
 }
 
-export function ComponentDialog({ context, workspaces, onClose, onSendToAI, onCopy }: ComponentDialogProps) {
+// Replace {{variable}} placeholders; unknown ones are left as they are.
+// With several components each distinct value is listed, separated by commas.
+function expandTemplate(prompt: string, contexts: ComponentContext[]): string {
+  return prompt.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name: string) =>
+    Object.prototype.hasOwnProperty.call(TEMPLATE_VARIABLES, name)
+      ? [...new Set(contexts.map((context) => TEMPLATE_VARIABLES[name](context)))].filter(Boolean).join(', ')
+      : match
+  )
+}
+
+// Draw through a canvas: pages whose CSP has no `img-src data:` would block an <img>
+async function drawScreenshot(canvas: HTMLCanvasElement, dataUrl: string): Promise<void> {
+  const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1)
+  const bytes = Uint8Array.from(atob(base64), (char) => char.charCodeAt(0))
+  const bitmap = await createImageBitmap(new Blob([bytes], { type: 'image/png' }))
+  canvas.width = bitmap.width
+  canvas.height = bitmap.height
+  canvas.getContext('2d')?.drawImage(bitmap, 0, 0)
+  bitmap.close()
+}
+
+export function ComponentDialog({
+  contexts,
+  workspaces,
+  route,
+  host,
+  response,
+  defaultTarget,
+  onClose,
+  onSendToAI,
+  onCancelResponse,
+  onOpenInEditor,
+  onRememberWorkspace,
+  onCopy,
+}: ComponentDialogProps) {
   const [prompt, setPrompt] = useState('')
-  const [markdownContext, setMarkdownContext] = useState(() => context.markdown || generateMarkdown(context))
-  const [selectedPort, setSelectedPort] = useState<number | null>(() => {
-    const storedPort = getStoredPort()
-    // Use stored port if it exists in current workspaces, otherwise use first workspace
-    if (storedPort && workspaces.some(ws => ws.port === storedPort)) {
-      return storedPort
-    }
-    return workspaces[0]?.port || null
-  })
+  const promptRef = useRef<HTMLTextAreaElement>(null)
+  const responseRef = useRef<HTMLPreElement>(null)
+  const screenshotRef = useRef<HTMLCanvasElement>(null)
+  const [attachScreenshot, setAttachScreenshot] = useState(true)
+  const [screenshotFailed, setScreenshotFailed] = useState(false)
+  const [context] = contexts
+  const isMultiple = contexts.length > 1
+  const [checked, setChecked] = useState(() => contexts.map(() => true))
+  const [markdownContext, setMarkdownContext] = useState(() =>
+    isMultiple ? combineMarkdown(contexts, contexts.map((_, index) => index)) : context.markdown || generateMarkdown(context)
+  )
+  // Edits to the sections of unticked components, restored if they are ticked again
+  const editedSectionsRef = useRef(new Map<number, string>())
+  const checkedIndices = contexts.map((_, index) => index).filter((index) => checked[index])
+  // Only ask which workspace to send to when routing could not tell
+  const [selectedPort, setSelectedPort] = useState<number | null>(route?.workspace.port ?? null)
+  const [isChoosing, setIsChoosing] = useState(false)
+  const [rememberChoice, setRememberChoice] = useState(false)
+  const routeHint = route?.reason === 'file' ? 'has the source file' : route?.reason === 'host' ? `set for ${host}` : null
   const isDark = useIsDarkMode()
   const theme = useMemo(() => (isDark ? darkTheme : lightTheme), [isDark])
 
-  // Save selected port to localStorage when changed
-  const handlePortChange = useCallback((port: number) => {
-    setSelectedPort(port)
-    storePort(port)
-  }, [])
+  // Only offer the AI targets the selected workspace reports, and nothing while a response is streaming.
+  // Older VSCode extensions only take one component per prompt. Without VSCode the prompt is queued.
+  const selectedWorkspace = workspaces.find((ws) => ws.port === selectedPort)
+  const needsChoice = workspaces.length > 0 && !selectedWorkspace
+  const canSendAll = !selectedWorkspace || (selectedWorkspace.capabilities?.maxElements ?? 1) >= checkedIndices.length
+  const sendBlockedReason = needsChoice
+    ? 'Choose a workspace first'
+    : canSendAll
+      ? undefined
+      : 'Update the VSCode extension to send several components at once'
+  // Targets the workspace reports as not installed are disabled, the others say how the prompt will arrive
+  const targetStatus = {
+    copilot: getTargetStatus(selectedWorkspace, 'copilot'),
+    claude: getTargetStatus(selectedWorkspace, 'claude'),
+  }
+  const canSendTo = (target: AITarget) =>
+    !response &&
+    !needsChoice &&
+    canSendAll &&
+    checkedIndices.length > 0 &&
+    targetStatus[target].available &&
+    (selectedWorkspace?.capabilities?.targets ?? ['copilot', 'claude']).includes(target)
+
+  // A component whose numbered heading was edited away is sent with its original context
+  const sections = isMultiple ? parseMarkdownSections(markdownContext) : new Map([[0, markdownContext]])
+  const hasMissingSections = checkedIndices.some((index) => !sections.has(index))
+  const screenshot = isMultiple || screenshotFailed ? undefined : context.screenshot
+  const canAttachScreenshot = !!selectedWorkspace?.capabilities?.screenshots
+  const selection: DialogSelection[] = checkedIndices.map((index) => ({
+    context: contexts[index],
+    markdownContext: sections.get(index) ?? getSectionMarkdown(contexts[index], index),
+    screenshot: screenshot && attachScreenshot && canAttachScreenshot ? screenshot : undefined,
+  }))
+  const selectedContexts = selection.map((item) => item.context)
+
+  const toggleComponent = (index: number) => {
+    parseMarkdownSections(markdownContext).forEach((section, sectionIndex) => {
+      editedSectionsRef.current.set(sectionIndex, section)
+    })
+    const nextChecked = checked.map((value, i) => (i === index ? !value : value))
+    setChecked(nextChecked)
+    setMarkdownContext(
+      combineMarkdown(
+        contexts,
+        contexts.map((_, i) => i).filter((i) => nextChecked[i]),
+        editedSectionsRef.current
+      )
+    )
+  }
+  const responseFinished = response?.stage === 'completed' || response?.stage === 'failed'
+
+  useEffect(() => {
+    if (screenshot && screenshotRef.current) {
+      drawScreenshot(screenshotRef.current, screenshot).catch(() => setScreenshotFailed(true))
+    }
+  }, [screenshot])
+
+  // Keep the latest streamed output in view
+  useEffect(() => {
+    if (responseRef.current) {
+      responseRef.current.scrollTop = responseRef.current.scrollHeight
+    }
+  }, [response?.output])
+  const templates = selectedWorkspace?.templates ?? []
+  const canOpenInEditor =
+    !isMultiple &&
+    !!context.source?.fileName && !!selectedWorkspace?.capabilities?.messageTypes.includes('open-in-editor')
+
+  const sendToAI = (target: AITarget) => {
+    if (rememberChoice && selectedWorkspace) {
+      onRememberWorkspace(selectedWorkspace.name)
+    }
+    onSendToAI(target, prompt, selection, selectedPort)
+  }
 
   const handleKeyDown = useCallback(
     (e: KeyboardEvent) => {
@@ -123,14 +262,14 @@ export function ComponentDialog({ context, workspaces, onClose, onSendToAI, onCo
       }
       if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
         e.preventDefault()
-        if (e.shiftKey) {
-          onSendToAI('claude', prompt, markdownContext, selectedPort)
-        } else {
-          onSendToAI('copilot', prompt, markdownContext, selectedPort)
+        const otherTarget = defaultTarget === 'claude' ? 'copilot' : 'claude'
+        const target = e.shiftKey ? otherTarget : defaultTarget
+        if (canSendTo(target)) {
+          sendToAI(target)
         }
       }
     },
-    [onClose, onSendToAI, prompt, markdownContext, selectedPort]
+    [onClose, sendToAI, canSendTo, defaultTarget]
   )
 
   useEffect(() => {
@@ -138,7 +277,7 @@ export function ComponentDialog({ context, workspaces, onClose, onSendToAI, onCo
     return () => document.removeEventListener('keydown', handleKeyDown)
   }, [handleKeyDown])
 
-  const shortFileName = context.source?.fileName?.replace(/^.*[/\\]/, '') || ''
+  const shortFileName = isMultiple ? '' : context.source?.fileName?.replace(/^.*[/\\]/, '') || ''
 
   return (
     <div
@@ -201,7 +340,7 @@ export function ComponentDialog({ context, workspaces, onClose, onSendToAI, onCo
                 textOverflow: 'ellipsis',
               }}
             >
-              {context.componentName}
+              {isMultiple ? `${contexts.length} components` : context.componentName}
             </h3>
             {shortFileName && (
               <span
@@ -253,43 +392,23 @@ export function ComponentDialog({ context, workspaces, onClose, onSendToAI, onCo
         {/* Body */}
         <div style={{ padding: '20px' }}>
           {/* Workspace Selector */}
-          {workspaces.length > 1 ? (
+          {workspaces.length === 0 ? (
             <div
               style={{
                 display: 'flex',
                 alignItems: 'center',
                 gap: '12px',
                 padding: '10px 12px',
-                background: theme.infoBg,
+                background: theme.warningBg,
                 borderRadius: '8px',
-                border: `1px solid ${theme.infoBorder}`,
+                border: `1px solid ${theme.warningBorder}`,
                 marginBottom: '16px',
+                color: theme.warningText,
               }}
             >
-              <label style={{ fontSize: '13px', color: theme.textSecondary }}>Send to workspace:</label>
-              <select
-                value={selectedPort || ''}
-                onChange={(e) => handlePortChange(parseInt(e.target.value, 10))}
-                style={{
-                  flex: 1,
-                  padding: '6px 10px',
-                  border: `1px solid ${theme.border}`,
-                  borderRadius: '6px',
-                  fontSize: '13px',
-                  fontFamily: "'SF Mono', Monaco, monospace",
-                  background: theme.bg,
-                  color: theme.text,
-                  cursor: 'pointer',
-                }}
-              >
-                {workspaces.map((ws) => (
-                  <option key={ws.port} value={ws.port}>
-                    {ws.name}
-                  </option>
-                ))}
-              </select>
+              <span>⚠️ No VSCode connected. Prompts are kept and sent when it connects.</span>
             </div>
-          ) : workspaces.length === 1 ? (
+          ) : route && !isChoosing ? (
             <div
               style={{
                 display: 'flex',
@@ -311,8 +430,30 @@ export function ComponentDialog({ context, workspaces, onClose, onSendToAI, onCo
                   color: theme.accent,
                 }}
               >
-                {workspaces[0].name}
+                {route.workspace.name}
               </span>
+              {routeHint && <span style={{ fontSize: '12px', color: theme.textMuted }}>{routeHint}</span>}
+              {route.workspace.paired === false && (
+                <span style={{ fontSize: '12px', color: theme.warningText }}>
+                  Not paired — pair from the extension popup
+                </span>
+              )}
+              {workspaces.length > 1 && (
+                <button
+                  onClick={() => setIsChoosing(true)}
+                  style={{
+                    marginLeft: 'auto',
+                    padding: 0,
+                    border: 'none',
+                    background: 'none',
+                    fontSize: '12px',
+                    color: theme.accent,
+                    cursor: 'pointer',
+                  }}
+                >
+                  Change
+                </button>
+              )}
             </div>
           ) : (
             <div
@@ -321,14 +462,147 @@ export function ComponentDialog({ context, workspaces, onClose, onSendToAI, onCo
                 alignItems: 'center',
                 gap: '12px',
                 padding: '10px 12px',
-                background: theme.warningBg,
+                background: theme.infoBg,
                 borderRadius: '8px',
-                border: `1px solid ${theme.warningBorder}`,
+                border: `1px solid ${theme.infoBorder}`,
                 marginBottom: '16px',
-                color: theme.warningText,
               }}
             >
-              <span>⚠️ No VSCode connected</span>
+              <label style={{ fontSize: '13px', color: theme.textSecondary }}>Send to workspace:</label>
+              <select
+                value={selectedPort ?? ''}
+                onChange={(e) => setSelectedPort(parseInt(e.target.value, 10))}
+                style={{
+                  flex: 1,
+                  padding: '6px 10px',
+                  border: `1px solid ${theme.border}`,
+                  borderRadius: '6px',
+                  fontSize: '13px',
+                  fontFamily: "'SF Mono', Monaco, monospace",
+                  background: theme.bg,
+                  color: theme.text,
+                  cursor: 'pointer',
+                }}
+              >
+                {!selectedWorkspace && (
+                  <option value="" disabled>
+                    Choose a workspace…
+                  </option>
+                )}
+                {workspaces.map((ws) => (
+                  <option key={ws.port} value={ws.port}>
+                    {ws.name}
+                    {ws.paired === false ? ' (not paired)' : ''}
+                  </option>
+                ))}
+              </select>
+              {host && (
+                <label
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '6px',
+                    fontSize: '12px',
+                    color: theme.textSecondary,
+                    whiteSpace: 'nowrap',
+                    cursor: 'pointer',
+                  }}
+                >
+                  <input
+                    type="checkbox"
+                    checked={rememberChoice}
+                    onChange={(e) => setRememberChoice(e.target.checked)}
+                  />
+                  Always for {host}
+                </label>
+              )}
+            </div>
+          )}
+
+          {/* Selected Components */}
+          {isMultiple && (
+            <div style={{ marginBottom: '16px' }}>
+              <label style={{ display: 'block', fontSize: '13px', fontWeight: 500, color: theme.textSecondary, marginBottom: '8px' }}>
+                Selected components:
+              </label>
+              <ol style={{ margin: 0, paddingLeft: '24px', fontSize: '13px', color: theme.text }}>
+                {contexts.map((selected, index) => (
+                  <li key={`${selected.element?.key ?? index}-${selected.componentName}`} style={{ padding: '2px 0' }}>
+                    <label
+                      style={{
+                        display: 'inline-flex',
+                        alignItems: 'center',
+                        gap: '8px',
+                        cursor: 'pointer',
+                        opacity: checked[index] ? 1 : 0.5,
+                      }}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={checked[index]}
+                        onChange={() => toggleComponent(index)}
+                        style={{ margin: 0 }}
+                      />
+                      <span style={{ fontWeight: 600 }}>{selected.componentName}</span>
+                      {selected.source?.fileName && (
+                        <span
+                          style={{
+                            fontSize: '11px',
+                            background: theme.bgSecondary,
+                            color: theme.textSecondary,
+                            padding: '2px 8px',
+                            borderRadius: '10px',
+                            fontFamily: "'SF Mono', Monaco, monospace",
+                          }}
+                        >
+                          {selected.source.fileName.replace(/^.*[/\\]/, '')}
+                        </span>
+                      )}
+                    </label>
+                  </li>
+                ))}
+              </ol>
+            </div>
+          )}
+
+          {/* Screenshot */}
+          {screenshot && (
+            <div style={{ marginBottom: '16px' }}>
+              <label
+                title={canAttachScreenshot ? undefined : 'Update the VSCode extension to attach screenshots'}
+                style={{
+                  display: 'inline-flex',
+                  alignItems: 'center',
+                  gap: '8px',
+                  fontSize: '13px',
+                  fontWeight: 500,
+                  color: theme.textSecondary,
+                  marginBottom: '8px',
+                  cursor: canAttachScreenshot ? 'pointer' : 'not-allowed',
+                  opacity: canAttachScreenshot ? 1 : 0.5,
+                }}
+              >
+                <input
+                  type="checkbox"
+                  checked={attachScreenshot}
+                  disabled={!canAttachScreenshot}
+                  onChange={(e) => setAttachScreenshot(e.target.checked)}
+                  style={{ margin: 0 }}
+                />
+                Attach screenshot
+              </label>
+              <canvas
+                ref={screenshotRef}
+                style={{
+                  display: 'block',
+                  maxWidth: '100%',
+                  maxHeight: '160px',
+                  border: `1px solid ${theme.border}`,
+                  borderRadius: '6px',
+                  background: theme.bgSecondary,
+                  opacity: attachScreenshot && canAttachScreenshot ? 1 : 0.4,
+                }}
+              />
             </div>
           )}
 
@@ -357,6 +631,11 @@ export function ComponentDialog({ context, workspaces, onClose, onSendToAI, onCo
                 boxSizing: 'border-box',
               }}
             />
+            {hasMissingSections && (
+              <div style={{ marginTop: '6px', fontSize: '12px', color: theme.warningText }}>
+                Some numbered headings were edited, so those components are sent with their original context
+              </div>
+            )}
           </div>
 
           {/* Prompt Input */}
@@ -364,7 +643,43 @@ export function ComponentDialog({ context, workspaces, onClose, onSendToAI, onCo
             <label style={{ display: 'block', fontSize: '13px', fontWeight: 500, color: theme.textSecondary, marginBottom: '8px' }}>
               Your prompt:
             </label>
+            {templates.length > 0 && (
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginBottom: '8px' }}>
+                {templates.map((template) => (
+                  <button
+                    key={template.name}
+                    type="button"
+                    title={template.prompt}
+                    onClick={() => {
+                      setPrompt(expandTemplate(template.prompt, selectedContexts))
+                      promptRef.current?.focus()
+                    }}
+                    style={{
+                      padding: '4px 10px',
+                      border: `1px solid ${theme.border}`,
+                      borderRadius: '12px',
+                      background: theme.bgSecondary,
+                      color: theme.text,
+                      fontSize: '12px',
+                      cursor: 'pointer',
+                      transition: 'all 0.15s ease',
+                    }}
+                    onMouseOver={(e) => {
+                      e.currentTarget.style.borderColor = theme.accent
+                      e.currentTarget.style.color = theme.accent
+                    }}
+                    onMouseOut={(e) => {
+                      e.currentTarget.style.borderColor = theme.border
+                      e.currentTarget.style.color = theme.text
+                    }}
+                  >
+                    {template.name}
+                  </button>
+                ))}
+              </div>
+            )}
             <textarea
+              ref={promptRef}
               value={prompt}
               onChange={(e) => setPrompt(e.target.value)}
               placeholder="What would you like to do with this component? (e.g., Add dark mode, Fix styling, Explain the code...)"
@@ -389,15 +704,16 @@ export function ComponentDialog({ context, workspaces, onClose, onSendToAI, onCo
           {/* AI Buttons */}
           <div style={{ display: 'flex', gap: '12px', marginBottom: '16px' }}>
             <button
-              onClick={() => onSendToAI('copilot', prompt, markdownContext, selectedPort)}
-              disabled={workspaces.length === 0}
+              onClick={() => sendToAI('copilot')}
+              disabled={!canSendTo('copilot')}
+              title={sendBlockedReason ?? targetStatus.copilot.hint}
               style={{
                 flex: 1,
                 padding: '14px 20px',
                 borderRadius: '8px',
                 fontSize: '14px',
                 fontWeight: 600,
-                cursor: workspaces.length === 0 ? 'not-allowed' : 'pointer',
+                cursor: canSendTo('copilot') ? 'pointer' : 'not-allowed',
                 border: 'none',
                 background: 'linear-gradient(135deg, #0969da 0%, #0550b3 100%)',
                 color: 'white',
@@ -405,11 +721,11 @@ export function ComponentDialog({ context, workspaces, onClose, onSendToAI, onCo
                 alignItems: 'center',
                 justifyContent: 'center',
                 gap: '8px',
-                opacity: workspaces.length === 0 ? 0.5 : 1,
+                opacity: canSendTo('copilot') ? 1 : 0.5,
                 transition: 'all 0.15s ease',
               }}
               onMouseOver={(e) => {
-                if (workspaces.length > 0) {
+                if (canSendTo('copilot')) {
                   e.currentTarget.style.transform = 'translateY(-1px)'
                   e.currentTarget.style.boxShadow = '0 4px 12px rgba(9, 105, 218, 0.4)'
                 }
@@ -421,17 +737,21 @@ export function ComponentDialog({ context, workspaces, onClose, onSendToAI, onCo
             >
               <span>🤖</span>
               Send to Copilot
+              {targetStatus.copilot.note && (
+                <span style={{ fontSize: '11px', fontWeight: 400, opacity: 0.85 }}>· {targetStatus.copilot.note}</span>
+              )}
             </button>
             <button
-              onClick={() => onSendToAI('claude', prompt, markdownContext, selectedPort)}
-              disabled={workspaces.length === 0}
+              onClick={() => sendToAI('claude')}
+              disabled={!canSendTo('claude')}
+              title={sendBlockedReason ?? targetStatus.claude.hint}
               style={{
                 flex: 1,
                 padding: '14px 20px',
                 borderRadius: '8px',
                 fontSize: '14px',
                 fontWeight: 600,
-                cursor: workspaces.length === 0 ? 'not-allowed' : 'pointer',
+                cursor: canSendTo('claude') ? 'pointer' : 'not-allowed',
                 border: 'none',
                 background: 'linear-gradient(135deg, #8b5cf6 0%, #6d28d9 100%)',
                 color: 'white',
@@ -439,11 +759,11 @@ export function ComponentDialog({ context, workspaces, onClose, onSendToAI, onCo
                 alignItems: 'center',
                 justifyContent: 'center',
                 gap: '8px',
-                opacity: workspaces.length === 0 ? 0.5 : 1,
+                opacity: canSendTo('claude') ? 1 : 0.5,
                 transition: 'all 0.15s ease',
               }}
               onMouseOver={(e) => {
-                if (workspaces.length > 0) {
+                if (canSendTo('claude')) {
                   e.currentTarget.style.transform = 'translateY(-1px)'
                   e.currentTarget.style.boxShadow = '0 4px 12px rgba(139, 92, 246, 0.4)'
                 }
@@ -455,9 +775,71 @@ export function ComponentDialog({ context, workspaces, onClose, onSendToAI, onCo
             >
               <span>🧠</span>
               Send to Claude
+              {targetStatus.claude.note && (
+                <span style={{ fontSize: '11px', fontWeight: 400, opacity: 0.85 }}>· {targetStatus.claude.note}</span>
+              )}
             </button>
           </div>
 
+          {/* Streamed Response */}
+          {response && (
+            <div style={{ marginBottom: '16px' }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '8px' }}>
+                <label style={{ fontSize: '13px', fontWeight: 500, color: theme.textSecondary }}>
+                  {response.destination} response:
+                </label>
+                <span
+                  style={{
+                    flex: 1,
+                    fontSize: '12px',
+                    color:
+                      response.stage === 'failed' ? '#ef4444' : response.stage === 'completed' ? '#22c55e' : '#8b5cf6',
+                  }}
+                >
+                  {response.detail || response.stage}
+                </span>
+                {!responseFinished && (
+                  <button
+                    onClick={onCancelResponse}
+                    style={{
+                      padding: '4px 12px',
+                      borderRadius: '8px',
+                      fontSize: '12px',
+                      fontWeight: 500,
+                      cursor: 'pointer',
+                      border: `1px solid ${theme.border}`,
+                      background: theme.bgSecondary,
+                      color: theme.text,
+                    }}
+                  >
+                    Stop
+                  </button>
+                )}
+              </div>
+              <pre
+                ref={responseRef}
+                style={{
+                  margin: 0,
+                  minHeight: '80px',
+                  maxHeight: '280px',
+                  overflowY: 'auto',
+                  padding: '12px',
+                  border: `1px solid ${theme.border}`,
+                  borderRadius: '8px',
+                  background: theme.bgSecondary,
+                  color: theme.text,
+                  fontFamily: "'SF Mono', Monaco, 'Inconsolata', 'Fira Code', monospace",
+                  fontSize: '12px',
+                  lineHeight: 1.5,
+                  whiteSpace: 'pre-wrap',
+                  wordBreak: 'break-word',
+                }}
+              >
+                {response.output || 'Waiting for output…'}
+              </pre>
+            </div>
+          )}
+
           {/* Footer */}
           <div
             style={{
@@ -468,6 +850,28 @@ export function ComponentDialog({ context, workspaces, onClose, onSendToAI, onCo
               borderTop: `1px solid ${theme.border}`,
             }}
           >
+            {!isMultiple && context.source?.fileName && (
+              <button
+                onClick={() => onOpenInEditor(selectedPort)}
+                disabled={!canOpenInEditor}
+                style={{
+                  padding: '10px 16px',
+                  borderRadius: '8px',
+                  fontSize: '14px',
+                  fontWeight: 500,
+                  cursor: canOpenInEditor ? 'pointer' : 'not-allowed',
+                  border: `1px solid ${theme.border}`,
+                  background: theme.bgSecondary,
+                  color: theme.text,
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '8px',
+                  opacity: canOpenInEditor ? 1 : 0.5,
+                }}
+              >
+                📂 Open in Editor
+              </button>
+            )}
             <button
               onClick={() => onCopy(markdownContext)}
               style={{
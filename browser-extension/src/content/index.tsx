@@ -1,31 +1,72 @@
 /**
  * React Grab Bridge - Content Script
  *
- * Activates when Option (Alt) key is held:
+ * Activates while Option (Alt) is held, or with the shortcut and mode chosen in the popup
+ * (in toggle mode a tap enters grab mode until something is selected or Escape is pressed):
  * - Shows crosshair cursor
  * - Highlights React components on hover
- * - Click to select and open prompt modal
+ * - Arrow up/down (or the wheel) moves the highlight to the parent/child component
+ * - Click (or Enter) to select and open prompt modal
  * - Send to Copilot or Claude Code
  */
 
 import ReactDOM from 'react-dom/client'
 import { ComponentDialog } from './components/ComponentDialog'
-import type { ComponentContext, Workspace } from './types'
+import type { DialogSelection } from './components/ComponentDialog'
+import { BRIDGE_PORT_NAME } from './types'
+import type {
+  AITarget,
+  BridgeMessage,
+  BridgeRequest,
+  ComponentContext,
+  ComponentHierarchy,
+  QueuedPrompt,
+  RequestStage,
+  ServerMessage,
+  TrackedRequest,
+  Workspace,
+} from './types'
+import { formatShortcut, isShortcutPressed, isShortcutReleased, parseShortcut } from '@/lib/shortcut'
+import type { Shortcut } from '@/lib/shortcut'
+import { DEFAULT_SETTINGS, loadSettings, onSettingsChanged, saveSettings, toRgbChannels } from '@/lib/settings'
+import type { ExtensionSettings } from '@/lib/settings'
+import { handleLocateReply, locateFiles, routeWorkspace } from '@/lib/workspaces'
 
 // Configuration
-const WS_PORTS = [9765, 9766, 9767, 9768, 9769]
-const KEY_HOLD_DURATION = 150
+const MAX_SELECTED_COMPONENTS = 20 // Same as MAX_PROMPT_ELEMENTS in the VSCode extension
+const DRAG_THRESHOLD = 5 // px the mouse must move before a click becomes a rectangle selection
+const WHEEL_NAVIGATION_INTERVAL = 150 // ms between hierarchy steps, so a trackpad swipe is not one step per event
+const BRIDGE_RECONNECT_DELAY = 1000 // ms before reconnecting to a restarted background worker
+const CONTEXT_TIMEOUT = 2000 // ms to wait for inject.js to build grabbed components' contexts
 
 // State
-const connections = new Map<number, { ws: WebSocket; workspace: Workspace | null; isConnected: boolean }>()
+let bridge: chrome.runtime.Port | null = null // To the background worker, which holds the VSCode connections
+let workspaces: Workspace[] = [] // Connected workspaces, as last pushed by the background worker
 let isGrabMode = false
-let keyDownTime: number | null = null
+let settings: ExtensionSettings = DEFAULT_SETTINGS // Edited on the options page
+let activationShortcut = parseShortcut(DEFAULT_SETTINGS.activation.shortcut) as Shortcut
+let keyDownTime: number | null = null // Set while the shortcut is down and no other key has been pressed
 let keyHoldTimer: ReturnType<typeof setTimeout> | null = null
 let currentContext: ComponentContext | null = null
+let currentRect: DOMRect | null = null
+let currentHierarchy: ComponentHierarchy | null = null
+let trackedHover: string | null = null // `${element key}:${name}` of the highlighted component inject.js follows
+let nextTrackId = 0
+const selectedContexts: ComponentContext[] = [] // Shift-clicked components, in the order they were picked
+const selectionMarkers: HTMLDivElement[] = [] // Numbered marker for each selected component
+let dragStart: { x: number; y: number } | null = null // Where the mouse went down in grab mode
+let isDragging = false
+let suppressNextClick = false // The click that ends a drag must not select anything
+let lastWheelNavigation = 0
+const listenedFrameDocuments = new WeakSet<Document>() // Same-origin iframe documents our handlers listen in
 let mouseX = 0
 let mouseY = 0
 let requestId = 0
 const pendingRequests = new Map<number, string>()
+const contextRequests = new Map<number, (contexts: (ComponentContext | null)[]) => void>() // Pending GRAB_GET_CONTEXTS
+let messageCounter = 0
+const trackedRequests = new Map<string, TrackedRequest>()
+const backgroundRequests = new Set<string>() // requestIds whose replies should not be shown to the user
 let extensionEnabled = true
 const currentHost = window.location.hostname
 
@@ -34,7 +75,11 @@ let overlay: HTMLDivElement | null = null
 let label: HTMLDivElement | null = null
 let crosshairH: HTMLDivElement | null = null
 let crosshairV: HTMLDivElement | null = null
+let marquee: HTMLDivElement | null = null
 let dialogRoot: ReactDOM.Root | null = null
+// Re-renders the open dialog, e.g. when the streamed response it shows changes
+let renderDialog: (() => void) | null = null
+let dialogResponse: { requestId: string; request: TrackedRequest } | null = null
 let dialogContainer: HTMLDivElement | null = null
 
 // Initialize
@@ -43,16 +88,20 @@ function init() {
 
   injectScript()
 
-  checkHostSettings().then((enabled) => {
+  checkHostSettings().then(async (enabled) => {
     if (enabled) {
+      await loadExtensionSettings()
       setupKeyListeners()
       setupMouseListeners()
+      setupFrameListeners(document)
       setupMessageListeners()
-      startConnectionPolling()
+      connectToBackground()
       createOverlayElements()
       createDialogContainer()
 
-      console.log('[React Grab Bridge] Ready. Hold Option (Alt) to activate.')
+      console.log(
+        `[React Grab Bridge] Ready. ${settings.activation.mode === 'toggle' ? 'Press' : 'Hold'} ${formatShortcut(settings.activation.shortcut)} to activate.`
+      )
     }
   })
 }
@@ -61,50 +110,55 @@ function init() {
 function injectScript() {
   const script = document.createElement('script')
   script.src = chrome.runtime.getURL('inject.js')
-  script.onload = () => script.remove()
+  script.onload = () => {
+    script.remove()
+    postInjectOptions()
+  }
   ;(document.head || document.documentElement).appendChild(script)
 }
 
-// WebSocket Connection
-function connectToAllPorts() {
-  if (!extensionEnabled) return
-  WS_PORTS.forEach((port) => connectToPort(port))
-}
-
-function connectToPort(port: number) {
-  if (connections.has(port)) {
-    const conn = connections.get(port)
-    if (conn?.ws?.readyState === WebSocket.OPEN) return
-  }
+// VSCode Connection
+// The background worker keeps one connection per VSCode instance for all tabs
+function connectToBackground() {
+  if (!extensionEnabled || bridge) return
 
   try {
-    const ws = new WebSocket(`ws://localhost:${port}`)
-
-    ws.onopen = () => {
-      console.log(`[React Grab Bridge] Connected to VSCode on port ${port}`)
-      connections.set(port, { ws, workspace: null, isConnected: true })
-      updateConnectionStatus()
-    }
+    bridge = chrome.runtime.connect({ name: BRIDGE_PORT_NAME })
+  } catch {
+    // The extension was reloaded or removed; this content script is orphaned
+    return
+  }
 
-    ws.onmessage = (event) => {
-      const message = JSON.parse(event.data)
-      handleServerMessage(port, message)
-    }
+  bridge.onMessage.addListener(handleBridgeMessage)
+  bridge.onDisconnect.addListener(() => {
+    bridge = null
+    updateWorkspaces([])
+    // The worker was stopped; connecting again starts a new one
+    setTimeout(connectToBackground, BRIDGE_RECONNECT_DELAY)
+  })
+}
 
-    ws.onclose = () => {
-      console.log(`[React Grab Bridge] Disconnected from port ${port}`)
-      connections.delete(port)
-      updateConnectionStatus()
-    }
+function disconnectFromBackground() {
+  bridge?.disconnect()
+  bridge = null
+  updateWorkspaces([])
+}
 
-    ws.onerror = () => {
-      connections.delete(port)
-    }
-  } catch {
-    // Silent fail
+function handleBridgeMessage(message: BridgeMessage) {
+  if (message.type === 'workspaces') {
+    updateWorkspaces(message.workspaces)
+  } else if (message.type === 'server-message') {
+    handleServerMessage(message.message)
   }
 }
 
+function updateWorkspaces(updated: Workspace[]) {
+  const closedPorts = workspaces.filter((ws) => !updated.some((u) => u.port === ws.port)).map((ws) => ws.port)
+  workspaces = updated
+  closedPorts.forEach((port) => failRequestsForPort(port, 'Connection to VSCode closed'))
+  updateConnectionStatus()
+}
+
 function updateConnectionStatus() {
   const connectedCount = getConnectedWorkspaces().length
   if (connectedCount > 0) {
@@ -113,72 +167,92 @@ function updateConnectionStatus() {
 }
 
 function getConnectedWorkspaces(): Workspace[] {
-  const workspaces: Workspace[] = []
-  connections.forEach((conn, port) => {
-    if (conn.isConnected && conn.ws?.readyState === WebSocket.OPEN) {
-      workspaces.push({
-        port,
-        name: conn.workspace?.name || `VSCode (port ${port})`,
-        path: conn.workspace?.path || '',
-      })
-    }
-  })
   return workspaces
 }
 
+function workspaceSupports(workspace: Workspace | undefined, messageType: string): boolean {
+  return workspace?.capabilities?.messageTypes.includes(messageType) ?? false
+}
+
+function createRequestId(): string {
+  return `${Date.now().toString(36)}-${(++messageCounter).toString(36)}`
+}
+
 function sendToVSCode(type: string, data: Record<string, unknown>, targetPort: number | null = null): boolean | 'multiple' {
   const workspaces = getConnectedWorkspaces()
 
-  if (workspaces.length === 0) {
-    showNotification('Not connected to VSCode', 'error')
-    return false
-  }
+  // Every message carries a request ID so replies can be matched to it
+  const message = { type, requestId: createRequestId(), ...data, timestamp: Date.now() }
 
   if (targetPort) {
-    const conn = connections.get(targetPort)
-    if (conn?.ws?.readyState === WebSocket.OPEN) {
-      conn.ws.send(JSON.stringify({ type, ...data, timestamp: Date.now() }))
-      return true
-    }
-    return false
+    return sendToPort(targetPort, message)
   }
 
   if (workspaces.length === 1) {
-    const conn = connections.get(workspaces[0].port)
-    conn?.ws.send(JSON.stringify({ type, ...data, timestamp: Date.now() }))
-    return true
+    return sendToPort(workspaces[0].port, message)
   }
 
-  return 'multiple'
+  return workspaces.length > 1 ? 'multiple' : false
 }
 
-function handleServerMessage(port: number, message: { type: string; workspace?: Workspace; message?: string }) {
+// Send only what the server has said it can handle
+function sendToPort(port: number, message: BridgeRequest['message']): boolean {
+  const workspace = getConnectedWorkspaces().find((ws) => ws.port === port)
+  if (!bridge || !workspace?.capabilities) return false
+
+  const { capabilities, name } = workspace
+
+  if (!capabilities.messageTypes.includes(message.type)) {
+    showNotification(`${name} does not support "${message.type}". Please update the VSCode extension.`, 'error')
+    return false
+  }
+
+  const payload = JSON.stringify(message)
+  if (payload.length > capabilities.maxPayloadSize) {
+    showNotification('Context is too large to send to VSCode', 'error')
+    return false
+  }
+
+  bridge.postMessage({ type: 'send', port, message } satisfies BridgeRequest)
+  return true
+}
+
+// Replies to this tab's requests; the background worker handles the handshake and pairing
+function handleServerMessage(message: ServerMessage) {
+  if (handleLocateReply(message)) return
+
   switch (message.type) {
-    case 'status':
-      if (message.workspace) {
-        const conn = connections.get(port)
-        if (conn) {
-          conn.workspace = message.workspace
-          console.log(`[React Grab Bridge] Workspace "${message.workspace.name}" connected on port ${port}`)
-        }
-      }
+    case 'received':
+    case 'dispatched':
+      updateTrackedRequest(message.requestId, message.type, message.message)
+      break
+    case 'output':
+      appendRequestOutput(message.requestId, message.output || '')
       break
     case 'success':
-      showNotification('Prompt sent successfully!', 'success')
+      if (message.requestId && backgroundRequests.delete(message.requestId)) {
+        break
+      }
+      if (message.requestId && trackedRequests.has(message.requestId)) {
+        updateTrackedRequest(message.requestId, 'completed', message.message)
+      } else {
+        showNotification(message.message || 'Prompt sent successfully!', 'success')
+      }
       break
     case 'error':
-      showNotification(message.message || 'Error occurred', 'error')
+      if (message.requestId && backgroundRequests.delete(message.requestId)) {
+        console.warn(`[React Grab Bridge] ${message.message}`)
+        break
+      }
+      if (message.requestId && trackedRequests.has(message.requestId)) {
+        updateTrackedRequest(message.requestId, 'failed', message.reason || message.message)
+      } else {
+        showNotification(message.message || 'Error occurred', 'error')
+      }
       break
   }
 }
 
-function startConnectionPolling() {
-  connectToAllPorts()
-  setInterval(() => {
-    connectToAllPorts()
-  }, 5000)
-}
-
 // Overlay Elements
 function createOverlayElements() {
   crosshairH = document.createElement('div')
@@ -190,7 +264,7 @@ function createOverlayElements() {
     left: '0',
     right: '0',
     height: '1px',
-    background: 'rgba(139, 92, 246, 0.5)',
+    background: accent(0.5),
     display: 'none',
   })
   document.body.appendChild(crosshairH)
@@ -204,7 +278,7 @@ function createOverlayElements() {
     top: '0',
     bottom: '0',
     width: '1px',
-    background: 'rgba(139, 92, 246, 0.5)',
+    background: accent(0.5),
     display: 'none',
   })
   document.body.appendChild(crosshairV)
@@ -215,8 +289,8 @@ function createOverlayElements() {
     position: 'fixed',
     pointerEvents: 'none',
     zIndex: '2147483646',
-    border: '1px dashed rgba(139, 92, 246, 0.7)',
-    background: 'rgba(139, 92, 246, 0.06)',
+    border: `1px dashed ${accent(0.7)}`,
+    background: accent(0.06),
     borderRadius: '2px',
     display: 'none',
     transition: 'all 0.05s ease-out',
@@ -229,7 +303,7 @@ function createOverlayElements() {
     position: 'fixed',
     pointerEvents: 'none',
     zIndex: '2147483647',
-    background: 'rgba(139, 92, 246, 0.9)',
+    background: accent(0.9),
     color: 'white',
     padding: '4px 8px',
     borderRadius: '4px',
@@ -241,6 +315,19 @@ function createOverlayElements() {
     boxShadow: '0 2px 8px rgba(0, 0, 0, 0.2)',
   })
   document.body.appendChild(label)
+
+  marquee = document.createElement('div')
+  marquee.className = 'react-grab-marquee'
+  Object.assign(marquee.style, {
+    position: 'fixed',
+    pointerEvents: 'none',
+    zIndex: '2147483646',
+    border: `1px solid ${accent(0.9)}`,
+    background: accent(0.12),
+    boxSizing: 'border-box',
+    display: 'none',
+  })
+  document.body.appendChild(marquee)
 }
 
 function createDialogContainer() {
@@ -250,7 +337,7 @@ function createDialogContainer() {
   dialogRoot = ReactDOM.createRoot(dialogContainer)
 }
 
-function showOverlay(rect: DOMRect, context: ComponentContext) {
+function showOverlay(rect: DOMRect, context: ComponentContext, hierarchy?: ComponentHierarchy) {
   if (!overlay || !label) return
 
   const componentName = context?.componentName || 'Unknown'
@@ -266,7 +353,7 @@ function showOverlay(rect: DOMRect, context: ComponentContext) {
   const height = Math.round(rect.height)
 
   label.innerHTML = `
-    <span style="font-weight: 600; color: white;">${escapeHtml(componentName)}</span>
+    ${renderBreadcrumb(hierarchy, `<span style="font-weight: 600; color: white;">${escapeHtml(componentName)}</span>`)}
     ${shortPath ? `<span style="font-size: 10px; opacity: 0.75; margin-left: 8px;">${escapeHtml(shortPath)}</span>` : ''}
     <span style="font-size: 10px; opacity: 0.6; margin-left: auto;">${width}×${height}</span>
   `
@@ -285,6 +372,20 @@ function showOverlay(rect: DOMRect, context: ComponentContext) {
   label.style.gap = '8px'
 }
 
+// The highlighted component between its parent and child, e.g. `… › Layout › Card › Button`
+function renderBreadcrumb(hierarchy: ComponentHierarchy | undefined, nameHtml: string): string {
+  if (!hierarchy || hierarchy.names.length < 2) return nameHtml
+
+  const { names, level } = hierarchy
+  const parent = names[level + 1]
+  const child = names[level - 1]
+  const above = parent ? `${level + 2 < names.length ? '… › ' : ''}${parent} ›` : ''
+  const below = child ? `› ${child}${level - 2 >= 0 ? ' › …' : ''}` : ''
+  const crumb = (text: string) => `<span style="opacity: 0.7;">${escapeHtml(text)}</span>`
+
+  return [above && crumb(above), nameHtml, below && crumb(below)].filter(Boolean).join('')
+}
+
 function hideOverlay() {
   if (overlay) overlay.style.display = 'none'
   if (label) label.style.display = 'none'
@@ -294,39 +395,82 @@ function hideOverlay() {
 function setupKeyListeners() {
   document.addEventListener('keydown', handleKeyDown, true)
   document.addEventListener('keyup', handleKeyUp, true)
-  window.addEventListener('blur', deactivateGrabMode)
+  window.addEventListener('blur', cancelGrab)
 }
 
 function handleKeyDown(event: KeyboardEvent) {
-  if (event.key === 'Alt' && !isGrabMode) {
-    if (!keyDownTime) {
-      keyDownTime = Date.now()
-      keyHoldTimer = setTimeout(() => {
-        activateGrabMode()
-      }, KEY_HOLD_DURATION)
-    }
+  if (isShortcutPressed(activationShortcut, event)) {
+    handleShortcutDown(event)
+  } else if (keyDownTime) {
+    // Another key joined in, e.g. an Alt-based shortcut of the page or OS, so it wasn't meant for us
+    cancelShortcut()
   }
 
   if (event.key === 'Escape' && isGrabMode) {
-    deactivateGrabMode()
+    cancelGrab()
     event.preventDefault()
     event.stopPropagation()
   }
+
+  // Arrow up/down walks the component hierarchy, Enter grabs the highlighted component
+  if (isGrabMode && (event.key === 'ArrowUp' || event.key === 'ArrowDown')) {
+    navigateHierarchy(event.key === 'ArrowUp' ? 'parent' : 'child')
+    event.preventDefault()
+    event.stopPropagation()
+  } else if (isGrabMode && event.key === 'Enter') {
+    event.preventDefault()
+    event.stopPropagation()
+    grabHighlighted(event)
+  }
+}
+
+function handleShortcutDown(event: KeyboardEvent) {
+  // Don't type the chord's letter into the page
+  if (activationShortcut.key) {
+    event.preventDefault()
+    event.stopPropagation()
+  }
+  if (event.repeat || keyDownTime) return
+
+  keyDownTime = Date.now()
+  if (settings.activation.mode === 'hold' && !isGrabMode) {
+    keyHoldTimer = setTimeout(activateGrabMode, settings.activation.holdDuration)
+  }
 }
 
 function handleKeyUp(event: KeyboardEvent) {
-  if (event.key === 'Alt') {
-    if (keyHoldTimer) {
-      clearTimeout(keyHoldTimer)
-      keyHoldTimer = null
-    }
-    keyDownTime = null
+  if (!isShortcutReleased(activationShortcut, event)) return
 
+  const isTap = keyDownTime !== null
+  cancelShortcut()
+
+  if (settings.activation.mode === 'hold') {
+    finishGrab()
+  } else if (isTap) {
+    // In toggle mode a clean tap enters grab mode and the next one leaves it
     if (isGrabMode) {
-      deactivateGrabMode()
+      finishGrab()
+    } else {
+      activateGrabMode()
     }
+  }
+}
 
-    hideOverlay()
+function cancelShortcut() {
+  if (keyHoldTimer) {
+    clearTimeout(keyHoldTimer)
+    keyHoldTimer = null
+  }
+  keyDownTime = null
+}
+
+// Leave grab mode; anything shift-clicked so far is asked about together
+function finishGrab() {
+  deactivateGrabMode()
+  hideOverlay()
+
+  if (selectedContexts.length > 0) {
+    void openSelectionDialog()
   }
 }
 
@@ -348,7 +492,8 @@ function activateGrabMode() {
     crosshairV.style.left = `${mouseX}px`
   }
 
-  updateHoverElement()
+  // Start again from the innermost component
+  updateHoverElement(true)
 
   console.log('[React Grab Bridge] Grab mode activated')
 }
@@ -363,14 +508,15 @@ function deactivateGrabMode() {
 
   hideOverlay()
   hideCrosshair()
+  untrackHover()
   currentContext = null
+  currentRect = null
+  currentHierarchy = null
+  dragStart = null
+  isDragging = false
+  if (marquee) marquee.style.display = 'none'
   pendingRequests.clear()
-
-  if (keyHoldTimer) {
-    clearTimeout(keyHoldTimer)
-    keyHoldTimer = null
-  }
-  keyDownTime = null
+  cancelShortcut()
 
   console.log('[React Grab Bridge] Grab mode deactivated')
 }
@@ -380,10 +526,28 @@ function hideCrosshair() {
   if (crosshairV) crosshairV.style.display = 'none'
 }
 
+function cancelGrab() {
+  clearSelection()
+  deactivateGrabMode()
+}
+
 // Mouse Event Handlers
 function setupMouseListeners() {
+  document.addEventListener('mousedown', handleMouseDown, true)
   document.addEventListener('mousemove', handleMouseMove, true)
+  document.addEventListener('mouseup', handleMouseUp, true)
   document.addEventListener('click', handleClick, true)
+  document.addEventListener('wheel', handleWheel, { capture: true, passive: false })
+}
+
+function handleMouseDown(event: MouseEvent) {
+  if (!isGrabMode || event.button !== 0) return
+
+  // Keep the page from starting a text selection or its own drag
+  event.preventDefault()
+  event.stopPropagation()
+  dragStart = { x: event.clientX, y: event.clientY }
+  isDragging = false
 }
 
 function handleMouseMove(event: MouseEvent) {
@@ -393,24 +557,150 @@ function handleMouseMove(event: MouseEvent) {
   if (isGrabMode) {
     if (crosshairH) crosshairH.style.top = `${mouseY}px`
     if (crosshairV) crosshairV.style.left = `${mouseX}px`
-    updateHoverElement()
+
+    if (dragStart && !isDragging && Math.hypot(mouseX - dragStart.x, mouseY - dragStart.y) > DRAG_THRESHOLD) {
+      isDragging = true
+      hideOverlay()
+    }
+
+    if (isDragging) {
+      updateMarquee()
+    } else {
+      updateHoverElement()
+    }
   }
 }
 
+function handleMouseUp(event: MouseEvent) {
+  if (!dragStart) return
+
+  const wasDragging = isDragging
+  dragStart = null
+  isDragging = false
+  if (!wasDragging || !marquee) return
+
+  event.preventDefault()
+  event.stopPropagation()
+
+  // The click event follows mouseup in the same task
+  suppressNextClick = true
+  setTimeout(() => {
+    suppressNextClick = false
+  }, 0)
+
+  const rect = marquee.getBoundingClientRect()
+  marquee.style.display = 'none'
+  requestComponentsInRect(rect, event.shiftKey)
+}
+
 function handleClick(event: MouseEvent) {
+  if (suppressNextClick) {
+    suppressNextClick = false
+    event.preventDefault()
+    event.stopPropagation()
+    return
+  }
+
   if (!isGrabMode) return
 
   event.preventDefault()
   event.stopPropagation()
 
+  grabHighlighted(event)
+}
+
+// Wheel up selects the parent component, wheel down the child
+function handleWheel(event: WheelEvent) {
+  if (!isGrabMode || event.deltaY === 0) return
+
+  event.preventDefault()
+  event.stopPropagation()
+
+  const now = Date.now()
+  if (now - lastWheelNavigation < WHEEL_NAVIGATION_INTERVAL) return
+  lastWheelNavigation = now
+  navigateHierarchy(event.deltaY < 0 ? 'parent' : 'child')
+}
+
+// Act on the highlighted component for a click or Enter; modifier keys work the same for both
+function grabHighlighted(event: MouseEvent | KeyboardEvent) {
   if (currentContext) {
     const context = currentContext
+    const rect = currentRect
+
+    // Shift + click collects several components for one combined prompt
+    if (event.shiftKey) {
+      if (rect) toggleSelection(context, rect)
+      return
+    }
+
+    deactivateGrabMode()
+
+    // A plain click after shift-clicking adds that component and asks about all of them
+    if (selectedContexts.length > 0) {
+      if (rect && !isSelected(context)) addToSelection(context, rect)
+      void openSelectionDialog()
+      return
+    }
+
+    void grabComponent(context, rect, event.metaKey || event.ctrlKey)
+  } else if (selectedContexts.length > 0 && !event.shiftKey) {
     deactivateGrabMode()
-    showComponentDialog(context)
+    void openSelectionDialog()
+  }
+}
+
+// A single grabbed component goes to its source (Cmd/Ctrl + click) or the dialog
+async function grabComponent(context: ComponentContext, rect: DOMRect | null, openSource: boolean) {
+  await loadFullContexts([context])
+  void recordGrab(context)
+
+  // Cmd/Ctrl + click jumps straight to the source when we know which workspace has it
+  if (openSource && context.source?.fileName) {
+    const workspace = await findWorkspaceForSource(context.source.fileName)
+    if (workspace) {
+      openInEditor(context, workspace.port)
+      return
+    }
   }
+
+  void showGrabDialog(context, rect)
 }
 
-function updateHoverElement() {
+// Hovering and rectangle selection only get a summary of each component (name, source and
+// element key). inject.js builds the rest of the context, styles and markdown included, once
+// the component is grabbed. Components that are gone by then keep their summary, and so do all
+// of them if inject.js doesn't answer in time.
+async function loadFullContexts(contexts: ComponentContext[]) {
+  const summaries = contexts.filter((context) => context.markdown === undefined)
+  if (summaries.length === 0) return
+
+  const id = ++requestId
+  const fullContexts = await new Promise<(ComponentContext | null)[]>((resolve) => {
+    const timer = setTimeout(() => {
+      contextRequests.delete(id)
+      resolve([])
+    }, CONTEXT_TIMEOUT)
+    contextRequests.set(id, (replied) => {
+      clearTimeout(timer)
+      resolve(replied)
+    })
+    window.postMessage(
+      {
+        type: 'GRAB_GET_CONTEXTS',
+        targets: summaries.map((context) => ({ key: context.element?.key, componentName: context.componentName })),
+        requestId: id,
+      },
+      '*'
+    )
+  })
+  summaries.forEach((summary, index) => {
+    const full = fullContexts[index]
+    if (full) Object.assign(summary, full)
+  })
+}
+
+function updateHoverElement(resetLevel = false) {
   if (!isGrabMode) return
 
   const id = ++requestId
@@ -421,12 +711,88 @@ function updateHoverElement() {
       type: 'GRAB_GET_ELEMENT_AT_POINT',
       x: mouseX,
       y: mouseY,
+      resetLevel,
       requestId: id,
     },
     '*'
   )
 }
 
+// Move the highlight to the parent or child of the highlighted component
+function navigateHierarchy(direction: 'parent' | 'child') {
+  if (!currentContext) return
+
+  const id = ++requestId
+  pendingRequests.set(id, 'hover')
+  window.postMessage({ type: 'GRAB_NAVIGATE_HIERARCHY', direction, requestId: id }, '*')
+}
+
+// Same-Origin Frames
+// Events inside an iframe (e.g. a Storybook canvas) never reach this document, so the
+// handlers listen in same-origin frames too. inject.js finds components inside them.
+function setupFrameListeners(doc: Document) {
+  // Capturing catches the load of every iframe, including ones added later
+  doc.addEventListener('load', (event) => {
+    // Not `instanceof`: elements of nested frames belong to another window
+    const target = event.target as Element | null
+    if (target?.tagName === 'IFRAME') listenInFrame(target as HTMLIFrameElement)
+  }, true)
+  doc.querySelectorAll('iframe').forEach(listenInFrame)
+}
+
+function listenInFrame(frame: HTMLIFrameElement) {
+  let doc: Document | null
+  try {
+    doc = frame.contentDocument
+  } catch {
+    return
+  }
+  // Cross-origin frames have no document to listen in
+  if (!doc || listenedFrameDocuments.has(doc)) return
+  listenedFrameDocuments.add(doc)
+
+  const withFrameCoordinates = <E extends MouseEvent>(handler: (event: E) => void) =>
+    (event: E) => handler(toTopFrameEvent(event, frame))
+  doc.addEventListener('keydown', handleKeyDown, true)
+  doc.addEventListener('keyup', handleKeyUp, true)
+  doc.addEventListener('mousedown', withFrameCoordinates(handleMouseDown), true)
+  doc.addEventListener('mousemove', withFrameCoordinates(handleMouseMove), true)
+  doc.addEventListener('mouseup', withFrameCoordinates(handleMouseUp), true)
+  doc.addEventListener('click', withFrameCoordinates(handleClick), true)
+  doc.addEventListener('wheel', handleWheel, { capture: true, passive: false })
+  doc.defaultView?.addEventListener('blur', cancelGrab)
+
+  setupFrameListeners(doc)
+}
+
+// The event with its client coordinates moved into this document's viewport
+function toTopFrameEvent<E extends MouseEvent>(event: E, frame: HTMLIFrameElement): E {
+  const offset = getFrameOffset(frame)
+  return new Proxy(event, {
+    get(target, property) {
+      if (property === 'clientX') return target.clientX + offset.x
+      if (property === 'clientY') return target.clientY + offset.y
+      const value = Reflect.get(target, property)
+      // Event methods only work when called on the event itself
+      return typeof value === 'function' ? value.bind(target) : value
+    },
+  })
+}
+
+// Where a frame's viewport starts in this document's viewport, through any frames around it
+function getFrameOffset(frame: Element) {
+  let x = 0
+  let y = 0
+  for (let current: Element | null = frame; current; current = current.ownerDocument.defaultView?.frameElement ?? null) {
+    const rect = current.getBoundingClientRect()
+    const style = current.ownerDocument.defaultView!.getComputedStyle(current)
+    x += rect.left + current.clientLeft + parseFloat(style.paddingLeft)
+    y += rect.top + current.clientTop + parseFloat(style.paddingTop)
+    if (current.ownerDocument === document) break
+  }
+  return { x, y }
+}
+
 // Message Handlers
 function setupMessageListeners() {
   window.addEventListener('message', (event) => {
@@ -434,12 +800,15 @@ function setupMessageListeners() {
 
     switch (event.data.type) {
       case 'GRAB_ELEMENT_FOUND': {
-        const { requestId: id, context, rect } = event.data
+        const { requestId: id, context, rect, hierarchy } = event.data
         if (pendingRequests.get(id) === 'hover') {
           pendingRequests.delete(id)
           if (isGrabMode && context && rect) {
             currentContext = context
-            showOverlay(rect, context)
+            currentRect = rect
+            currentHierarchy = hierarchy ?? null
+            showOverlay(rect, context, hierarchy)
+            trackHover(context)
           }
         }
         break
@@ -450,14 +819,41 @@ function setupMessageListeners() {
         if (pendingRequests.get(id) === 'hover') {
           pendingRequests.delete(id)
           hideOverlay()
+          untrackHover()
           currentContext = null
+          currentRect = null
+        }
+        break
+      }
+
+      case 'GRAB_TRACKED_RECTS': {
+        handleTrackedRects(event.data.rects)
+        break
+      }
+
+      case 'GRAB_CONTEXTS_RESULT': {
+        const { requestId: id, contexts } = event.data
+        const resolve = contextRequests.get(id)
+        if (resolve) {
+          contextRequests.delete(id)
+          resolve(contexts)
+        }
+        break
+      }
+
+      case 'GRAB_ELEMENTS_IN_RECT_RESULT': {
+        const { requestId: id, items } = event.data
+        const mode = pendingRequests.get(id)
+        if (mode === 'rect' || mode === 'rect-add') {
+          pendingRequests.delete(id)
+          handleRectSelection(items, mode === 'rect-add')
         }
         break
       }
 
       case 'GRAB_REACT_CHECK_RESULT': {
         if (!event.data.hasReact) {
-          console.log('[React Grab Bridge] No React detected on this page')
+          console.log('[React Grab Bridge] No React, Preact, Vue or Svelte detected on this page')
         }
         break
       }
@@ -465,63 +861,584 @@ function setupMessageListeners() {
   })
 }
 
+// Multi-Selection
+// A wrapper component and the component it renders share their element, so compare names too
+function isSameComponent(a: ComponentContext, b: ComponentContext): boolean {
+  return a.element?.key === b.element?.key && a.componentName === b.componentName
+}
+
+function isSelected(context: ComponentContext): boolean {
+  return selectedContexts.some((selected) => isSameComponent(selected, context))
+}
+
+// Components from a rectangle selection are not recorded one by one, there may be dozens
+function addToSelection(context: ComponentContext, rect: DOMRect, record = true) {
+  if (record) void recordGrab(context)
+  selectedContexts.push(context)
+  selectionMarkers.push(createSelectionMarker(rect, context))
+  renumberSelectionMarkers()
+}
+
+function toggleSelection(context: ComponentContext, rect: DOMRect) {
+  const index = selectedContexts.findIndex((selected) => isSameComponent(selected, context))
+
+  if (index !== -1) {
+    selectedContexts.splice(index, 1)
+    removeSelectionMarker(selectionMarkers.splice(index, 1)[0])
+    renumberSelectionMarkers()
+  } else if (selectedContexts.length >= MAX_SELECTED_COMPONENTS) {
+    showNotification(`You can select up to ${MAX_SELECTED_COMPONENTS} components`, 'error')
+  } else {
+    addToSelection(context, rect)
+  }
+}
+
+// Markers follow their component as it moves, until it disappears
+function createSelectionMarker(rect: DOMRect, context: ComponentContext): HTMLDivElement {
+  const marker = document.createElement('div')
+  marker.className = 'react-grab-selection-marker'
+  marker.dataset.trackId = `selection-${++nextTrackId}`
+  positionSelectionMarker(marker, rect)
+  Object.assign(marker.style, {
+    position: 'absolute',
+    pointerEvents: 'none',
+    zIndex: '2147483645',
+    border: `2px solid ${accent(0.9)}`,
+    background: accent(0.08),
+    borderRadius: '2px',
+    boxSizing: 'border-box',
+  })
+
+  const number = document.createElement('span')
+  Object.assign(number.style, {
+    position: 'absolute',
+    top: '-10px',
+    left: '-10px',
+    minWidth: '20px',
+    height: '20px',
+    padding: '0 5px',
+    boxSizing: 'border-box',
+    borderRadius: '10px',
+    background: accent(1),
+    color: 'white',
+    fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+    fontSize: '11px',
+    fontWeight: '700',
+    lineHeight: '20px',
+    textAlign: 'center',
+    boxShadow: '0 1px 4px rgba(0, 0, 0, 0.3)',
+  })
+  marker.appendChild(number)
+
+  document.body.appendChild(marker)
+  trackTarget(marker.dataset.trackId, context)
+  return marker
+}
+
+// Page coordinates, so the marker stays on its component between updates while the page scrolls
+function positionSelectionMarker(marker: HTMLDivElement, rect: DOMRect) {
+  Object.assign(marker.style, {
+    top: `${rect.top + window.scrollY}px`,
+    left: `${rect.left + window.scrollX}px`,
+    width: `${rect.width}px`,
+    height: `${rect.height}px`,
+  })
+}
+
+function removeSelectionMarker(marker: HTMLDivElement) {
+  untrackTarget(marker.dataset.trackId!)
+  marker.remove()
+}
+
+function renumberSelectionMarkers() {
+  selectionMarkers.forEach((marker, index) => {
+    marker.firstElementChild!.textContent = String(index + 1)
+  })
+}
+
+function clearSelection() {
+  selectedContexts.length = 0
+  selectionMarkers.splice(0).forEach(removeSelectionMarker)
+}
+
+async function openSelectionDialog() {
+  const contexts = selectedContexts.slice()
+  clearSelection()
+  await loadFullContexts(contexts)
+  await showComponentDialog(contexts)
+}
+
+// Target Tracking
+// inject.js follows grabbed components through scrolling, resizing and re-renders
+// and posts their rects under the track ID they were registered with
+function trackTarget(trackId: string, context: ComponentContext) {
+  window.postMessage({ type: 'GRAB_TRACK', trackId, key: context.element?.key, componentName: context.componentName }, '*')
+}
+
+function untrackTarget(trackId: string) {
+  window.postMessage({ type: 'GRAB_UNTRACK', trackId }, '*')
+}
+
+function trackHover(context: ComponentContext) {
+  const hoverKey = `${context.element?.key}:${context.componentName}`
+  if (hoverKey === trackedHover) return
+  trackedHover = hoverKey
+  trackTarget('hover', context)
+}
+
+function untrackHover() {
+  if (!trackedHover) return
+  trackedHover = null
+  untrackTarget('hover')
+}
+
+// A null rect means the target is gone
+function handleTrackedRects(rects: Record<string, DOMRect | null>) {
+  for (const [trackId, rect] of Object.entries(rects)) {
+    if (trackId === 'hover') {
+      if (!isGrabMode || !currentContext || isDragging || !trackedHover) continue
+      if (rect) {
+        currentRect = rect
+        showOverlay(rect, currentContext, currentHierarchy ?? undefined)
+      } else {
+        hideOverlay()
+        trackedHover = null
+        currentContext = null
+        currentRect = null
+      }
+      continue
+    }
+
+    const marker = selectionMarkers.find((m) => m.dataset.trackId === trackId)
+    if (!marker) continue
+    if (rect) {
+      positionSelectionMarker(marker, rect)
+      marker.style.display = ''
+    } else {
+      marker.style.display = 'none'
+    }
+  }
+}
+
+// Rectangle Selection
+function updateMarquee() {
+  if (!marquee || !dragStart) return
+
+  Object.assign(marquee.style, {
+    left: `${Math.min(dragStart.x, mouseX)}px`,
+    top: `${Math.min(dragStart.y, mouseY)}px`,
+    width: `${Math.abs(mouseX - dragStart.x)}px`,
+    height: `${Math.abs(mouseY - dragStart.y)}px`,
+    display: 'block',
+  })
+}
+
+function requestComponentsInRect(rect: DOMRect, additive: boolean) {
+  const id = ++requestId
+  pendingRequests.set(id, additive ? 'rect-add' : 'rect')
+
+  window.postMessage(
+    {
+      type: 'GRAB_GET_ELEMENTS_IN_RECT',
+      rect: { left: rect.left, top: rect.top, right: rect.right, bottom: rect.bottom },
+      requestId: id,
+    },
+    '*'
+  )
+}
+
+// Shift + drag adds to the selection; a plain drag asks about everything selected so far
+function handleRectSelection(items: { context: ComponentContext; rect: DOMRect }[], additive: boolean) {
+  if (items.length === 0) {
+    showNotification('No React components in that area', 'info')
+    return
+  }
+
+  let skipped = 0
+  items.forEach(({ context, rect }) => {
+    if (isSelected(context)) return
+    if (selectedContexts.length >= MAX_SELECTED_COMPONENTS) {
+      skipped++
+      return
+    }
+    addToSelection(context, rect, false)
+  })
+  if (skipped > 0) {
+    showNotification(`Only the first ${MAX_SELECTED_COMPONENTS} components were selected`, 'info')
+  }
+
+  if (!additive) {
+    deactivateGrabMode()
+    void openSelectionDialog()
+  }
+}
+
+// Screenshots
+async function showGrabDialog(context: ComponentContext, rect: DOMRect | null) {
+  if (rect && getConnectedWorkspaces().some((ws) => ws.capabilities?.screenshots)) {
+    context.screenshot = (await captureScreenshot(rect)) ?? undefined
+  }
+  await showComponentDialog([context])
+}
+
+// Capture the component as it looks in the page. Returns a PNG data URL, or null on failure.
+async function captureScreenshot(rect: DOMRect): Promise<string | null> {
+  // Let the overlay disappear before the tab is captured
+  await new Promise((resolve) => requestAnimationFrame(() => requestAnimationFrame(resolve)))
+
+  try {
+    const response: { dataUrl?: string; error?: string } | undefined = await chrome.runtime.sendMessage({
+      type: 'captureScreenshot',
+      rect: { left: rect.left, top: rect.top, right: rect.right, bottom: rect.bottom },
+      viewportWidth: window.innerWidth,
+    })
+    if (response?.error) throw new Error(response.error)
+    return response?.dataUrl || null
+  } catch (error) {
+    console.warn('[React Grab Bridge] Could not capture screenshot:', error)
+    return null
+  }
+}
+
 // Component Dialog
-function showComponentDialog(context: ComponentContext) {
+async function showComponentDialog(contexts: ComponentContext[]) {
   hideOverlay()
 
   if (!dialogRoot) return
 
   const workspaces = getConnectedWorkspaces()
+  const fileNames = contexts.map((selected) => selected.source?.fileName)
+  const located = await locateFiles(workspaces, fileNames, sendToPort)
+  const route = routeWorkspace(workspaces, fileNames, window.location.host, settings.workspaceRules, located)
+
+  dialogResponse = null
 
   const handleClose = () => {
+    renderDialog = null
+    dialogResponse = null
     dialogRoot?.render(null)
   }
 
-  const handleSendToAI = (target: 'copilot' | 'claude', prompt: string, markdownContext: string, targetPort: number | null) => {
-    const finalPrompt = prompt || 'Analyze this React component:'
+  const [context] = contexts
+
+  // A single component goes in `elementInfo`, several in `elements` with one context section each
+  const handleSendToAI = (target: AITarget, prompt: string, selection: DialogSelection[], targetPort: number | null) => {
+    const isMultiple = selection.length > 1
+    const finalPrompt = prompt || (isMultiple ? 'Analyze these React components:' : 'Analyze this React component:')
+    const componentName = isMultiple ? `${selection.length} components` : selection[0].context.componentName
+    const id = createRequestId()
+    const message = {
+      type: 'prompt' as const,
+      prompt: finalPrompt,
+      target,
+      pageUrl: window.location.href,
+      ...(isMultiple
+        ? { elements: selection.map((item) => buildElementInfo(item.context, item.markdownContext)) }
+        : {
+            grabId: selection[0].context.grabId,
+            elementInfo: buildElementInfo(selection[0].context, selection[0].markdownContext),
+            ...(selection[0].screenshot ? { screenshot: selection[0].screenshot } : {}),
+          }),
+    }
 
-    const result = sendToVSCode(
-      'prompt',
-      {
-        prompt: finalPrompt,
-        target,
-        elementInfo: {
-          componentName: context.componentName,
-          jsx: context.jsx,
-          props: context.props,
-          filePath: context.source?.fileName || null,
-          tagName: context.element?.tagName || '',
-          className: context.element?.className || '',
-          id: context.element?.id || '',
-          markdownContext,
-        },
-      },
-      targetPort
-    )
+    // Keep the prompt until VSCode (or the workspace picked in the dialog) connects again
+    const connected = getConnectedWorkspaces()
+    if (connected.length === 0 || (targetPort && !connected.some((ws) => ws.port === targetPort))) {
+      queuePrompt({
+        message,
+        workspace: workspaces.find((ws) => ws.port === targetPort) ?? null,
+        filePath: selection[0].context.source?.fileName || null,
+        componentName,
+      })
+      handleClose()
+      return
+    }
+
+    const { type, ...data } = message
+    const result = sendToVSCode(type, { requestId: id, ...data }, targetPort)
+
+    if (result === true) {
+      const port = targetPort ?? getConnectedWorkspaces()[0]?.port ?? null
+      trackRequest(id, {
+        port,
+        destination: target === 'claude' ? 'Claude' : 'Copilot',
+        componentName,
+      })
 
-    if (result === false) {
+      // Streamed responses are shown in the dialog, anything else closes it
+      const workspace = getConnectedWorkspaces().find((ws) => ws.port === port)
+      const request = trackedRequests.get(id)
+      if (request && workspace?.capabilities?.streamingTargets?.includes(target)) {
+        dialogResponse = { requestId: id, request: { ...request } }
+        renderDialog?.()
+        return
+      }
+    } else if (result === false) {
       showNotification('Failed to send to VSCode', 'error')
     }
 
     handleClose()
   }
 
-  dialogRoot.render(
-    <ComponentDialog
-      context={context}
-      workspaces={workspaces}
-      onClose={handleClose}
-      onSendToAI={handleSendToAI}
-      onCopy={async (text) => {
-        try {
-          await navigator.clipboard.writeText(text)
-          showNotification('Copied to clipboard!', 'success')
-        } catch {
-          showNotification('Failed to copy', 'error')
+  renderDialog = () => {
+    dialogRoot?.render(
+      <ComponentDialog
+        contexts={contexts}
+        workspaces={workspaces}
+        route={route}
+        host={window.location.host}
+        response={dialogResponse?.request ?? null}
+        onClose={handleClose}
+        defaultTarget={settings.defaultTarget}
+        onSendToAI={handleSendToAI}
+        onCancelResponse={() => dialogResponse && cancelRequest(dialogResponse.requestId)}
+        onOpenInEditor={(targetPort) => openInEditor(context, targetPort)}
+        onRememberWorkspace={(name) =>
+          saveSettings({ workspaceRules: { ...settings.workspaceRules, [window.location.host]: name } })
         }
-      }}
-    />
-  )
+        onCopy={async (text) => {
+          try {
+            await navigator.clipboard.writeText(text)
+            showNotification('Copied to clipboard!', 'success')
+          } catch {
+            showNotification('Failed to copy', 'error')
+          }
+        }}
+      />
+    )
+  }
+  renderDialog()
+}
+
+// Streamed Responses
+function appendRequestOutput(id: string | undefined, text: string) {
+  const request = id ? trackedRequests.get(id) : undefined
+  if (!id || !request) return
+
+  request.output += text
+  updateDialogResponse(id)
+}
+
+// Snapshot the request so the dialog keeps showing it after tracking ends
+function updateDialogResponse(id: string) {
+  const request = trackedRequests.get(id)
+  if (!request || dialogResponse?.requestId !== id) return
+
+  dialogResponse = {
+    requestId: id,
+    request: { ...request, detail: request.detail || REQUEST_STAGE_TEXT[request.stage] },
+  }
+  renderDialog?.()
+}
+
+// Outbox
+// The background worker keeps prompts written while VSCode is away and sends them when it connects
+async function queuePrompt({
+  message,
+  workspace,
+  filePath,
+  componentName,
+}: Pick<QueuedPrompt, 'message' | 'filePath' | 'componentName'> & { workspace: Workspace | null }) {
+  try {
+    const response: { success: boolean; error?: string } | undefined = await chrome.runtime.sendMessage({
+      type: 'queuePrompt',
+      prompt: {
+        message,
+        workspace: workspace && { name: workspace.name, path: workspace.path },
+        filePath,
+        componentName,
+        pageUrl: window.location.href,
+      },
+    })
+    if (!response?.success) throw new Error(response?.error)
+
+    showNotification(
+      `${workspace?.name || 'VSCode'} is not connected. The prompt will be sent when it is; see the extension popup.`,
+      'info'
+    )
+  } catch (error) {
+    showNotification(`Could not keep the prompt: ${(error as Error).message || 'unknown error'}`, 'error')
+  }
+}
+
+function cancelRequest(id: string) {
+  const request = trackedRequests.get(id)
+  if (!request?.port) return
+
+  sendToPort(request.port, { type: 'cancel', requestId: id, timestamp: Date.now() })
+}
+
+function buildElementInfo(context: ComponentContext, markdownContext: string | undefined) {
+  return {
+    componentName: context.componentName,
+    jsx: context.jsx,
+    props: context.props,
+    filePath: context.source?.fileName || null,
+    lineNumber: context.source?.lineNumber,
+    columnNumber: context.source?.columnNumber,
+    tagName: context.element?.tagName || '',
+    className: context.element?.className || '',
+    id: context.element?.id || '',
+    markdownContext,
+  }
+}
+
+// Let the workspace that owns the component keep the grab in its history.
+// The grab ID ties any prompt sent from the dialog to the same history entry.
+async function recordGrab(context: ComponentContext) {
+  context.grabId = createRequestId()
+
+  const workspace = await findWorkspaceForSource(context.source?.fileName, 'element-context')
+  if (!workspace?.paired) return
+
+  await loadFullContexts([context])
+
+  const id = createRequestId()
+  backgroundRequests.add(id)
+
+  const sent = sendToPort(workspace.port, {
+    type: 'element-context',
+    requestId: id,
+    grabId: context.grabId,
+    pageUrl: window.location.href,
+    elementInfo: buildElementInfo(context, context.markdown),
+    timestamp: Date.now(),
+  })
+  if (!sent) backgroundRequests.delete(id)
+}
+
+// Open in Editor
+
+// Pick the workspace that owns a source file among those that support the message: the longest
+// workspace path that prefixes it (or the only workspace that has a relative name), the one this
+// host is mapped to, or the only one
+async function findWorkspaceForSource(fileName: string | undefined, messageType = 'open-in-editor'): Promise<Workspace | null> {
+  const candidates = getConnectedWorkspaces().filter((ws) => workspaceSupports(ws, messageType))
+  const located = await locateFiles(candidates, [fileName], sendToPort)
+  return routeWorkspace(candidates, [fileName], window.location.host, settings.workspaceRules, located)?.workspace ?? null
+}
+
+function openInEditor(context: ComponentContext, port: number | null) {
+  if (!port || !context.source?.fileName) {
+    showNotification('Not connected to VSCode', 'error')
+    return
+  }
+
+  const id = createRequestId()
+  const { fileName, lineNumber, columnNumber } = context.source
+
+  if (sendToVSCode('open-in-editor', { requestId: id, source: { fileName, lineNumber, columnNumber } }, port) === true) {
+    trackRequest(id, { port, destination: 'Editor', componentName: context.componentName })
+  }
+}
+
+// Request Tracking
+const REQUEST_STAGE_TEXT: Record<RequestStage, string> = {
+  sending: 'Sending to VSCode…',
+  received: 'Received by VSCode',
+  dispatched: 'Dispatched',
+  completed: 'Completed',
+  failed: 'Failed',
+}
+
+const REQUEST_STAGE_COLORS: Record<RequestStage, string> = {
+  sending: '#3b82f6',
+  received: '#3b82f6',
+  dispatched: '#8b5cf6',
+  completed: '#22c55e',
+  failed: '#ef4444',
+}
+
+function trackRequest(id: string, request: Pick<TrackedRequest, 'port' | 'destination' | 'componentName'>) {
+  trackedRequests.set(id, { ...request, stage: 'sending', detail: null, output: '' })
+  renderTrackedRequest(id)
+}
+
+function updateTrackedRequest(id: string | undefined, stage: RequestStage, detail?: string) {
+  const request = id ? trackedRequests.get(id) : undefined
+  if (!id || !request) return
+
+  request.stage = stage
+  request.detail = detail || null
+  renderTrackedRequest(id)
+
+  if (stage === 'completed' || stage === 'failed') {
+    trackedRequests.delete(id)
+  }
+}
+
+function failRequestsForPort(port: number, reason: string) {
+  trackedRequests.forEach((request, id) => {
+    if (request.port === port) {
+      updateTrackedRequest(id, 'failed', reason)
+    }
+  })
+}
+
+function renderTrackedRequest(id: string) {
+  const request = trackedRequests.get(id)
+  if (!request) return
+
+  let list = document.getElementById('react-grab-request-list')
+  if (!list) {
+    list = document.createElement('div')
+    list.id = 'react-grab-request-list'
+    Object.assign(list.style, {
+      position: 'fixed',
+      bottom: '20px',
+      left: '20px',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '8px',
+      zIndex: '2147483647',
+      pointerEvents: 'none',
+      fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+    })
+    document.body.appendChild(list)
+  }
+
+  let item = list.querySelector<HTMLDivElement>(`[data-request-id="${id}"]`)
+  if (!item) {
+    item = document.createElement('div')
+    item.dataset.requestId = id
+    Object.assign(item.style, {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '2px',
+      minWidth: '220px',
+      maxWidth: '360px',
+      padding: '10px 14px',
+      borderRadius: '8px',
+      background: 'white',
+      color: '#24292f',
+      fontSize: '13px',
+      boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
+      animation: 'slideUpNotification 0.2s ease',
+    })
+    list.appendChild(item)
+  }
+
+  const stageText = request.detail || REQUEST_STAGE_TEXT[request.stage]
+
+  item.style.borderLeft = `4px solid ${REQUEST_STAGE_COLORS[request.stage]}`
+  item.innerHTML = `
+    <span style="font-weight: 600; font-family: 'SF Mono', Monaco, monospace;">${escapeHtml(request.componentName)} → ${request.destination}</span>
+    <span style="font-size: 12px; opacity: 0.8;">${escapeHtml(stageText)}</span>
+  `
+  updateDialogResponse(id)
+
+  if (request.stage === 'completed' || request.stage === 'failed') {
+    const finishedItem = item
+    setTimeout(
+      () => {
+        finishedItem.style.opacity = '0'
+        finishedItem.style.transform = 'translateY(10px)'
+        finishedItem.style.transition = 'all 0.3s ease'
+        setTimeout(() => finishedItem.remove(), 300)
+      },
+      request.stage === 'failed' ? 6000 : 2500
+    )
+  }
 }
 
 // Utilities
@@ -564,6 +1481,33 @@ function showNotification(message: string, type: 'success' | 'error' | 'info' =
   }, 2500)
 }
 
+// Extension Settings
+async function loadExtensionSettings() {
+  applySettings(await loadSettings())
+
+  // Changes made on the options page apply right away; the background worker handles the ports
+  onSettingsChanged(applySettings)
+}
+
+function applySettings(updated: ExtensionSettings) {
+  settings = updated
+  activationShortcut = parseShortcut(settings.activation.shortcut) as Shortcut
+  cancelShortcut()
+  document.documentElement.style.setProperty('--react-grab-accent', toRgbChannels(settings.overlayColor))
+  postInjectOptions()
+  renderDialog?.()
+}
+
+// inject.js only builds the context sections the user wants
+function postInjectOptions() {
+  window.postMessage({ type: 'GRAB_SET_OPTIONS', contextSections: settings.contextSections }, '*')
+}
+
+// Overlay colour with the given opacity; `--react-grab-accent` holds the overlay colour's RGB channels
+function accent(alpha: number): string {
+  return `rgba(var(--react-grab-accent, 139, 92, 246), ${alpha})`
+}
+
 // Host Settings
 async function checkHostSettings(): Promise<boolean> {
   try {
@@ -580,36 +1524,18 @@ async function checkHostSettings(): Promise<boolean> {
 }
 
 // Chrome Extension Message Handlers
-chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
-  if (request.type === 'checkConnection') {
-    const workspaces = getConnectedWorkspaces()
-    sendResponse({
-      connected: workspaces.length > 0,
-      enabled: extensionEnabled,
-      workspaces,
-    })
-  } else if (request.type === 'toggleExtension') {
+chrome.runtime.onMessage.addListener((request) => {
+  if (request.type === 'toggleExtension') {
     extensionEnabled = request.enabled
     if (!extensionEnabled) {
-      connections.forEach((conn) => {
-        if (conn.ws) conn.ws.close()
-      })
-      connections.clear()
+      disconnectFromBackground()
     } else {
-      connectToAllPorts()
+      connectToBackground()
     }
   }
   return true
 })
 
-// Cleanup
-window.addEventListener('beforeunload', () => {
-  connections.forEach((conn) => {
-    if (conn.ws) conn.ws.close()
-  })
-  connections.clear()
-})
-
 // Start
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', init)
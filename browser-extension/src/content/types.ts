@@ -1,20 +1,138 @@
 export interface ComponentContext {
   componentName: string
+  framework?: string | null // 'React', 'Preact', 'Vue' or 'Svelte'; null for a plain element
+  grabId?: string // Assigned when grabbed; ties a prompt to the grab in the VSCode history
   jsx?: string
   props?: Record<string, unknown>
   markdown?: string
-  source?: {
-    fileName?: string
-  }
+  source?: SourceLocation
+  screenshot?: string // PNG data URL of the component, captured when it was grabbed
   element?: {
+    key?: number // Stable per DOM element, so repeated grabs of it can be recognized
     tagName: string
     className: string
     id: string
   }
 }
 
+// Components under the cursor, innermost first, and which one is highlighted
+export interface ComponentHierarchy {
+  names: string[]
+  level: number
+}
+
+export type AITarget = 'copilot' | 'claude'
+
+// Mirrors SourceLocation in the VSCode extension's src/protocol.ts
+export interface SourceLocation {
+  fileName?: string
+  lineNumber?: number
+  columnNumber?: number
+}
+
+// Mirrors ServerCapabilities in the VSCode extension's src/protocol.ts
+export interface ServerCapabilities {
+  targets: AITarget[]
+  streamingTargets?: AITarget[] // Targets whose output is streamed back as `output` messages
+  messageTypes: string[]
+  maxPayloadSize: number
+  maxElements?: number // Most components one prompt may carry (absent: one)
+  screenshots?: boolean // Whether a prompt may carry a `screenshot`
+}
+
+// Mirrors PromptTemplate in the VSCode extension's src/protocol.ts
+export interface PromptTemplate {
+  name: string
+  prompt: string
+}
+
+// Mirrors ClaudeDeliveryMethod in the VSCode extension's src/protocol.ts
+export type ClaudeDeliveryMethod = 'headless' | 'chat' | 'extension' | 'terminal'
+
+// Mirrors TargetAvailability in the VSCode extension's src/protocol.ts
+export interface TargetAvailability {
+  copilot: { installed: boolean; active: boolean; version?: string }
+  claude: { methods: ClaudeDeliveryMethod[] } // Detected, in the order they are tried; none: VSCode still tries the terminal
+}
+
 export interface Workspace {
   port: number
   name: string
   path: string
+  paired?: boolean
+  authError?: string | null
+  capabilities?: ServerCapabilities
+  templates?: PromptTemplate[]
+  availability?: TargetAvailability | null // null until reported; older VSCode extensions never do
+}
+
+// A server that refused the connection, e.g. because its allowedOrigins doesn't include the extension
+export interface RejectedPort {
+  port: number
+  reason: string
+}
+
+// The background worker holds the VSCode connections; content scripts talk to them through a runtime port
+export const BRIDGE_PORT_NAME = 'vscode-bridge'
+
+// Content script -> background worker
+export interface BridgeRequest {
+  type: 'send'
+  port: number
+  message: { type: string; requestId?: string } & Record<string, unknown>
+}
+
+// Background worker -> content script: the connected workspaces, or a server reply to one of the tab's requests
+export type BridgeMessage =
+  | { type: 'workspaces'; workspaces: Workspace[] }
+  | { type: 'server-message'; port: number; message: ServerMessage }
+
+// A prompt written while VSCode was not connected. The background worker keeps these in
+// chrome.storage.local under `outbox` and sends them when a matching workspace connects.
+export interface QueuedPrompt {
+  id: string
+  message: { type: 'prompt'; prompt: string; target: AITarget } & Record<string, unknown>
+  workspace: { name: string; path: string } | null // Picked in the dialog; null: routed by file or host
+  filePath: string | null
+  componentName: string
+  pageUrl: string
+  createdAt: number
+  error: string | null // Why the last delivery failed; it is not retried until the prompt is edited
+}
+
+export type RequestStage = 'sending' | 'received' | 'dispatched' | 'completed' | 'failed'
+
+export interface TrackedRequest {
+  port: number | null
+  destination: string // Shown in the status toast, e.g. "Copilot" or "Editor"
+  componentName: string
+  stage: RequestStage
+  detail: string | null
+  output: string // Streamed AI output, if the target streams
+}
+
+export interface ServerMessage {
+  type: string
+  requestId?: string
+  target?: AITarget
+  message?: string
+  reason?: string
+  code?: 'unauthorized' | 'invalid-pairing-code' | 'origin-not-allowed' | 'unsupported'
+  token?: string
+  paired?: boolean
+  pairingRequired?: boolean
+  protocolVersion?: number
+  capabilities?: ServerCapabilities
+  templates?: PromptTemplate[]
+  availability?: TargetAvailability
+  output?: string
+  streaming?: boolean
+  exitCode?: number | null
+  found?: string[] // `success` reply to `locate-source`: the file names that are in the workspace
+  workspace?: Workspace
+}
+
+export interface PairingResponse {
+  success: boolean
+  error?: string
 }
@@ -0,0 +1,144 @@
+// Extension settings, stored in chrome.storage.sync and edited on the options page
+
+import type { AITarget } from '@/content/types'
+import { DEFAULT_ACTIVATION, normalizeActivation } from './shortcut'
+import type { ActivationSettings } from './shortcut'
+import { normalizeHost } from './workspaces'
+import type { WorkspaceRules } from './workspaces'
+
+// Same as the VSCode extension's PORTS in src/websocket-server.ts
+export const DEFAULT_PORTS = [9765, 9766, 9767, 9768, 9769]
+// Every port is polled every few seconds, so keep the list short
+export const MAX_PORTS = 20
+
+// Sections of the markdown context built by inject.js
+export const CONTEXT_SECTIONS = [
+  { id: 'jsx', label: 'JSX' },
+  { id: 'props', label: 'Props' },
+  { id: 'state', label: 'State (hooks)' },
+  { id: 'context', label: 'Context values' },
+  { id: 'componentStack', label: 'Component stack' },
+  { id: 'element', label: 'Element (tag, classes, size)' },
+  { id: 'styles', label: 'Styles (computed styles and CSS rules)' },
+] as const
+
+export type ContextSection = (typeof CONTEXT_SECTIONS)[number]['id']
+
+export type ContextSections = Record<ContextSection, boolean>
+
+export const DEFAULT_OVERLAY_COLOR = '#8b5cf6'
+
+export interface ExtensionSettings {
+  ports: number[] // VSCode ports to connect to
+  activation: ActivationSettings
+  defaultTarget: AITarget // Sent to with Cmd/Ctrl+Enter; Shift picks the other one
+  contextSections: ContextSections
+  overlayColor: string // Hex colour of the highlight, crosshair, marquee and selection markers
+  workspaceRules: WorkspaceRules // Workspace for pages on a host, when the component's file doesn't say
+}
+
+export const DEFAULT_SETTINGS: ExtensionSettings = {
+  ports: DEFAULT_PORTS,
+  activation: DEFAULT_ACTIVATION,
+  defaultTarget: 'copilot',
+  contextSections: Object.fromEntries(CONTEXT_SECTIONS.map(({ id }) => [id, true])) as ContextSections,
+  overlayColor: DEFAULT_OVERLAY_COLOR,
+  workspaceRules: {},
+}
+
+const SETTINGS_KEYS = Object.keys(DEFAULT_SETTINGS) as (keyof ExtensionSettings)[]
+
+/**
+ * Parse a port list such as '9765-9769, 9800'. Returns null if any part is not a port or range.
+ */
+export function parsePorts(text: string): number[] | null {
+  const ports = new Set<number>()
+
+  for (const part of text.split(',').map((p) => p.trim()).filter(Boolean)) {
+    const match = /^(\d+)(?:\s*-\s*(\d+))?$/.exec(part)
+    if (!match) return null
+
+    const start = Number(match[1])
+    const end = Number(match[2] ?? match[1])
+    if (!isPort(start) || !isPort(end) || end < start || end - start >= MAX_PORTS) return null
+
+    for (let port = start; port <= end; port++) ports.add(port)
+  }
+
+  return ports.size > 0 && ports.size <= MAX_PORTS ? [...ports] : null
+}
+
+/**
+ * Ports as text for the options page, with consecutive ports collapsed into ranges
+ */
+export function formatPorts(ports: number[]): string {
+  const ranges: string[] = []
+  const sorted = [...ports].sort((a, b) => a - b)
+
+  for (let i = 0; i < sorted.length; i++) {
+    const start = sorted[i]
+    while (sorted[i + 1] === sorted[i] + 1) i++
+    ranges.push(start === sorted[i] ? `${start}` : `${start}-${sorted[i]}`)
+  }
+
+  return ranges.join(', ')
+}
+
+function isPort(value: number): boolean {
+  return Number.isInteger(value) && value > 0 && value < 65536
+}
+
+/**
+ * Fill in defaults for missing or invalid stored settings
+ */
+export function normalizeSettings(stored: Partial<Record<keyof ExtensionSettings, unknown>>): ExtensionSettings {
+  const ports = Array.isArray(stored.ports) ? stored.ports.filter(isPort).slice(0, MAX_PORTS) : []
+  const sections = (stored.contextSections ?? {}) as Partial<ContextSections>
+  const overlayColor = String(stored.overlayColor ?? '')
+  const rules = typeof stored.workspaceRules === 'object' && stored.workspaceRules ? stored.workspaceRules : {}
+
+  return {
+    ports: ports.length > 0 ? ports : DEFAULT_PORTS,
+    activation: normalizeActivation(stored.activation as Partial<ActivationSettings> | undefined),
+    defaultTarget: stored.defaultTarget === 'claude' ? 'claude' : 'copilot',
+    contextSections: Object.fromEntries(
+      CONTEXT_SECTIONS.map(({ id }) => [id, sections[id] !== false])
+    ) as ContextSections,
+    overlayColor: /^#[0-9a-f]{6}$/i.test(overlayColor) ? overlayColor : DEFAULT_OVERLAY_COLOR,
+    workspaceRules: Object.fromEntries(
+      Object.entries(rules)
+        .filter(([host, name]) => normalizeHost(host) && typeof name === 'string' && name.trim())
+        .map(([host, name]) => [normalizeHost(host), (name as string).trim()])
+    ),
+  }
+}
+
+export async function loadSettings(): Promise<ExtensionSettings> {
+  try {
+    return normalizeSettings(await chrome.storage.sync.get(SETTINGS_KEYS))
+  } catch {
+    return DEFAULT_SETTINGS
+  }
+}
+
+export async function saveSettings(changes: Partial<ExtensionSettings>): Promise<void> {
+  await chrome.storage.sync.set(changes)
+}
+
+/**
+ * Call `listener` with the full settings whenever any of them changes
+ */
+export function onSettingsChanged(listener: (settings: ExtensionSettings) => void): void {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && SETTINGS_KEYS.some((key) => key in changes)) {
+      loadSettings().then(listener)
+    }
+  })
+}
+
+/**
+ * '#8b5cf6' -> '139, 92, 246', for use in `rgba(var(--react-grab-accent), alpha)`
+ */
+export function toRgbChannels(hex: string): string {
+  return [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16)).join(', ')
+}
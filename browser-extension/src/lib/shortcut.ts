@@ -0,0 +1,140 @@
+// Grab mode activation shortcut, stored in chrome.storage.sync under `activation`
+
+export type ActivationMode = 'hold' | 'toggle'
+
+export interface ActivationSettings {
+  shortcut: string // Chord such as 'Alt' or 'Control+Shift+G'
+  holdDuration: number // ms the chord must be held in 'hold' mode
+  mode: ActivationMode // 'hold': grab while held; 'toggle': a tap enters grab mode until a selection or Escape
+}
+
+export const DEFAULT_ACTIVATION: ActivationSettings = {
+  shortcut: 'Alt',
+  holdDuration: 150,
+  mode: 'hold',
+}
+
+export const MAX_HOLD_DURATION = 2000
+
+// Modifier key -> the KeyboardEvent flag that is set while it is down
+const MODIFIER_KEYS = {
+  Control: 'ctrlKey',
+  Alt: 'altKey',
+  Shift: 'shiftKey',
+  Meta: 'metaKey',
+} as const
+
+type Modifier = keyof typeof MODIFIER_KEYS
+
+const MODIFIER_ALIASES: Record<string, Modifier> = {
+  ctrl: 'Control',
+  control: 'Control',
+  alt: 'Alt',
+  option: 'Alt',
+  shift: 'Shift',
+  meta: 'Meta',
+  cmd: 'Meta',
+  command: 'Meta',
+}
+
+export interface Shortcut {
+  modifiers: Modifier[]
+  key: string | null // Non-modifier key of the chord, if any
+}
+
+function isModifier(key: string): key is Modifier {
+  return key in MODIFIER_KEYS
+}
+
+/**
+ * Parse a chord like 'Control+Shift+G'. Returns null if it has no keys or more than one non-modifier key.
+ */
+export function parseShortcut(value: string): Shortcut | null {
+  const modifiers: Modifier[] = []
+  let key: string | null = null
+
+  for (const part of value.split('+').map((p) => p.trim())) {
+    const modifier = MODIFIER_ALIASES[part.toLowerCase()]
+    if (modifier) {
+      if (!modifiers.includes(modifier)) modifiers.push(modifier)
+    } else if (part && !key) {
+      key = part.length === 1 ? part.toUpperCase() : part
+    } else {
+      return null
+    }
+  }
+
+  return modifiers.length > 0 || key ? { modifiers, key } : null
+}
+
+/**
+ * Fill in defaults for missing or invalid stored settings
+ */
+export function normalizeActivation(value: Partial<ActivationSettings> | undefined): ActivationSettings {
+  const holdDuration = Number(value?.holdDuration)
+  return {
+    shortcut: value?.shortcut && parseShortcut(value.shortcut) ? value.shortcut : DEFAULT_ACTIVATION.shortcut,
+    holdDuration: Number.isFinite(holdDuration)
+      ? Math.min(Math.max(Math.round(holdDuration), 0), MAX_HOLD_DURATION)
+      : DEFAULT_ACTIVATION.holdDuration,
+    mode: value?.mode === 'toggle' ? 'toggle' : 'hold',
+  }
+}
+
+// Letters and digits are compared by physical key, since Option on macOS turns them into other characters
+function getKeyCode(key: string): string {
+  if (/^[A-Z]$/.test(key)) return `Key${key}`
+  if (/^\d$/.test(key)) return `Digit${key}`
+  return key
+}
+
+function isChordKey(shortcut: Shortcut, event: KeyboardEvent): boolean {
+  if (shortcut.key) {
+    return event.code === getKeyCode(shortcut.key) || event.key === shortcut.key
+  }
+  return isModifier(event.key) && shortcut.modifiers.includes(event.key)
+}
+
+/**
+ * Whether this keydown completes the chord, with exactly the chord's modifiers held
+ */
+export function isShortcutPressed(shortcut: Shortcut, event: KeyboardEvent): boolean {
+  return (
+    isChordKey(shortcut, event) &&
+    (Object.keys(MODIFIER_KEYS) as Modifier[]).every(
+      (modifier) => event[MODIFIER_KEYS[modifier]] === shortcut.modifiers.includes(modifier)
+    )
+  )
+}
+
+/**
+ * Whether this keyup releases one of the chord's keys
+ */
+export function isShortcutReleased(shortcut: Shortcut, event: KeyboardEvent): boolean {
+  return isChordKey(shortcut, event) || (isModifier(event.key) && shortcut.modifiers.includes(event.key))
+}
+
+/**
+ * Chord for the keys held in a keydown, for recording a shortcut in the settings
+ */
+export function shortcutFromEvent(
+  event: Pick<KeyboardEvent, 'key' | 'code' | 'ctrlKey' | 'altKey' | 'shiftKey' | 'metaKey'>
+): string {
+  const modifiers = (Object.keys(MODIFIER_KEYS) as Modifier[]).filter(
+    (modifier) => event[MODIFIER_KEYS[modifier]]
+  )
+  if (isModifier(event.key)) {
+    return modifiers.join('+')
+  }
+
+  const match = /^(?:Key([A-Z])|Digit(\d))$/.exec(event.code)
+  const key = match ? match[1] || match[2] : event.key.length === 1 ? event.key.toUpperCase() : event.key
+  return [...modifiers, key].join('+')
+}
+
+/**
+ * Human-readable chord, e.g. 'Option (Alt)' for the default
+ */
+export function formatShortcut(value: string): string {
+  return value === 'Alt' ? 'Option (Alt)' : value.split('+').join(' + ')
+}
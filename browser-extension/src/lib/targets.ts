@@ -0,0 +1,41 @@
+// What a connected VSCode can do with each AI target, as reported in its `availability` message
+
+import type { AITarget, ClaudeDeliveryMethod, Workspace } from '@/content/types'
+
+const CLAUDE_METHOD_NOTES: Record<ClaudeDeliveryMethod, string> = {
+  headless: 'runs claude -p',
+  chat: 'via @claude',
+  extension: 'via extension',
+  terminal: 'in terminal',
+}
+
+export interface TargetStatus {
+  available: boolean
+  note: string | null // Shown on the target's button: how the prompt will arrive, or why it can't
+  hint?: string // What to do about an unavailable or undetected target
+}
+
+/**
+ * Whether `workspace` can take prompts for `target`. Workspaces that haven't reported
+ * availability (older VSCode extensions) are taken to support every target they list.
+ * Claude is never disabled: VSCode falls back to the CLI even when it can't detect it.
+ */
+export function getTargetStatus(workspace: Workspace | null | undefined, target: AITarget): TargetStatus {
+  const availability = workspace?.availability
+  if (!availability) return { available: true, note: null }
+
+  if (target === 'copilot') {
+    return availability.copilot.installed
+      ? { available: true, note: null }
+      : { available: false, note: 'not installed', hint: 'Install GitHub Copilot Chat in VSCode to send prompts to Copilot' }
+  }
+
+  const [method] = availability.claude.methods
+  return method
+    ? { available: true, note: CLAUDE_METHOD_NOTES[method] }
+    : {
+        available: true,
+        note: 'not detected',
+        hint: 'VSCode did not find Claude Code, but will still try the claude CLI in a terminal. Set reactGrabCopilot.claudeCliPath if it is not on PATH',
+      }
+}
@@ -0,0 +1,128 @@
+// Matching grabbed source files to connected VSCode workspaces
+
+import type { BridgeRequest, ServerMessage, Workspace } from '@/content/types'
+
+export type WorkspaceRules = Record<string, string> // Page host (e.g. 'localhost:3000') -> workspace name
+export type LocatedFiles = Record<string, number[]> // File name -> ports of the workspaces that have it
+
+const LOCATE_TIMEOUT = 2000 // ms to wait for each workspace to say which files it has
+
+const lookups = new Map<string, (found: string[]) => void>() // requestId -> pending `locate-source` request
+
+export interface WorkspaceRoute {
+  workspace: Workspace
+  reason: 'file' | 'host' | 'only' // Its folder has the files, the host is mapped to it, or it is the only one
+}
+
+/**
+ * The workspace whose folder contains `fileName` (the deepest one if folders are nested),
+ * or the only workspace if there is just one
+ */
+export function findWorkspaceForFile(
+  workspaces: Workspace[],
+  fileName: string | null | undefined,
+  located: LocatedFiles = {}
+): Workspace | null {
+  return findFileOwner(workspaces, fileName, located) ?? (workspaces.length === 1 ? workspaces[0] : null)
+}
+
+/**
+ * Pick the workspace for grabbed components without asking: the one whose folder contains all
+ * of their files, else the one the page's host is mapped to, else the only workspace.
+ * Null when it is ambiguous and the user has to choose. `located` comes from `locateFiles`.
+ */
+export function routeWorkspace(
+  workspaces: Workspace[],
+  fileNames: (string | null | undefined)[],
+  host: string,
+  rules: WorkspaceRules,
+  located: LocatedFiles = {}
+): WorkspaceRoute | null {
+  const owners = new Set(fileNames.filter(Boolean).map((fileName) => findFileOwner(workspaces, fileName, located)))
+  const [owner] = owners
+  if (owners.size === 1 && owner) return { workspace: owner, reason: 'file' }
+
+  const ruleName = rules[host.toLowerCase()]?.toLowerCase()
+  const ruled = ruleName ? workspaces.find((ws) => ws.name.toLowerCase() === ruleName) : undefined
+  if (ruled) return { workspace: ruled, reason: 'host' }
+
+  return workspaces.length === 1 ? { workspace: workspaces[0], reason: 'only' } : null
+}
+
+/**
+ * 'http://localhost:3000/app' or 'LOCALHOST:3000' -> 'localhost:3000', as rules are keyed
+ */
+export function normalizeHost(text: string): string {
+  return text.trim().toLowerCase().replace(/^[a-z][a-z0-9+.-]*:\/\//, '').replace(/[/?#].*$/, '')
+}
+
+/**
+ * Ask the workspaces which of the files they have, for the names no workspace path contains:
+ * relative ones like `src/App.tsx` from the source plugin or `/src/App.tsx` from a dev server.
+ * Workspaces that don't reply in time (or predate `locate-source`) are taken not to have them.
+ */
+export async function locateFiles(
+  workspaces: Workspace[],
+  fileNames: (string | null | undefined)[],
+  send: (port: number, message: BridgeRequest['message']) => boolean
+): Promise<LocatedFiles> {
+  if (workspaces.length < 2) return {}
+
+  const unmatched = [...new Set(fileNames)].filter(
+    (fileName): fileName is string => !!fileName && !findPathOwner(workspaces, fileName)
+  )
+  const askable = workspaces.filter((ws) => ws.paired && ws.capabilities?.messageTypes.includes('locate-source'))
+  if (unmatched.length === 0 || askable.length === 0) return {}
+
+  const located: LocatedFiles = {}
+  const ask = (workspace: Workspace) =>
+    new Promise<void>((resolve) => {
+      const requestId = `locate-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+      const finish = (found: string[]) => {
+        clearTimeout(timer)
+        lookups.delete(requestId)
+        found.forEach((fileName) => (located[fileName] ??= []).push(workspace.port))
+        resolve()
+      }
+      const timer = setTimeout(() => finish([]), LOCATE_TIMEOUT)
+
+      lookups.set(requestId, finish)
+      if (!send(workspace.port, { type: 'locate-source', requestId, fileNames: unmatched })) finish([])
+    })
+
+  await Promise.all(askable.map(ask))
+  return located
+}
+
+/**
+ * Handle a workspace's reply to `locate-source`. Returns false for replies to anything else.
+ */
+export function handleLocateReply(message: ServerMessage): boolean {
+  const finish = message.requestId ? lookups.get(message.requestId) : undefined
+  if (!finish) return false
+
+  finish(message.type === 'success' ? (message.found ?? []) : [])
+  return true
+}
+
+function findFileOwner(
+  workspaces: Workspace[],
+  fileName: string | null | undefined,
+  located: LocatedFiles
+): Workspace | null {
+  const owner = findPathOwner(workspaces, fileName)
+  if (owner || !fileName) return owner
+
+  // A relative name belongs to a workspace only if no other one has the same file
+  const having = workspaces.filter((ws) => located[fileName]?.includes(ws.port))
+  return having.length === 1 ? having[0] : null
+}
+
+function findPathOwner(workspaces: Workspace[], fileName: string | null | undefined): Workspace | null {
+  const normalized = (fileName || '').replace(/\\/g, '/')
+
+  const owners = workspaces
+    .filter((ws) => ws.path && normalized.startsWith(`${ws.path.replace(/\\/g, '/').replace(/\/$/, '')}/`))
+    .sort((a, b) => b.path.length - a.path.length)
+  return owners[0] ?? null
+}
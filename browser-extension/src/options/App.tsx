@@ -0,0 +1,378 @@
+import { useEffect, useRef, useState } from 'react'
+import type { KeyboardEvent, ReactNode } from 'react'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Label } from '@/components/ui/label'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import { DEFAULT_ACTIVATION, MAX_HOLD_DURATION, shortcutFromEvent } from '@/lib/shortcut'
+import type { ActivationMode, ActivationSettings } from '@/lib/shortcut'
+import {
+  CONTEXT_SECTIONS,
+  DEFAULT_OVERLAY_COLOR,
+  DEFAULT_SETTINGS,
+  MAX_PORTS,
+  formatPorts,
+  loadSettings,
+  parsePorts,
+  saveSettings,
+} from '@/lib/settings'
+import type { ExtensionSettings } from '@/lib/settings'
+import { normalizeHost } from '@/lib/workspaces'
+import type { WorkspaceRules } from '@/lib/workspaces'
+import type { AITarget } from '@/content/types'
+import { Atom, FileText, Keyboard, Palette, Plug, Plus, Route, Send, X } from 'lucide-react'
+
+export function App() {
+  const [settings, setSettings] = useState<ExtensionSettings>(DEFAULT_SETTINGS)
+  const [isLoaded, setIsLoaded] = useState(false)
+  const [isSaved, setIsSaved] = useState(false)
+  const savedTimer = useRef<ReturnType<typeof setTimeout>>()
+
+  useEffect(() => {
+    loadSettings().then((loaded) => {
+      setSettings(loaded)
+      setIsLoaded(true)
+    })
+  }, [])
+
+  // Content scripts pick up the change from chrome.storage.onChanged
+  async function handleChange(changes: Partial<ExtensionSettings>) {
+    setSettings((current) => ({ ...current, ...changes }))
+    await saveSettings(changes)
+
+    setIsSaved(true)
+    clearTimeout(savedTimer.current)
+    savedTimer.current = setTimeout(() => setIsSaved(false), 1500)
+  }
+
+  if (!isLoaded) return null
+
+  return (
+    <div className="max-w-xl mx-auto p-6 space-y-4 bg-background">
+      <div className="flex items-center gap-2">
+        <Atom className="h-5 w-5 text-primary" />
+        <h1 className="text-lg font-semibold">React Grab Bridge Options</h1>
+      </div>
+
+      <PortsCard ports={settings.ports} onChange={(ports) => handleChange({ ports })} />
+
+      <ActivationCard
+        activation={settings.activation}
+        onChange={(changes) => handleChange({ activation: { ...settings.activation, ...changes } })}
+      />
+
+      <WorkspaceRulesCard
+        rules={settings.workspaceRules}
+        onChange={(workspaceRules) => handleChange({ workspaceRules })}
+      />
+
+      <SettingsCard
+        icon={<Send className="h-4 w-4" />}
+        title="Default AI target"
+        hint="Cmd/Ctrl + Enter in the prompt dialog sends to this one; add Shift for the other."
+      >
+        <div className="flex items-center justify-between gap-2">
+          <Label className="text-xs">Send to</Label>
+          <Select
+            value={settings.defaultTarget}
+            onValueChange={(defaultTarget) => handleChange({ defaultTarget: defaultTarget as AITarget })}
+          >
+            <SelectTrigger className="w-48 h-8 text-xs">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="copilot">GitHub Copilot</SelectItem>
+              <SelectItem value="claude">Claude Code</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+      </SettingsCard>
+
+      <SettingsCard
+        icon={<FileText className="h-4 w-4" />}
+        title="Context sections"
+        hint="What the component context sent to the AI includes. Name and source location are always included."
+      >
+        <div className="grid grid-cols-2 gap-2">
+          {CONTEXT_SECTIONS.map(({ id, label }) => (
+            <label key={id} className="flex items-center gap-2 text-xs">
+              <input
+                type="checkbox"
+                checked={settings.contextSections[id]}
+                onChange={(e) =>
+                  handleChange({ contextSections: { ...settings.contextSections, [id]: e.target.checked } })
+                }
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+      </SettingsCard>
+
+      <OverlayColorCard color={settings.overlayColor} onChange={(overlayColor) => handleChange({ overlayColor })} />
+
+      {isSaved && (
+        <div className="fixed bottom-4 right-4 rounded-md bg-green-100 px-3 py-1.5 text-xs text-green-800">
+          Saved
+        </div>
+      )}
+    </div>
+  )
+}
+
+interface SettingsCardProps {
+  icon: ReactNode
+  title: string
+  hint: string
+  children: ReactNode
+}
+
+function SettingsCard({ icon, title, hint, children }: SettingsCardProps) {
+  return (
+    <Card>
+      <CardHeader className="pb-3">
+        <CardTitle className="text-sm font-medium flex items-center gap-2">
+          {icon}
+          {title}
+        </CardTitle>
+        <p className="text-xs text-muted-foreground">{hint}</p>
+      </CardHeader>
+      <CardContent className="space-y-2">{children}</CardContent>
+    </Card>
+  )
+}
+
+interface OverlayColorCardProps {
+  color: string
+  onChange: (color: string) => void
+}
+
+// The colour picker reports every step of a drag, so only the colour it settles on is saved
+function OverlayColorCard({ color, onChange }: OverlayColorCardProps) {
+  const [value, setValue] = useState(color)
+  const saveTimer = useRef<ReturnType<typeof setTimeout>>()
+
+  function handleChange(updated: string) {
+    setValue(updated)
+    clearTimeout(saveTimer.current)
+    saveTimer.current = setTimeout(() => onChange(updated), 300)
+  }
+
+  return (
+    <SettingsCard
+      icon={<Palette className="h-4 w-4" />}
+      title="Overlay colour"
+      hint="Colour of the highlight, crosshair, drag rectangle and selection markers."
+    >
+      <div className="flex items-center gap-2">
+        <input
+          type="color"
+          value={value}
+          onChange={(e) => handleChange(e.target.value)}
+          className="h-8 w-10 rounded-md border border-input bg-background"
+        />
+        <Button
+          variant="outline"
+          size="sm"
+          disabled={value === DEFAULT_OVERLAY_COLOR}
+          onClick={() => handleChange(DEFAULT_OVERLAY_COLOR)}
+        >
+          Reset
+        </Button>
+      </div>
+    </SettingsCard>
+  )
+}
+
+interface PortsCardProps {
+  ports: number[]
+  onChange: (ports: number[]) => void
+}
+
+// Port list or ranges such as '9765-9769, 9800', saved once it parses
+function PortsCard({ ports, onChange }: PortsCardProps) {
+  const [text, setText] = useState(formatPorts(ports))
+  const [error, setError] = useState<string | null>(null)
+
+  function handleBlur() {
+    const parsed = parsePorts(text)
+    if (!parsed) {
+      setError(`Enter ports or ranges such as 9765-9769, at most ${MAX_PORTS} in total`)
+      return
+    }
+
+    setError(null)
+    setText(formatPorts(parsed))
+    if (formatPorts(parsed) !== formatPorts(ports)) {
+      onChange(parsed)
+    }
+  }
+
+  return (
+    <SettingsCard
+      icon={<Plug className="h-4 w-4" />}
+      title="VSCode ports"
+      hint="Ports the extension looks for VSCode on, e.g. 9765-9769 or 9765, 9800."
+    >
+      <div className="flex items-center justify-between gap-2">
+        <Label htmlFor="ports" className="text-xs">Ports</Label>
+        <input
+          id="ports"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onBlur={handleBlur}
+          className="w-48 h-8 rounded-md border border-input bg-background px-2 font-mono text-xs"
+        />
+      </div>
+      {error && <p className="text-xs text-destructive">{error}</p>}
+    </SettingsCard>
+  )
+}
+
+interface WorkspaceRulesCardProps {
+  rules: WorkspaceRules
+  onChange: (rules: WorkspaceRules) => void
+}
+
+// Host -> workspace name rows; rows missing either half are kept on the page but not saved
+function WorkspaceRulesCard({ rules, onChange }: WorkspaceRulesCardProps) {
+  const [rows, setRows] = useState(() => Object.entries(rules))
+
+  function save(updated: [string, string][]) {
+    setRows(updated)
+    const complete = updated
+      .map(([host, name]) => [normalizeHost(host), name.trim()])
+      .filter(([host, name]) => host && name)
+    const updatedRules = Object.fromEntries(complete)
+    if (JSON.stringify(updatedRules) !== JSON.stringify(rules)) {
+      onChange(updatedRules)
+    }
+  }
+
+  function updateRow(index: number, row: [string, string]) {
+    setRows(rows.map((current, i) => (i === index ? row : current)))
+  }
+
+  return (
+    <SettingsCard
+      icon={<Route className="h-4 w-4" />}
+      title="Workspace routing"
+      hint="With several VSCode windows open, components go to the workspace whose folder has their file. Pages on these hosts go to the named workspace otherwise."
+    >
+      {rows.map(([host, name], index) => (
+        <div key={index} className="flex items-center gap-2">
+          <input
+            value={host}
+            placeholder="localhost:3000"
+            aria-label="Host"
+            onChange={(e) => updateRow(index, [e.target.value, name])}
+            onBlur={() => save(rows.map(([h, n], i) => (i === index ? [normalizeHost(h), n] : [h, n])))}
+            className="flex-1 h-8 rounded-md border border-input bg-background px-2 font-mono text-xs"
+          />
+          <span className="text-xs text-muted-foreground">→</span>
+          <input
+            value={name}
+            placeholder="Workspace name"
+            aria-label="Workspace name"
+            onChange={(e) => updateRow(index, [host, e.target.value])}
+            onBlur={() => save(rows)}
+            className="flex-1 h-8 rounded-md border border-input bg-background px-2 text-xs"
+          />
+          <Button
+            variant="ghost"
+            size="icon"
+            className="h-8 w-8"
+            aria-label="Remove rule"
+            onClick={() => save(rows.filter((_, i) => i !== index))}
+          >
+            <X className="h-3.5 w-3.5" />
+          </Button>
+        </div>
+      ))}
+      <Button variant="outline" size="sm" onClick={() => setRows([...rows, ['', '']])}>
+        <Plus className="h-3.5 w-3.5 mr-1" />
+        Add rule
+      </Button>
+    </SettingsCard>
+  )
+}
+
+interface ActivationCardProps {
+  activation: ActivationSettings
+  onChange: (changes: Partial<ActivationSettings>) => void
+}
+
+// Shortcut that enters grab mode, whether it is held or toggled, and how long a hold takes
+function ActivationCard({ activation, onChange }: ActivationCardProps) {
+  const [recorded, setRecorded] = useState(activation.shortcut)
+  const [holdDuration, setHoldDuration] = useState(String(activation.holdDuration))
+
+  // Record whatever keys are pressed while the field has focus; Backspace goes back to the default
+  function handleKeyDown(e: KeyboardEvent<HTMLInputElement>) {
+    if (e.key === 'Tab') return
+    e.preventDefault()
+    setRecorded(e.key === 'Backspace' ? DEFAULT_ACTIVATION.shortcut : shortcutFromEvent(e))
+  }
+
+  function handleKeyUp() {
+    if (recorded && recorded !== activation.shortcut) {
+      onChange({ shortcut: recorded })
+    }
+  }
+
+  function handleDurationBlur() {
+    const value = Math.min(Math.max(Math.round(Number(holdDuration)) || 0, 0), MAX_HOLD_DURATION)
+    setHoldDuration(String(value))
+    if (value !== activation.holdDuration) {
+      onChange({ holdDuration: value })
+    }
+  }
+
+  return (
+    <SettingsCard
+      icon={<Keyboard className="h-4 w-4" />}
+      title="Grab shortcut"
+      hint="Click the field and press the keys to use. Backspace goes back to Option (Alt)."
+    >
+      <div className="flex items-center justify-between gap-2">
+        <Label htmlFor="activation-shortcut" className="text-xs">Shortcut</Label>
+        <input
+          id="activation-shortcut"
+          value={recorded}
+          readOnly
+          onKeyDown={handleKeyDown}
+          onKeyUp={handleKeyUp}
+          className="w-48 h-8 rounded-md border border-input bg-background px-2 font-mono text-xs cursor-pointer"
+        />
+      </div>
+      <div className="flex items-center justify-between gap-2">
+        <Label className="text-xs">Mode</Label>
+        <Select value={activation.mode} onValueChange={(mode) => onChange({ mode: mode as ActivationMode })}>
+          <SelectTrigger className="w-48 h-8 text-xs">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="hold">Hold to grab</SelectItem>
+            <SelectItem value="toggle">Press to toggle</SelectItem>
+          </SelectContent>
+        </Select>
+      </div>
+      {activation.mode === 'hold' && (
+        <div className="flex items-center justify-between gap-2">
+          <Label htmlFor="activation-hold-duration" className="text-xs">Hold for (ms)</Label>
+          <input
+            id="activation-hold-duration"
+            type="number"
+            min={0}
+            max={MAX_HOLD_DURATION}
+            step={50}
+            value={holdDuration}
+            onChange={(e) => setHoldDuration(e.target.value)}
+            onBlur={handleDurationBlur}
+            className="w-48 h-8 rounded-md border border-input bg-background px-2 text-xs"
+          />
+        </div>
+      )}
+    </SettingsCard>
+  )
+}
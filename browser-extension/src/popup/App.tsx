@@ -1,14 +1,28 @@
 import { useEffect, useState } from 'react'
+import type { FormEvent } from 'react'
+import { Button } from '@/components/ui/button'
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
 import { Switch } from '@/components/ui/switch'
 import { Badge } from '@/components/ui/badge'
 import { Label } from '@/components/ui/label'
-import { Atom, Monitor, Zap, Circle } from 'lucide-react'
+import { Textarea } from '@/components/ui/textarea'
+import { formatShortcut } from '@/lib/shortcut'
+import { DEFAULT_SETTINGS, formatPorts, loadSettings } from '@/lib/settings'
+import type { ExtensionSettings } from '@/lib/settings'
+import type { QueuedPrompt } from '@/content/types'
+import { Atom, Monitor, Settings, Zap, Circle, Inbox } from 'lucide-react'
 
 interface Workspace {
   port: number
   name: string
   path: string
+  paired?: boolean
+  authError?: string | null
+}
+
+interface RejectedPort {
+  port: number
+  reason: string
 }
 
 type ConnectionStatus = 'connected' | 'disconnected' | 'error'
@@ -19,14 +33,29 @@ export function App() {
   const [isToggleDisabled, setIsToggleDisabled] = useState(true)
   const [connectionStatus, setConnectionStatus] = useState<ConnectionStatus>('disconnected')
   const [workspaces, setWorkspaces] = useState<Workspace[]>([])
+  const [rejected, setRejected] = useState<RejectedPort[]>([])
   const [currentTabId, setCurrentTabId] = useState<number | null>(null)
+  const [settings, setSettings] = useState<ExtensionSettings>(DEFAULT_SETTINGS)
 
   useEffect(() => {
     initPopup()
+
+    // The background worker pushes connection changes while the popup is open
+    const handleMessage = (message: { type: string; workspaces?: Workspace[]; rejected?: RejectedPort[] }) => {
+      if (message.type === 'connectionState') {
+        showConnectionState(message.workspaces || [], message.rejected || [])
+      }
+    }
+    chrome.runtime.onMessage.addListener(handleMessage)
+    return () => chrome.runtime.onMessage.removeListener(handleMessage)
   }, [])
 
   async function initPopup() {
     try {
+      // Shortcut and ports are edited on the options page
+      setSettings(await loadSettings())
+      checkConnectionStatus()
+
       const tabs = await chrome.tabs.query({ active: true, currentWindow: true })
       const currentTab = tabs[0]
 
@@ -42,11 +71,6 @@ export function App() {
 
           // Load saved settings
           await loadHostSettings(host)
-
-          // Check connection status
-          if (currentTab.id) {
-            checkConnectionStatus(currentTab.id)
-          }
         } catch {
           setCurrentHost('Invalid page')
           setIsToggleDisabled(true)
@@ -96,24 +120,23 @@ export function App() {
     }
   }
 
-  function checkConnectionStatus(tabId: number) {
-    chrome.tabs.sendMessage(tabId, { type: 'checkConnection' }, (response) => {
+  // The background worker holds the connections for all tabs
+  function checkConnectionStatus() {
+    chrome.runtime.sendMessage({ type: 'getConnectionState' }, (response) => {
       if (chrome.runtime.lastError) {
         setConnectionStatus('disconnected')
         return
       }
-
-      if (response?.connected) {
-        setConnectionStatus('connected')
-        if (response.workspaces) {
-          setWorkspaces(response.workspaces)
-        }
-      } else {
-        setConnectionStatus('disconnected')
-      }
+      showConnectionState(response?.workspaces || [], response?.rejected || [])
     })
   }
 
+  function showConnectionState(connected: Workspace[], rejectedPorts: RejectedPort[]) {
+    setConnectionStatus(connected.length > 0 ? 'connected' : 'disconnected')
+    setWorkspaces(connected)
+    setRejected(rejectedPorts)
+  }
+
   return (
     <div className="w-80 p-4 bg-background">
       <div className="flex items-center gap-2 mb-4">
@@ -176,6 +199,33 @@ export function App() {
         </CardContent>
       </Card>
 
+      {/* Workspaces & Pairing */}
+      {(workspaces.length > 0 || rejected.length > 0) && (
+        <Card className="mb-4">
+          <CardContent className="p-4 space-y-3">
+            {workspaces.map((workspace) => (
+              <div key={workspace.port} className="space-y-2">
+                <div className="flex items-center justify-between">
+                  <p className="text-sm font-medium">{workspace.name}</p>
+                  <Badge variant={workspace.paired ? 'success' : 'outline'} className="text-xs">
+                    {workspace.paired ? 'Paired' : 'Not paired'}
+                  </Badge>
+                </div>
+                {!workspace.paired && <PairForm workspace={workspace} onPaired={checkConnectionStatus} />}
+              </div>
+            ))}
+            {rejected.map(({ port, reason }) => (
+              <div key={port} className="space-y-1">
+                <p className="text-sm font-medium">VSCode (port {port})</p>
+                <p className="text-xs text-destructive">{reason}</p>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      )}
+
+      <OutboxCard />
+
       {/* Instructions */}
       <Card>
         <CardHeader className="pb-3">
@@ -196,7 +246,11 @@ export function App() {
           <div className="flex items-start gap-2">
             <span className="text-primary font-medium">3.</span>
             <span>
-              Hold <Label className="inline text-xs bg-muted px-1.5 py-0.5 rounded">Option</Label> and click on any element
+              {settings.activation.mode === 'toggle' ? 'Press' : 'Hold'}{' '}
+              <Label className="inline text-xs bg-muted px-1.5 py-0.5 rounded">
+                {formatShortcut(settings.activation.shortcut)}
+              </Label>{' '}
+              and click on any element
             </span>
           </div>
           <div className="flex items-start gap-2">
@@ -209,8 +263,142 @@ export function App() {
       {/* Port Info */}
       <div className="mt-3 flex items-center justify-center gap-2 text-xs text-muted-foreground">
         <Monitor className="h-3 w-3" />
-        <span>WebSocket Port: <code className="bg-muted px-1 rounded">9765-9769</code></span>
+        <span>WebSocket Port: <code className="bg-muted px-1 rounded">{formatPorts(settings.ports)}</code></span>
       </div>
+
+      <Button variant="link" size="sm" className="mt-1 w-full text-xs" onClick={() => chrome.runtime.openOptionsPage()}>
+        <Settings className="h-3 w-3" />
+        Options: ports, shortcut, context and colours
+      </Button>
     </div>
   )
 }
+
+// Prompts written while VSCode was not connected, sent by the background worker when it is
+function OutboxCard() {
+  const [outbox, setOutbox] = useState<QueuedPrompt[]>([])
+
+  useEffect(() => {
+    chrome.storage.local.get(['outbox']).then(({ outbox = [] }) => setOutbox(outbox))
+
+    const handleChange = (changes: Record<string, chrome.storage.StorageChange>, areaName: string) => {
+      if (areaName === 'local' && changes.outbox) setOutbox(changes.outbox.newValue || [])
+    }
+    chrome.storage.onChanged.addListener(handleChange)
+    return () => chrome.storage.onChanged.removeListener(handleChange)
+  }, [])
+
+  if (outbox.length === 0) return null
+
+  return (
+    <Card className="mb-4">
+      <CardHeader className="pb-3">
+        <CardTitle className="text-sm font-medium flex items-center gap-2">
+          <Inbox className="h-4 w-4" />
+          Waiting for VSCode ({outbox.length})
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {outbox.map((queued) => (
+          <QueuedPromptItem key={queued.id} queued={queued} />
+        ))}
+      </CardContent>
+    </Card>
+  )
+}
+
+// The background worker owns the outbox, so changes go through it
+function QueuedPromptItem({ queued }: { queued: QueuedPrompt }) {
+  const [draft, setDraft] = useState<string | null>(null)
+
+  function handleSave() {
+    if (draft === null) return
+    chrome.runtime.sendMessage({ type: 'editQueuedPrompt', id: queued.id, prompt: draft.trim() || queued.message.prompt })
+    setDraft(null)
+  }
+
+  return (
+    <div className="space-y-1">
+      <div className="flex items-center justify-between gap-2">
+        <p className="text-sm font-medium truncate">{queued.componentName}</p>
+        <Badge variant="outline" className="text-xs shrink-0">
+          {queued.message.target === 'claude' ? 'Claude' : 'Copilot'}
+        </Badge>
+      </div>
+      <p className="text-xs text-muted-foreground truncate">
+        {queued.workspace ? queued.workspace.name : 'Workspace with the file'} ·{' '}
+        {new Date(queued.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+      </p>
+      {draft === null ? (
+        <p className="text-xs line-clamp-2">{queued.message.prompt}</p>
+      ) : (
+        <Textarea value={draft} onChange={(e) => setDraft(e.target.value)} className="text-xs" rows={3} />
+      )}
+      {queued.error && <p className="text-xs text-destructive">{queued.error}</p>}
+      <div className="flex gap-2">
+        {draft === null ? (
+          <Button variant="outline" size="sm" onClick={() => setDraft(queued.message.prompt)}>
+            {queued.error ? 'Edit and retry' : 'Edit'}
+          </Button>
+        ) : (
+          <Button size="sm" onClick={handleSave}>
+            Save
+          </Button>
+        )}
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={() => chrome.runtime.sendMessage({ type: 'discardQueuedPrompt', id: queued.id })}
+        >
+          Discard
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+interface PairFormProps {
+  workspace: Workspace
+  onPaired: () => void
+}
+
+// Form for entering the code shown by "React Grab: Pair Browser Extension" in VSCode
+function PairForm({ workspace, onPaired }: PairFormProps) {
+  const [code, setCode] = useState('')
+  const [isPairing, setIsPairing] = useState(false)
+  const [error, setError] = useState<string | null>(workspace.authError || null)
+
+  function handleSubmit(e: FormEvent) {
+    e.preventDefault()
+    if (!code.trim()) return
+
+    setIsPairing(true)
+    chrome.runtime.sendMessage({ type: 'pairWorkspace', port: workspace.port, code: code.trim() }, (response) => {
+      setIsPairing(false)
+      if (response?.success) {
+        onPaired()
+      } else {
+        setError(response?.error || 'Pairing failed')
+      }
+    })
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-1">
+      <div className="flex gap-2">
+        <input
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          placeholder="Pairing code"
+          inputMode="numeric"
+          maxLength={6}
+          className="flex-1 h-8 rounded-md border border-input bg-background px-2 font-mono text-sm tracking-widest"
+        />
+        <Button type="submit" size="sm" disabled={isPairing || !code.trim()}>
+          Pair
+        </Button>
+      </div>
+      {error && <p className="text-xs text-destructive">{error}</p>}
+    </form>
+  )
+}
@@ -26,7 +26,10 @@ export default defineConfig({
     minify: true,
     rollupOptions: {
       input: isPopup
-        ? { popup: resolve(__dirname, 'src/popup/index.html') }
+        ? {
+            popup: resolve(__dirname, 'src/popup/index.html'),
+            options: resolve(__dirname, 'src/options/index.html'),
+          }
         : isContent
         ? { content: resolve(__dirname, 'src/content/index.tsx') }
         : isBackground
@@ -36,6 +39,7 @@ export default defineConfig({
         entryFileNames: (chunkInfo) => {
           if (chunkInfo.name === 'content') return 'content-script.js'
           if (chunkInfo.name === 'background') return 'background.js'
+          if (chunkInfo.name === 'options') return 'options/[name].js'
           return 'popup/[name].js'
         },
         chunkFileNames: 'assets/[name].js',
@@ -0,0 +1,68 @@
+/**
+ * Babel plugin that stamps every host JSX element (`<div>`, `<button>`, ...) with where it
+ * was written, e.g. `data-grab-source="src/App.tsx:12:5"`. The React Grab browser extension
+ * reads the attribute to point a grab at the exact element instead of its component.
+ *
+ * The path is relative to the root, with forward slashes; files outside the root keep their
+ * absolute path. The browser extension routes a relative path by asking each connected VSCode
+ * workspace whether it has the file, so the root should be the workspace folder.
+ *
+ * Development only: nothing is added when Babel runs with NODE_ENV (or BABEL_ENV) production.
+ *
+ * Options:
+ * - root: directory file names are made relative to (default: Babel's working directory)
+ */
+
+'use strict';
+
+const path = require('path');
+
+const ATTRIBUTE = 'data-grab-source';
+
+module.exports = function reactGrabSource(api, options = {}) {
+  const t = api.types;
+  const isProduction = api.env('production');
+
+  return {
+    name: 'react-grab-source',
+    visitor: {
+      JSXOpeningElement(nodePath, state) {
+        const { node } = nodePath;
+        const filename = state.filename;
+        if (isProduction || !filename || !node.loc) return;
+        if (/[\\/]node_modules[\\/]/.test(filename) || !isHostElement(node.name)) return;
+
+        const hasAttribute = node.attributes.some(
+          (attribute) => t.isJSXAttribute(attribute) && attribute.name.name === ATTRIBUTE
+        );
+        if (hasAttribute) return;
+
+        const { line, column } = node.loc.start;
+        node.attributes.push(
+          t.jsxAttribute(
+            t.jsxIdentifier(ATTRIBUTE),
+            t.stringLiteral(`${getFileName(filename, options.root || state.cwd)}:${line}:${column + 1}`)
+          )
+        );
+      },
+    },
+  };
+};
+
+/**
+ * Lowercase names are DOM elements; components, `<Foo.Bar>` and `<svg:use>` are left alone
+ */
+function isHostElement(name) {
+  return name.type === 'JSXIdentifier' && /^[a-z]/.test(name.name);
+}
+
+/**
+ * Path relative to the root with forward slashes, or the absolute path for files outside it
+ */
+function getFileName(filename, root) {
+  const relative = root ? path.relative(root, filename) : '';
+  const fileName = !relative || relative.startsWith('..') || path.isAbsolute(relative)
+    ? filename
+    : relative;
+  return fileName.split(path.sep).join('/');
+}
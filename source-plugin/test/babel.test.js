@@ -0,0 +1,64 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { describe, it } = require('node:test');
+const babel = require('@babel/core');
+
+const reactGrabSource = require('../babel');
+
+const ROOT = path.resolve('/project');
+
+function transform(code, options = {}) {
+  const { filename = path.join(ROOT, 'src/App.jsx'), envName = 'development' } = options;
+  return babel.transformSync(code, {
+    filename,
+    envName,
+    babelrc: false,
+    configFile: false,
+    parserOpts: { plugins: ['jsx'] },
+    plugins: [[reactGrabSource, { root: ROOT }]],
+  }).code;
+}
+
+describe('babel plugin', () => {
+  it('stamps host elements with their root-relative location', () => {
+    const code = transform('const app = <div className="app">\n  <button>Save</button>\n</div>;');
+
+    assert.match(code, /<div className="app" data-grab-source="src\/App\.jsx:1:13">/);
+    assert.match(code, /<button data-grab-source="src\/App\.jsx:2:3">/);
+  });
+
+  it('skips components', () => {
+    const code = transform('const app = <Layout><Nav.Item /></Layout>;');
+
+    assert.doesNotMatch(code, /data-grab-source/);
+  });
+
+  it('keeps an attribute that is already there', () => {
+    const code = transform('const app = <div data-grab-source="elsewhere.jsx:1:1" />;');
+
+    assert.equal(code.match(/data-grab-source/g).length, 1);
+  });
+
+  it('skips files in node_modules', () => {
+    const code = transform('const app = <div />;', {
+      filename: path.join(ROOT, 'node_modules/some-lib/index.jsx'),
+    });
+
+    assert.doesNotMatch(code, /data-grab-source/);
+  });
+
+  it('keeps absolute paths for files outside the root', () => {
+    const filename = path.resolve('/shared/Button.jsx');
+    const code = transform('const button = <button />;', { filename });
+
+    assert.ok(code.includes(`data-grab-source="${filename.split(path.sep).join('/')}:1:16"`));
+  });
+
+  it('does nothing in production', () => {
+    const code = transform('const app = <div />;', { envName: 'production' });
+
+    assert.doesNotMatch(code, /data-grab-source/);
+  });
+});
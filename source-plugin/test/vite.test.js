@@ -0,0 +1,49 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const reactGrabSourcePlugin = require('../vite');
+
+// Vite module IDs are absolute paths with forward slashes
+const ROOT = '/project';
+
+function createPlugin() {
+  const plugin = reactGrabSourcePlugin();
+  plugin.configResolved({ root: ROOT });
+  return plugin;
+}
+
+describe('vite plugin', () => {
+  it('stamps host elements in .tsx files with their root-relative location', async () => {
+    const id = `${ROOT}/src/App.tsx?t=123`;
+    const result = await createPlugin().transform(
+      'export const App = (): JSX.Element => <main />;',
+      id
+    );
+
+    assert.match(result.code, /<main data-grab-source="src\/App\.tsx:1:39" \/>/);
+    assert.ok(result.map);
+  });
+
+  it('skips components', async () => {
+    const result = await createPlugin().transform(
+      'export const App = () => <Layout />;',
+      `${ROOT}/src/App.jsx`
+    );
+
+    assert.doesNotMatch(result.code, /data-grab-source/);
+  });
+
+  it('skips files in node_modules and files without JSX', async () => {
+    const plugin = createPlugin();
+
+    const inNodeModules = `${ROOT}/node_modules/some-lib/index.jsx`;
+    assert.equal(await plugin.transform('export default <div />;', inNodeModules), null);
+    assert.equal(await plugin.transform('export const a = 1;', `${ROOT}/src/util.ts`), null);
+  });
+
+  it('only runs on the dev server, not in production builds', () => {
+    assert.equal(reactGrabSourcePlugin().apply, 'serve');
+  });
+});
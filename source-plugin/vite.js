@@ -0,0 +1,46 @@
+/**
+ * Vite plugin that adds React Grab's `data-grab-source` attributes (see babel.js) while the
+ * dev server runs, with paths relative to Vite's root (or the `root` option). It transforms
+ * .jsx/.tsx files before the React plugin does, so it works with both @vitejs/plugin-react and
+ * @vitejs/plugin-react-swc. Requires @babel/core.
+ *
+ *   import reactGrabSource from 'react-grab-source-plugin/vite';
+ *   export default defineConfig({ plugins: [reactGrabSource(), react()] });
+ */
+
+'use strict';
+
+const reactGrabSource = require('./babel');
+
+const JSX_FILE = /\.[jt]sx$/;
+
+module.exports = function reactGrabSourcePlugin(options = {}) {
+  let root = options.root;
+
+  return {
+    name: 'react-grab-source',
+    apply: 'serve',
+    enforce: 'pre',
+
+    configResolved(config) {
+      root = root || config.root;
+    },
+
+    async transform(code, id) {
+      const [file] = id.split('?');
+      if (!JSX_FILE.test(file) || file.includes('/node_modules/')) return null;
+
+      // Loaded here so builds, where the plugin does nothing, don't need Babel
+      const babel = require('@babel/core');
+      const result = await babel.transformAsync(code, {
+        filename: file,
+        babelrc: false,
+        configFile: false,
+        sourceMaps: true,
+        parserOpts: { plugins: file.endsWith('.tsx') ? ['jsx', 'typescript'] : ['jsx'] },
+        plugins: [[reactGrabSource, { root }]],
+      });
+      return result && { code: result.code, map: result.map };
+    },
+  };
+};
@@ -0,0 +1,181 @@
+import { spawn } from 'child_process';
+import type { ChildProcess } from 'child_process';
+import { constants, promises as fs } from 'fs';
+import * as path from 'path';
+import * as vscode from 'vscode';
+import type { Logger } from './utils/logger';
+
+export interface ClaudeRunResult {
+  exitCode: number | null;
+  cancelled: boolean;
+  result?: string; // Final answer reported by the CLI
+  error?: string;
+}
+
+/**
+ * One line of `claude -p --output-format stream-json` output (only the fields we use)
+ */
+interface StreamEvent {
+  type?: string;
+  subtype?: string;
+  is_error?: boolean;
+  result?: string;
+  message?: {
+    content?: Array<{ type: string; text?: string; name?: string }>;
+  };
+}
+
+/**
+ * Runs the Claude Code CLI non-interactively (`claude -p`) and streams what it says
+ */
+export class ClaudeCliRunner {
+  private runs = new Map<string, ChildProcess>();
+  private cancelled = new Set<string>();
+
+  constructor(private logger: Logger) {}
+
+  /**
+   * Whether Claude prompts should run headless rather than in a terminal
+   */
+  isHeadless(): boolean {
+    const config = vscode.workspace.getConfiguration('reactGrabCopilot');
+    return config.get<'terminal' | 'headless'>('claudeCliMode', 'terminal') === 'headless';
+  }
+
+  /**
+   * The configured CLI executable (`reactGrabCopilot.claudeCliPath`)
+   */
+  getCliPath(): string {
+    return vscode.workspace.getConfiguration('reactGrabCopilot').get<string>('claudeCliPath', 'claude') || 'claude';
+  }
+
+  /**
+   * Whether the CLI can be found: at the configured path, or on PATH when it is a bare command name
+   */
+  async isInstalled(): Promise<boolean> {
+    const cliPath = this.getCliPath();
+    const cwd = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath ?? process.cwd();
+    const candidates = /[/\\]/.test(cliPath)
+      ? [path.resolve(cwd, cliPath)]
+      : (process.env.PATH ?? '').split(path.delimiter).filter(Boolean).map((dir) => path.join(dir, cliPath));
+    // On Windows the CLI is a .cmd shim, found through PATHEXT like the shell does
+    const extensions =
+      process.platform === 'win32' ? ['', ...(process.env.PATHEXT ?? '.EXE;.CMD;.BAT').split(';')] : [''];
+
+    for (const candidate of candidates) {
+      for (const extension of extensions) {
+        try {
+          await fs.access(`${candidate}${extension}`, constants.X_OK);
+          return true;
+        } catch {
+          // Not here
+        }
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Run a prompt to completion. `onOutput` receives the assistant's text as it arrives.
+   * Never rejects; failures are reported in the result.
+   */
+  run(id: string, prompt: string, onOutput: (text: string) => void): Promise<ClaudeRunResult> {
+    const config = vscode.workspace.getConfiguration('reactGrabCopilot');
+    const cliPath = this.getCliPath();
+    const extraArgs = config.get<string[]>('claudeCliArgs', []);
+    const cwd = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+
+    return new Promise((resolve) => {
+      let result: string | undefined;
+      let isError = false;
+      let stderr = '';
+      let buffered = '';
+
+      const child = spawn(
+        cliPath,
+        ['-p', '--output-format', 'stream-json', '--verbose', ...extraArgs],
+        // The CLI is a .cmd shim on Windows, which can only be started through a shell
+        { cwd, shell: process.platform === 'win32' }
+      );
+      this.runs.set(id, child);
+      this.logger.info(`Started headless Claude CLI (pid ${child.pid ?? 'unknown'})`);
+
+      const handleLine = (line: string): void => {
+        if (!line.trim()) {
+          return;
+        }
+
+        let event: StreamEvent;
+        try {
+          event = JSON.parse(line) as StreamEvent;
+        } catch {
+          onOutput(`${line}\n`); // Not stream-json, e.g. an older CLI
+          return;
+        }
+
+        if (event.type === 'assistant') {
+          for (const block of event.message?.content ?? []) {
+            if (block.type === 'text' && block.text) {
+              onOutput(`${block.text}\n`);
+            } else if (block.type === 'tool_use' && block.name) {
+              onOutput(`→ ${block.name}\n`);
+            }
+          }
+        } else if (event.type === 'result') {
+          result = event.result;
+          isError = event.is_error === true || (event.subtype !== undefined && event.subtype !== 'success');
+        }
+      };
+
+      child.stdout?.on('data', (chunk: Buffer) => {
+        buffered += chunk.toString('utf8');
+        const lines = buffered.split('\n');
+        buffered = lines.pop() ?? '';
+        lines.forEach(handleLine);
+      });
+
+      child.stderr?.on('data', (chunk: Buffer) => {
+        stderr += chunk.toString('utf8');
+      });
+
+      child.on('error', (error) => {
+        this.runs.delete(id);
+        this.logger.error('Failed to start Claude CLI', error);
+        resolve({ exitCode: null, cancelled: false, error: `Could not run "${cliPath}": ${error.message}` });
+      });
+
+      child.on('close', (exitCode, signal) => {
+        handleLine(buffered);
+        const cancelled = this.cancelled.delete(id);
+        this.runs.delete(id);
+        this.logger.info(`Claude CLI exited with code ${exitCode ?? signal}`);
+
+        const failed = exitCode !== 0 || isError;
+        resolve({
+          exitCode,
+          cancelled,
+          result,
+          error: failed && !cancelled ? stderr.trim() || result || `Exited with code ${exitCode ?? signal}` : undefined,
+        });
+      });
+
+      // A CLI that fails to start closes stdin early; the exit is reported by 'error'/'close'
+      child.stdin?.on('error', () => undefined);
+      child.stdin?.end(prompt);
+    });
+  }
+
+  /**
+   * Stop a running prompt. Returns false if it already finished.
+   */
+  cancel(id: string): boolean {
+    const child = this.runs.get(id);
+    if (!child) {
+      return false;
+    }
+
+    this.cancelled.add(id);
+    child.kill();
+    return true;
+  }
+}
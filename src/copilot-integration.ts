@@ -1,14 +1,29 @@
 import * as vscode from 'vscode';
+import type { ClaudeCliRunner } from './claude-cli-runner';
+import type { ClaudeDeliveryMethod, TargetAvailability } from './protocol';
 import { Logger } from './utils/logger';
 
+// Commands that open a prompt in a Claude extension, tried in this order
+const CLAUDE_COMMANDS = [
+  'claude.newSession',           // Anthropic Claude Code extension
+  'claude.openPanel',            // Alternative command
+  'anthropic.claude.chat',       // Another possible command
+  'claude-dev.openChat',         // Cline (formerly Claude Dev)
+];
+
 export class CopilotIntegration {
-  constructor(private logger: Logger) {}
+  constructor(private logger: Logger, private claudeRunner: ClaudeCliRunner) {}
 
   /**
    * Execute a prompt in GitHub Copilot Chat or Claude Code
-   * This opens the appropriate AI assistant and sends the prompt
+   * This opens the appropriate AI assistant and sends the prompt.
+   * `attachments` (e.g. screenshots) are attached in Copilot Chat; Claude finds them through the prompt.
    */
-  async executePrompt(prompt: string, target: 'copilot' | 'claude' = 'copilot'): Promise<void> {
+  async executePrompt(
+    prompt: string,
+    target: 'copilot' | 'claude' = 'copilot',
+    attachments: vscode.Uri[] = []
+  ): Promise<void> {
     try {
       // Validate prompt
       if (!prompt || prompt.trim().length === 0) {
@@ -21,7 +36,7 @@ export class CopilotIntegration {
       if (target === 'claude') {
         await this.executeClaude(prompt, autoExecute);
       } else {
-        await this.executeCopilot(prompt, autoExecute);
+        await this.executeCopilot(prompt, autoExecute, attachments);
       }
 
     } catch (error) {
@@ -33,7 +48,7 @@ export class CopilotIntegration {
   /**
    * Execute prompt in GitHub Copilot Chat
    */
-  private async executeCopilot(prompt: string, autoExecute: boolean): Promise<void> {
+  private async executeCopilot(prompt: string, autoExecute: boolean, attachments: vscode.Uri[]): Promise<void> {
     // Check if Copilot extension is installed
     const copilotExtension = vscode.extensions.getExtension('GitHub.copilot-chat');
 
@@ -51,8 +66,10 @@ export class CopilotIntegration {
 
     // Execute the command to open Copilot Chat with the prompt
     // The 'workbench.action.chat.open' command allows passing a query directly
+    // (older VSCode versions ignore `attachFiles`)
     await vscode.commands.executeCommand('workbench.action.chat.open', {
       query: prompt,
+      ...(attachments.length > 0 ? { attachFiles: attachments } : {}),
     });
 
     this.logger.info('Prompt sent to Copilot Chat successfully');
@@ -108,6 +125,59 @@ export class CopilotIntegration {
     );
   }
 
+  /**
+   * Ways a prompt can reach Claude Code that can be detected in this VSCode, in the order
+   * `executeClaude` tries them. This only labels the browser's Send to Claude button:
+   * `executeClaude` still tries every method, as the CLI may be a shell alias or missing
+   * from the extension host's PATH. Headless runs are handled by the WebSocket server and are not included.
+   */
+  async getClaudeMethods(): Promise<ClaudeDeliveryMethod[]> {
+    const config = vscode.workspace.getConfiguration('reactGrabCopilot');
+    const preferCli = config.get<boolean>('preferClaudeCli', false);
+    const commands = await vscode.commands.getCommands();
+    const methods: ClaudeDeliveryMethod[] = [];
+
+    if (this.hasClaudeChatParticipant() && commands.includes('workbench.action.chat.open')) {
+      methods.push('chat');
+    }
+    if (CLAUDE_COMMANDS.some((command) => commands.includes(command))) {
+      methods.push('extension');
+    }
+    if (await this.claudeRunner.isInstalled()) {
+      if (preferCli) {
+        methods.unshift('terminal');
+      } else {
+        methods.push('terminal');
+      }
+    }
+
+    return methods;
+  }
+
+  /**
+   * Which targets can take prompts from the browser right now
+   */
+  async getTargetAvailability(): Promise<TargetAvailability> {
+    let methods: ClaudeDeliveryMethod[];
+    if (this.claudeRunner.isHeadless()) {
+      methods = (await this.claudeRunner.isInstalled()) ? ['headless'] : [];
+    } else {
+      methods = await this.getClaudeMethods();
+    }
+
+    return { copilot: this.getCopilotInfo(), claude: { methods } };
+  }
+
+  /**
+   * Whether an installed extension contributes an `@claude` chat participant
+   */
+  private hasClaudeChatParticipant(): boolean {
+    return vscode.extensions.all.some((extension) => {
+      const { contributes } = extension.packageJSON as { contributes?: { chatParticipants?: Array<{ name?: string }> } };
+      return (contributes?.chatParticipants ?? []).some((participant) => participant.name === 'claude');
+    });
+  }
+
   /**
    * Try sending prompt via VSCode Chat with @claude participant
    */
@@ -136,16 +206,9 @@ export class CopilotIntegration {
    * Try Claude extension specific commands
    */
   private async tryClaudeExtensionCommands(prompt: string): Promise<boolean> {
-    const claudeCommands = [
-      'claude.newSession',           // Anthropic Claude Code extension
-      'claude.openPanel',            // Alternative command
-      'anthropic.claude.chat',       // Another possible command
-      'claude-dev.openChat',         // Cline (formerly Claude Dev)
-    ];
-
     const commands = await vscode.commands.getCommands();
 
-    for (const command of claudeCommands) {
+    for (const command of CLAUDE_COMMANDS) {
       if (commands.includes(command)) {
         try {
           await vscode.commands.executeCommand(command, {
@@ -185,7 +248,8 @@ export class CopilotIntegration {
 
       // Send the prompt to Claude CLI
       // Using the interactive mode (without -p) so user can see and interact
-      terminal.sendText(`claude '${escapedPrompt}'`);
+      const cliPath = this.claudeRunner.getCliPath();
+      terminal.sendText(`${/\s/.test(cliPath) ? `"${cliPath}"` : cliPath} '${escapedPrompt}'`);
 
       this.logger.info('Prompt sent to Claude Code CLI');
       return true;
@@ -0,0 +1,134 @@
+import * as vscode from 'vscode';
+import type { ElementInfo } from './protocol';
+import type { SourceContextMode, SourceLocator, SourceSnippet } from './source-locator';
+import type { Logger } from './utils/logger';
+
+// VSCode language IDs that differ from the usual Markdown code fence names
+const CODE_FENCE_LANGUAGES: Record<string, string> = {
+  typescriptreact: 'tsx',
+  javascriptreact: 'jsx',
+};
+
+/**
+ * Turns element info from the browser into the context block sent along with a prompt
+ */
+export class ElementContextBuilder {
+  constructor(
+    private sourceLocator: SourceLocator,
+    private logger: Logger
+  ) {}
+
+  /**
+   * Prefix the user's prompt with the element context, if there is any,
+   * and point to the screenshot saved for it
+   */
+  async buildPrompt(
+    prompt: string,
+    elementInfo: ElementInfo | ElementInfo[] | undefined,
+    screenshot?: vscode.Uri
+  ): Promise<string> {
+    let context = await this.format(elementInfo);
+    if (screenshot) {
+      const section = `### Screenshot\nHow it currently looks: \`${vscode.workspace.asRelativePath(screenshot)}\``;
+      context = context ? `${context}\n\n${section}` : section;
+    }
+    return context ? `${context}\n\n---\n\n**User Request:** ${prompt}` : prompt;
+  }
+
+  /**
+   * Markdown describing the grabbed element, with real workspace source when it can be found.
+   * Several elements get one section each, in the order they were selected.
+   */
+  async format(elementInfo: ElementInfo | ElementInfo[] | undefined): Promise<string> {
+    if (!Array.isArray(elementInfo)) {
+      return this.formatElement(elementInfo);
+    }
+    if (elementInfo.length <= 1) {
+      return this.formatElement(elementInfo[0]);
+    }
+
+    const sections = await Promise.all(elementInfo.map((info) => this.formatElement(info)));
+    return `# ${elementInfo.length} Components\n\n${sections.join('\n\n---\n\n')}`;
+  }
+
+  private async formatElement(elementInfo: ElementInfo | undefined): Promise<string> {
+    if (!elementInfo) return '';
+
+    // Real code from the workspace replaces the JSX the browser reconstructed from the fiber
+    const snippet = await this.readSourceSnippet(elementInfo);
+
+    // If markdown context is provided from react-grab, use it directly
+    if (elementInfo.markdownContext) {
+      return snippet
+        ? `${stripGuessedJsx(elementInfo.markdownContext)}\n\n${formatSourceSnippet(snippet)}`
+        : elementInfo.markdownContext;
+    }
+
+    // Fallback to constructing context manually
+    let context = `## ${elementInfo.componentName || 'Unknown'}\n\n`;
+
+    if (elementInfo.filePath) {
+      context += `**Source:** \`${elementInfo.filePath}\`\n\n`;
+    }
+
+    if (snippet) {
+      context += `${formatSourceSnippet(snippet)}\n\n`;
+    } else if (elementInfo.jsx) {
+      context += `### JSX\n\`\`\`jsx\n${elementInfo.jsx}\n\`\`\`\n\n`;
+    }
+
+    if (elementInfo.path) {
+      context += `**Element Path:** \`${elementInfo.path}\`\n\n`;
+    }
+
+    if (elementInfo.props && Object.keys(elementInfo.props).length > 0) {
+      context += `### Props\n\`\`\`json\n${JSON.stringify(elementInfo.props, null, 2)}\n\`\`\`\n\n`;
+    }
+
+    context += `### Element Info\n`;
+    context += `- **Tag:** \`${elementInfo.tagName}\`\n`;
+
+    if (elementInfo.id) {
+      context += `- **ID:** \`${elementInfo.id}\`\n`;
+    }
+    if (elementInfo.className) {
+      context += `- **Classes:** \`${elementInfo.className}\`\n`;
+    }
+
+    return context;
+  }
+
+  private async readSourceSnippet(elementInfo: ElementInfo): Promise<SourceSnippet | null> {
+    const config = vscode.workspace.getConfiguration('reactGrabCopilot');
+    const mode = config.get<SourceContextMode>('sourceContext', 'component');
+    if (mode === 'off' || !elementInfo.filePath) {
+      return null;
+    }
+
+    try {
+      return await this.sourceLocator.readSnippet(
+        {
+          fileName: elementInfo.filePath,
+          lineNumber: elementInfo.lineNumber,
+          columnNumber: elementInfo.columnNumber,
+        },
+        mode,
+        config.get<number>('sourceContextLines', 20)
+      );
+    } catch (error) {
+      this.logger.warn(`Could not read source for ${elementInfo.filePath}`, error);
+      return null;
+    }
+  }
+}
+
+// Drop the `### JSX` block react-grab reconstructs from the fiber tree
+function stripGuessedJsx(markdown: string): string {
+  return markdown.replace(/### JSX\n```jsx\n[\s\S]*?\n```\n*/, '').trimEnd();
+}
+
+function formatSourceSnippet(snippet: SourceSnippet): string {
+  const fence = CODE_FENCE_LANGUAGES[snippet.language] ?? snippet.language;
+  const location = `${vscode.workspace.asRelativePath(snippet.uri)}:${snippet.startLine}-${snippet.endLine}`;
+  return `### Source (\`${location}\`)\n\`\`\`${fence}\n${snippet.code}\n\`\`\``;
+}
@@ -1,12 +1,28 @@
 import * as vscode from 'vscode';
 import { WebSocketServer } from './websocket-server';
+import { ClaudeCliRunner } from './claude-cli-runner';
 import { CopilotIntegration } from './copilot-integration';
+import { ElementContextBuilder } from './element-context';
+import { GrabHistory } from './grab-history';
+import type { GrabHistoryEntry } from './grab-history';
+import { PairingManager } from './pairing';
+import { PromptTemplateStore } from './prompt-templates';
+import { ScreenshotStore } from './screenshot-store';
+import { SourceLocator } from './source-locator';
 import { StatusBarManager } from './status-bar';
+import type { AITarget } from './protocol';
 import { Logger } from './utils/logger';
 
 let websocketServer: WebSocketServer | undefined;
 let copilotIntegration: CopilotIntegration | undefined;
 let statusBarManager: StatusBarManager | undefined;
+let pairingManager: PairingManager | undefined;
+let sourceLocator: SourceLocator | undefined;
+let contextBuilder: ElementContextBuilder | undefined;
+let grabHistory: GrabHistory | undefined;
+let templateStore: PromptTemplateStore | undefined;
+let claudeRunner: ClaudeCliRunner | undefined;
+let screenshotStore: ScreenshotStore | undefined;
 let logger: Logger | undefined;
 
 export function activate(context: vscode.ExtensionContext): void {
@@ -18,14 +34,69 @@ export function activate(context: vscode.ExtensionContext): void {
   context.subscriptions.push(statusBarManager);
 
   // Initialize Copilot integration
-  copilotIntegration = new CopilotIntegration(logger);
+  claudeRunner = new ClaudeCliRunner(logger);
+  copilotIntegration = new CopilotIntegration(logger, claudeRunner);
+
+  // Pairing tokens are stored per workspace
+  pairingManager = new PairingManager(context.workspaceState);
+
+  // Resolves browser-reported file names for "Open in Editor"
+  sourceLocator = new SourceLocator(logger);
+  contextBuilder = new ElementContextBuilder(sourceLocator, logger);
+  screenshotStore = new ScreenshotStore(logger);
+
+  // Grab history is stored per workspace and shown in the Explorer
+  grabHistory = new GrabHistory(context.workspaceState);
+  context.subscriptions.push(
+    grabHistory,
+    vscode.window.createTreeView('reactGrabHistory', { treeDataProvider: grabHistory })
+  );
+
+  // Prompt templates are pushed to connected browsers whenever they change
+  templateStore = new PromptTemplateStore(logger);
+  context.subscriptions.push(
+    templateStore,
+    templateStore.onDidChange(() => {
+      websocketServer?.broadcastTemplates().catch((error) => {
+        logger?.error('Failed to send prompt templates', error);
+      });
+    })
+  );
 
   // Initialize WebSocket server
   const config = vscode.workspace.getConfiguration('reactGrabCopilot');
   const port = config.get<number>('websocketPort', 9765);
   const autoStart = config.get<boolean>('autoStart', true);
 
-  websocketServer = new WebSocketServer(port, logger, copilotIntegration, statusBarManager);
+  websocketServer = new WebSocketServer(
+    port,
+    logger,
+    copilotIntegration,
+    statusBarManager,
+    pairingManager,
+    sourceLocator,
+    contextBuilder,
+    grabHistory,
+    templateStore,
+    claudeRunner,
+    screenshotStore
+  );
+
+  // Browsers disable targets that can't take prompts, so tell them when that may have changed:
+  // extensions (un)installed, settings edited, or a Claude CLI installed while VSCode was in the background
+  const broadcastAvailability = (): void => {
+    websocketServer?.broadcastAvailability().catch((error) => {
+      logger?.error('Failed to send target availability', error);
+    });
+  };
+  context.subscriptions.push(
+    vscode.extensions.onDidChange(broadcastAvailability),
+    vscode.window.onDidChangeWindowState((state) => {
+      if (state.focused) {
+        broadcastAvailability();
+      }
+    })
+  );
 
   // Register commands
   const startServerCommand = vscode.commands.registerCommand(
@@ -72,7 +143,145 @@ export function activate(context: vscode.ExtensionContext): void {
     }
   );
 
-  context.subscriptions.push(startServerCommand, stopServerCommand, showStatusCommand);
+  const pairBrowserCommand = vscode.commands.registerCommand(
+    'react-grab-copilot.pairBrowser',
+    async () => {
+      if (!pairingManager) {
+        return;
+      }
+
+      const code = pairingManager.createPairingCode();
+      const selection = await vscode.window.showInformationMessage(
+        `React Grab pairing code: ${code}`,
+        {
+          modal: true,
+          detail:
+            'Open the React Grab browser extension popup and enter this code next to this workspace. The code expires in 5 minutes and can only be used once.',
+        },
+        'Copy Code'
+      );
+
+      if (selection === 'Copy Code') {
+        await vscode.env.clipboard.writeText(code);
+      }
+    }
+  );
+
+  const revokePairingsCommand = vscode.commands.registerCommand(
+    'react-grab-copilot.revokePairings',
+    async () => {
+      if (!pairingManager) {
+        return;
+      }
+
+      await pairingManager.revokeAll();
+      websocketServer?.disconnectAll();
+      void vscode.window.showInformationMessage(
+        'All paired browsers have been revoked. Pair again to reconnect.'
+      );
+    }
+  );
+
+  const resendFromHistory = async (entry: GrabHistoryEntry | undefined, target: AITarget): Promise<void> => {
+    if (!entry || !copilotIntegration || !contextBuilder) {
+      return;
+    }
+
+    const prompt = await vscode.window.showInputBox({
+      title: `Send ${entry.componentName} to ${target === 'claude' ? 'Claude' : 'Copilot'}`,
+      prompt: 'Your prompt',
+      value: entry.prompt ?? '',
+      ignoreFocusOut: true,
+    });
+    if (prompt === undefined) {
+      return;
+    }
+
+    try {
+      const finalPrompt = await contextBuilder.buildPrompt(
+        prompt || 'Analyze this React component:',
+        entry.elements ?? entry.elementInfo
+      );
+      await copilotIntegration.executePrompt(finalPrompt, target);
+    } catch (error) {
+      logger?.error('Failed to resend prompt from history', error);
+      void vscode.window.showErrorMessage(`Failed to send prompt: ${(error as Error).message}`);
+    }
+  };
+
+  const historyResendCopilotCommand = vscode.commands.registerCommand(
+    'react-grab-copilot.history.resendToCopilot',
+    (entry?: GrabHistoryEntry) => resendFromHistory(entry, 'copilot')
+  );
+
+  const historyResendClaudeCommand = vscode.commands.registerCommand(
+    'react-grab-copilot.history.resendToClaude',
+    (entry?: GrabHistoryEntry) => resendFromHistory(entry, 'claude')
+  );
+
+  const historyOpenSourceCommand = vscode.commands.registerCommand(
+    'react-grab-copilot.history.openSource',
+    async (entry?: GrabHistoryEntry) => {
+      const { filePath, lineNumber, columnNumber } = entry?.elementInfo ?? {};
+      if (!filePath || !sourceLocator) {
+        return;
+      }
+
+      const uri = await sourceLocator.reveal({ fileName: filePath, lineNumber, columnNumber });
+      if (!uri) {
+        void vscode.window.showWarningMessage(`${filePath} was not found in the open workspace`);
+      }
+    }
+  );
+
+  const historyCopyContextCommand = vscode.commands.registerCommand(
+    'react-grab-copilot.history.copyContext',
+    async (entry?: GrabHistoryEntry) => {
+      if (!entry || !contextBuilder) {
+        return;
+      }
+
+      await vscode.env.clipboard.writeText(await contextBuilder.format(entry.elements ?? entry.elementInfo));
+      void vscode.window.showInformationMessage(`Copied context for ${entry.componentName}`);
+    }
+  );
+
+  const historyDeleteCommand = vscode.commands.registerCommand(
+    'react-grab-copilot.history.delete',
+    async (entry?: GrabHistoryEntry) => {
+      if (entry) {
+        await grabHistory?.remove(entry.id);
+      }
+    }
+  );
+
+  const historyClearCommand = vscode.commands.registerCommand(
+    'react-grab-copilot.history.clear',
+    async () => {
+      const selection = await vscode.window.showWarningMessage(
+        'Clear the React Grab history for this workspace?',
+        { modal: true },
+        'Clear'
+      );
+      if (selection === 'Clear') {
+        await grabHistory?.clear();
+      }
+    }
+  );
+
+  context.subscriptions.push(
+    startServerCommand,
+    stopServerCommand,
+    showStatusCommand,
+    pairBrowserCommand,
+    revokePairingsCommand,
+    historyResendCopilotCommand,
+    historyResendClaudeCommand,
+    historyOpenSourceCommand,
+    historyCopyContextCommand,
+    historyDeleteCommand,
+    historyClearCommand
+  );
 
   // Auto-start server if configured
   if (autoStart && websocketServer) {
@@ -85,6 +294,8 @@ export function activate(context: vscode.ExtensionContext): void {
   context.subscriptions.push(
     vscode.workspace.onDidChangeConfiguration((e) => {
       if (e.affectsConfiguration('reactGrabCopilot')) {
+        broadcastAvailability();
+
         const newConfig = vscode.workspace.getConfiguration('reactGrabCopilot');
         const newPort = newConfig.get<number>('websocketPort', 9765);
 
@@ -102,7 +313,14 @@ export function activate(context: vscode.ExtensionContext): void {
                   newPort,
                   logger!,
                   copilotIntegration!,
-                  statusBarManager!
+                  statusBarManager!,
+                  pairingManager!,
+                  sourceLocator!,
+                  contextBuilder!,
+                  grabHistory!,
+                  templateStore!,
+                  claudeRunner!,
+                  screenshotStore!
                 );
                 websocketServer.start().catch((error) => {
                   logger?.error('Failed to restart server', error);
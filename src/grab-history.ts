@@ -0,0 +1,120 @@
+import * as vscode from 'vscode';
+import type { AITarget, ElementInfo } from './protocol';
+
+const HISTORY_STATE_KEY = 'reactGrabCopilot.grabHistory';
+const MAX_ENTRIES = 50;
+
+export interface GrabHistoryEntry {
+  id: string;
+  grabId?: string; // Browser-side ID shared by a grab and the prompt sent from it
+  componentName: string;
+  elementInfo: ElementInfo;
+  elements?: ElementInfo[]; // Set when one prompt covered several components (`elementInfo` is the first)
+  pageUrl?: string;
+  target?: AITarget; // Only set once a prompt has been sent
+  prompt?: string;
+  timestamp: number;
+}
+
+export type NewGrabHistoryEntry = Omit<GrabHistoryEntry, 'id' | 'timestamp' | 'componentName'>;
+
+/**
+ * Grabs and prompts received from the browser, persisted per workspace so they survive reloads.
+ * Doubles as the data provider for the "React Grab History" tree view.
+ */
+export class GrabHistory implements vscode.TreeDataProvider<GrabHistoryEntry>, vscode.Disposable {
+  private readonly changeEmitter = new vscode.EventEmitter<void>();
+  readonly onDidChangeTreeData = this.changeEmitter.event;
+
+  constructor(private state: vscode.Memento) {}
+
+  /**
+   * Record a grab. A prompt sent from an earlier grab updates that entry instead of adding one.
+   */
+  async add(entry: NewGrabHistoryEntry): Promise<void> {
+    const entries = this.getEntries();
+    const existing = entry.grabId ? entries.find((e) => e.grabId === entry.grabId) : undefined;
+
+    const updated: GrabHistoryEntry = {
+      ...existing,
+      ...entry,
+      id: existing?.id ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      componentName: (entry.elements ?? [entry.elementInfo])
+        .map((info) => info.componentName || info.tagName || 'Unknown')
+        .join(', '),
+      timestamp: Date.now(),
+    };
+
+    await this.save([updated, ...entries.filter((e) => e !== existing)].slice(0, MAX_ENTRIES));
+  }
+
+  async remove(id: string): Promise<void> {
+    await this.save(this.getEntries().filter((e) => e.id !== id));
+  }
+
+  async clear(): Promise<void> {
+    await this.save([]);
+  }
+
+  getEntries(): GrabHistoryEntry[] {
+    return this.state.get<GrabHistoryEntry[]>(HISTORY_STATE_KEY, []);
+  }
+
+  getChildren(element?: GrabHistoryEntry): GrabHistoryEntry[] {
+    return element ? [] : this.getEntries();
+  }
+
+  getTreeItem(entry: GrabHistoryEntry): vscode.TreeItem {
+    const { filePath, lineNumber } = entry.elementInfo;
+    const fileLabel = filePath
+      ? `${filePath.split(/[/\\]/).pop()}${lineNumber ? `:${lineNumber}` : ''}`
+      : undefined;
+    const targetName = entry.target === 'claude' ? 'Claude' : 'Copilot';
+
+    const item = new vscode.TreeItem(entry.componentName, vscode.TreeItemCollapsibleState.None);
+    item.id = entry.id;
+    item.description = [fileLabel, entry.target && `→ ${targetName}`, formatTime(entry.timestamp)]
+      .filter(Boolean)
+      .join(' · ');
+    item.iconPath = new vscode.ThemeIcon(entry.prompt ? 'comment' : 'symbol-class');
+    item.contextValue = filePath ? 'grabHistoryEntry.withSource' : 'grabHistoryEntry';
+
+    const tooltip = new vscode.MarkdownString();
+    tooltip.appendMarkdown(`**${entry.componentName}**\n\n`);
+    if (filePath) tooltip.appendMarkdown(`- Source: \`${filePath}${lineNumber ? `:${lineNumber}` : ''}\`\n`);
+    if (entry.pageUrl) tooltip.appendMarkdown(`- Page: ${entry.pageUrl}\n`);
+    if (entry.target) tooltip.appendMarkdown(`- Sent to: ${targetName}\n`);
+    tooltip.appendMarkdown(`- Time: ${new Date(entry.timestamp).toLocaleString()}\n`);
+    if (entry.prompt) {
+      tooltip.appendMarkdown('\n---\n\n');
+      tooltip.appendText(entry.prompt);
+    }
+    item.tooltip = tooltip;
+
+    if (filePath) {
+      item.command = {
+        command: 'react-grab-copilot.history.openSource',
+        title: 'Open Source',
+        arguments: [entry],
+      };
+    }
+
+    return item;
+  }
+
+  dispose(): void {
+    this.changeEmitter.dispose();
+  }
+
+  private async save(entries: GrabHistoryEntry[]): Promise<void> {
+    await this.state.update(HISTORY_STATE_KEY, entries);
+    this.changeEmitter.fire();
+  }
+}
+
+function formatTime(timestamp: number): string {
+  const date = new Date(timestamp);
+  return date.toDateString() === new Date().toDateString()
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleDateString();
+}
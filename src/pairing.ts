@@ -0,0 +1,104 @@
+import * as crypto from 'crypto';
+import type * as vscode from 'vscode';
+
+const TOKENS_STATE_KEY = 'reactGrabCopilot.pairingTokens';
+const CODE_TTL_MS = 5 * 60 * 1000; // Pairing codes expire after 5 minutes
+const MAX_CODE_ATTEMPTS = 5;
+
+interface PendingCode {
+  code: string;
+  expiresAt: number;
+  attempts: number;
+}
+
+/**
+ * Issues one-time pairing codes and the long-lived tokens browsers exchange them for.
+ * Tokens are persisted per workspace as SHA-256 hashes, never in plain text.
+ */
+export class PairingManager {
+  private pendingCode: PendingCode | null = null;
+
+  constructor(private state: vscode.Memento) {}
+
+  /**
+   * Create a fresh 6-digit pairing code, replacing any previous one
+   */
+  createPairingCode(): string {
+    const code = crypto.randomInt(0, 1_000_000).toString().padStart(6, '0');
+    this.pendingCode = { code, expiresAt: Date.now() + CODE_TTL_MS, attempts: 0 };
+    return code;
+  }
+
+  /**
+   * Exchange a pairing code for a token. Returns null if the code is wrong or expired.
+   * The code is burned after a successful redemption or too many failed attempts.
+   */
+  async redeemCode(code: string): Promise<string | null> {
+    const pending = this.pendingCode;
+    if (!pending || Date.now() > pending.expiresAt) {
+      this.pendingCode = null;
+      return null;
+    }
+
+    if (!safeEqual(code.trim(), pending.code)) {
+      pending.attempts++;
+      if (pending.attempts >= MAX_CODE_ATTEMPTS) {
+        this.pendingCode = null;
+      }
+      return null;
+    }
+
+    this.pendingCode = null;
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const hashes = this.getTokenHashes();
+    await this.state.update(TOKENS_STATE_KEY, [...hashes, hashToken(token)]);
+    return token;
+  }
+
+  isValidToken(token: string): boolean {
+    const hash = hashToken(token);
+    return this.getTokenHashes().some((stored) => safeEqual(stored, hash));
+  }
+
+  async revokeAll(): Promise<void> {
+    this.pendingCode = null;
+    await this.state.update(TOKENS_STATE_KEY, []);
+  }
+
+  private getTokenHashes(): string[] {
+    return this.state.get<string[]>(TOKENS_STATE_KEY, []);
+  }
+}
+
+/**
+ * Check a WebSocket handshake `Origin` header against an allowlist.
+ * Patterns may use `*` as a wildcard, e.g. `http://localhost:*` or `chrome-extension://*`.
+ * Connections without an Origin header come from local non-browser clients and are allowed.
+ */
+export function isOriginAllowed(origin: string | undefined, allowlist: string[]): boolean {
+  if (!origin) {
+    return true;
+  }
+
+  return allowlist.some((pattern) => {
+    const regex = new RegExp(
+      `^${pattern
+        .split('*')
+        .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*')}$`,
+      'i'
+    );
+    return regex.test(origin);
+  });
+}
+
+function hashToken(token: string): string {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function safeEqual(a: string, b: string): boolean {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
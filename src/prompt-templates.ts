@@ -0,0 +1,91 @@
+import * as vscode from 'vscode';
+import type { PromptTemplate } from './protocol';
+import type { Logger } from './utils/logger';
+
+// Workspace-relative file with team-shared templates
+export const TEMPLATES_FILE = '.react-grab/templates.json';
+
+/**
+ * Prompt templates from the `reactGrabCopilot.promptTemplates` setting and each workspace
+ * folder's `.react-grab/templates.json`. A workspace template replaces a setting with the same name.
+ */
+export class PromptTemplateStore implements vscode.Disposable {
+  private readonly changeEmitter = new vscode.EventEmitter<void>();
+  readonly onDidChange = this.changeEmitter.event;
+
+  private readonly disposables: vscode.Disposable[] = [];
+
+  constructor(private logger: Logger) {
+    const watcher = vscode.workspace.createFileSystemWatcher(`**/${TEMPLATES_FILE}`);
+    const fire = (): void => this.changeEmitter.fire();
+
+    this.disposables.push(
+      watcher,
+      watcher.onDidCreate(fire),
+      watcher.onDidChange(fire),
+      watcher.onDidDelete(fire),
+      vscode.workspace.onDidChangeConfiguration((e) => {
+        if (e.affectsConfiguration('reactGrabCopilot.promptTemplates')) {
+          fire();
+        }
+      }),
+      this.changeEmitter
+    );
+  }
+
+  async getTemplates(): Promise<PromptTemplate[]> {
+    const templates = new Map<string, PromptTemplate>();
+
+    const configured = vscode.workspace
+      .getConfiguration('reactGrabCopilot')
+      .get<unknown[]>('promptTemplates', []);
+    for (const template of configured.filter(isPromptTemplate)) {
+      templates.set(template.name, template);
+    }
+
+    for (const folder of vscode.workspace.workspaceFolders ?? []) {
+      for (const template of await this.readTemplatesFile(folder)) {
+        templates.set(template.name, template);
+      }
+    }
+
+    return [...templates.values()].map(({ name, prompt }) => ({ name, prompt }));
+  }
+
+  dispose(): void {
+    for (const disposable of this.disposables) {
+      disposable.dispose();
+    }
+  }
+
+  private async readTemplatesFile(folder: vscode.WorkspaceFolder): Promise<PromptTemplate[]> {
+    const uri = vscode.Uri.joinPath(folder.uri, TEMPLATES_FILE);
+
+    let content: Uint8Array;
+    try {
+      content = await vscode.workspace.fs.readFile(uri);
+    } catch {
+      return []; // No templates file in this folder
+    }
+
+    try {
+      const parsed: unknown = JSON.parse(Buffer.from(content).toString('utf8'));
+      if (!Array.isArray(parsed)) {
+        throw new Error('expected an array of { "name", "prompt" } objects');
+      }
+      return (parsed as unknown[]).filter(isPromptTemplate);
+    } catch (error) {
+      this.logger.warn(`Ignoring invalid ${uri.fsPath}: ${(error as Error).message}`);
+      return [];
+    }
+  }
+}
+
+function isPromptTemplate(value: unknown): value is PromptTemplate {
+  const template = value as Partial<PromptTemplate> | null;
+  return (
+    typeof template?.name === 'string' &&
+    template.name.trim() !== '' &&
+    typeof template.prompt === 'string'
+  );
+}
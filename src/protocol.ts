@@ -0,0 +1,157 @@
+/**
+ * Wire protocol shared with the browser extension.
+ *
+ * Version history:
+ * 1 - `prompt`, `ping` and `element-context` only (no version reported)
+ * 2 - request IDs, pairing, and capability negotiation via `status` / `hello`
+ *     (optional messages such as `open-in-editor` and `locate-source` are advertised in `capabilities`,
+ *     and `availability` is only sent to browsers that list it in `hello`)
+ */
+export const PROTOCOL_VERSION = 2;
+
+// Largest message the server accepts; the browser should not send anything bigger
+export const MAX_PAYLOAD_SIZE = 8 * 1024 * 1024;
+
+// Most components a single `prompt` may describe in `elements`
+export const MAX_PROMPT_ELEMENTS = 20;
+
+export type AITarget = 'copilot' | 'claude';
+
+/**
+ * Source location as reported by React's `_debugSource` (1-based line and column)
+ */
+export interface SourceLocation {
+  fileName: string;
+  lineNumber?: number;
+  columnNumber?: number;
+}
+
+export type BrowserMessageType =
+  | 'hello'
+  | 'prompt'
+  | 'ping'
+  | 'element-context'
+  | 'pair'
+  | 'auth'
+  | 'open-in-editor'
+  | 'locate-source'
+  | 'cancel';
+
+export type ServerMessageType =
+  | 'received'
+  | 'dispatched'
+  | 'success'
+  | 'error'
+  | 'pong'
+  | 'status'
+  | 'paired'
+  | 'templates'
+  | 'output'
+  | 'availability';
+
+export interface ElementInfo {
+  tagName: string;
+  className: string;
+  id: string;
+  props?: Record<string, unknown>;
+  componentName?: string;
+  path?: string;
+  jsx?: string;
+  filePath?: string;
+  lineNumber?: number; // 1-based position of `filePath` from React's `_debugSource`
+  columnNumber?: number;
+  markdownContext?: string; // Full markdown context from react-grab
+}
+
+/**
+ * Named prompt with `{{componentName}}`-style placeholders, expanded by the browser
+ */
+export interface PromptTemplate {
+  name: string;
+  prompt: string;
+}
+
+/**
+ * What the server offers, sent in the initial `status` message
+ */
+export interface ServerCapabilities {
+  targets: AITarget[];
+  streamingTargets: AITarget[]; // Targets whose output is streamed back as `output` messages
+  messageTypes: BrowserMessageType[]; // Message types the server accepts
+  maxPayloadSize: number;
+  maxElements: number; // Most components one `prompt` may carry in `elements` (absent: one)
+  screenshots: boolean; // Whether a `prompt` may carry a `screenshot`
+}
+
+// How a Claude prompt is delivered: `claude -p` run in the background, `@claude` in VSCode Chat,
+// a Claude extension's command, or an interactive `claude` session in the integrated terminal
+export type ClaudeDeliveryMethod = 'headless' | 'chat' | 'extension' | 'terminal';
+
+/**
+ * Which AI targets can take prompts in this VSCode, sent as an `availability` message once the
+ * browser is authenticated and again whenever it changes (e.g. an extension is installed)
+ */
+export interface TargetAvailability {
+  copilot: { installed: boolean; active: boolean; version?: string }; // GitHub Copilot Chat; activated on first use
+  claude: { methods: ClaudeDeliveryMethod[] }; // Detected methods in the order they are tried; the terminal is still tried when none is
+}
+
+/**
+ * What the browser understands, sent in its `hello` message
+ */
+export interface ClientCapabilities {
+  messageTypes: ServerMessageType[]; // Message types the browser can handle
+}
+
+// Browsers that never send `hello` predate protocol v2 and only understand these replies
+export const LEGACY_CLIENT_MESSAGE_TYPES: ServerMessageType[] = ['success', 'error', 'pong', 'status'];
+
+export interface MessageFromBrowser {
+  type: BrowserMessageType;
+  requestId?: string; // Echoed back on every reply so the browser can correlate outcomes; `cancel` names the prompt to stop
+  protocolVersion?: number; // `hello`
+  capabilities?: ClientCapabilities; // `hello`
+  code?: string; // One-time pairing code (`pair`)
+  token?: string; // Token issued by a previous pairing (`auth`)
+  prompt?: string;
+  target?: AITarget; // Which AI assistant to use
+  elementInfo?: ElementInfo;
+  elements?: ElementInfo[]; // `prompt` about several components at once, used instead of `elementInfo`
+  grabId?: string; // Ties a `prompt` to the `element-context` sent when the component was grabbed
+  pageUrl?: string; // Page the component was grabbed from
+  screenshot?: string; // `prompt`: PNG data URL of the component as it looks in the page
+  source?: SourceLocation; // `open-in-editor`
+  fileNames?: string[]; // `locate-source`: source files whose workspace the browser can't tell from their path
+  timestamp: number;
+}
+
+/**
+ * Replies to a browser request follow a lifecycle:
+ * `received` -> `dispatched` (prompt handed to the AI target) -> `success` | `error`
+ * Streaming targets send any number of `output` messages between `dispatched` and the outcome.
+ */
+export interface MessageToBrowser {
+  type: ServerMessageType;
+  requestId?: string;
+  target?: AITarget;
+  message?: string;
+  reason?: string; // Failure details for `error` replies
+  code?: 'unauthorized' | 'invalid-pairing-code' | 'origin-not-allowed' | 'unsupported';
+  token?: string; // Issued on successful `pair`
+  paired?: boolean;
+  pairingRequired?: boolean;
+  protocolVersion?: number; // `status`
+  capabilities?: ServerCapabilities; // `status`
+  templates?: PromptTemplate[]; // `templates`
+  availability?: TargetAvailability; // `availability`
+  output?: string; // Chunk of AI output (`output`)
+  streaming?: boolean; // `dispatched`: `output` messages will follow
+  exitCode?: number | null; // Outcome of a streamed CLI run
+  found?: string[]; // `success` reply to `locate-source`: the file names that are in this workspace
+  timestamp: number;
+  workspace?: {
+    name: string;
+    path: string;
+    port: number;
+  };
+}
@@ -0,0 +1,59 @@
+import * as vscode from 'vscode';
+import type { Logger } from './utils/logger';
+
+// Workspace-relative folder the browser's component screenshots are saved to
+export const SCREENSHOTS_DIR = '.react-grab/screenshots';
+
+// Older screenshots are deleted once there are more than this
+const MAX_SCREENSHOTS = 50;
+
+const DATA_URL_PATTERN = /^data:image\/(png|jpeg);base64,([A-Za-z0-9+/]+=*)$/;
+
+/**
+ * Saves component screenshots sent by the browser so the AI assistants can look at them
+ */
+export class ScreenshotStore {
+  constructor(private logger: Logger) {}
+
+  /**
+   * Write a `data:image/...;base64,` URL to the screenshots folder of the first workspace folder.
+   * Returns null when there is no workspace folder or the URL is not an image.
+   */
+  async save(dataUrl: string, componentName: string | undefined): Promise<vscode.Uri | null> {
+    const folder = vscode.workspace.workspaceFolders?.[0];
+    const match = DATA_URL_PATTERN.exec(dataUrl);
+    if (!folder || !match) {
+      this.logger.warn(
+        folder ? 'Ignoring screenshot that is not a PNG or JPEG data URL' : 'No workspace folder for the screenshot'
+      );
+      return null;
+    }
+
+    const directory = vscode.Uri.joinPath(folder.uri, SCREENSHOTS_DIR);
+    const baseName = (componentName || 'component').replace(/[^\w.-]+/g, '_');
+    const uri = vscode.Uri.joinPath(directory, `${Date.now()}-${baseName}.${match[1] === 'jpeg' ? 'jpg' : 'png'}`);
+
+    await vscode.workspace.fs.createDirectory(directory);
+    await vscode.workspace.fs.writeFile(uri, Buffer.from(match[2], 'base64'));
+    this.logger.info(`Saved screenshot to ${uri.fsPath}`);
+
+    await this.prune(directory);
+    return uri;
+  }
+
+  private async prune(directory: vscode.Uri): Promise<void> {
+    try {
+      // Names start with a millisecond timestamp, so they sort oldest first
+      const files = (await vscode.workspace.fs.readDirectory(directory))
+        .filter(([name, type]) => type === vscode.FileType.File && /^\d+-/.test(name))
+        .map(([name]) => name)
+        .sort();
+
+      for (const name of files.slice(0, Math.max(0, files.length - MAX_SCREENSHOTS))) {
+        await vscode.workspace.fs.delete(vscode.Uri.joinPath(directory, name));
+      }
+    } catch (error) {
+      this.logger.warn('Could not clean up old screenshots', error);
+    }
+  }
+}
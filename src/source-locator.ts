@@ -0,0 +1,244 @@
+import * as path from 'path';
+import * as vscode from 'vscode';
+import type { SourceLocation } from './protocol';
+import type { Logger } from './utils/logger';
+
+// Definitions longer than this are trimmed to a window around the grabbed line
+const MAX_DEFINITION_LINES = 400;
+
+const DEFINITION_SYMBOL_KINDS = [
+  vscode.SymbolKind.Function,
+  vscode.SymbolKind.Class,
+  vscode.SymbolKind.Method,
+  vscode.SymbolKind.Variable,
+  vscode.SymbolKind.Constant,
+];
+
+export type SourceContextMode = 'component' | 'window' | 'off';
+
+/**
+ * A slice of a workspace file (1-based, inclusive line numbers)
+ */
+export interface SourceSnippet {
+  uri: vscode.Uri;
+  startLine: number;
+  endLine: number;
+  language: string;
+  code: string;
+}
+
+/**
+ * Maps file names reported by the browser onto files in the open workspace folders
+ */
+export class SourceLocator {
+  constructor(private logger: Logger) {}
+
+  /**
+   * Resolve a browser-reported file name to a workspace file.
+   * Handles absolute paths, paths relative to a workspace folder, dev-server URLs
+   * (`/src/App.tsx?t=123`, `webpack:///./src/App.tsx`) and, as a last resort,
+   * a search by file name that prefers the longest matching path suffix.
+   * The page controls the name, so anything outside the workspace folders is rejected.
+   */
+  async resolve(fileName: string): Promise<vscode.Uri | null> {
+    const normalized = normalizeFileName(fileName);
+    if (!normalized) {
+      return null;
+    }
+
+    return (await this.resolveInFolders(normalized)) ?? this.findBySuffix(normalized);
+  }
+
+  /**
+   * Whether a browser-reported file name is a file in the open workspace folders, as an
+   * absolute path or relative to a folder. Unlike `resolve` this doesn't search by file name,
+   * which would also find another project's `src/App.tsx`; the browser uses it to route prompts.
+   */
+  async contains(fileName: string): Promise<boolean> {
+    const normalized = normalizeFileName(fileName);
+    return normalized ? (await this.resolveInFolders(normalized)) !== null : false;
+  }
+
+  private async resolveInFolders(normalized: string): Promise<vscode.Uri | null> {
+    if (path.isAbsolute(normalized)) {
+      const uri = vscode.Uri.file(normalized);
+      if (isInWorkspace(uri) && (await exists(uri))) {
+        return uri;
+      }
+    }
+
+    // joinPath normalizes `..`, so a name that climbs out of the folder ends up outside it
+    const relative = normalized.replace(/^[/\\]+/, '');
+    for (const folder of vscode.workspace.workspaceFolders ?? []) {
+      const candidate = vscode.Uri.joinPath(folder.uri, relative);
+      if (isInWorkspace(candidate) && (await exists(candidate))) {
+        return candidate;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Open the file and put the cursor on the reported line/column
+   */
+  async reveal(location: SourceLocation): Promise<vscode.Uri | null> {
+    const uri = await this.resolve(location.fileName);
+    if (!uri) {
+      return null;
+    }
+
+    const line = Math.max(0, (location.lineNumber ?? 1) - 1);
+    const character = Math.max(0, (location.columnNumber ?? 1) - 1);
+    const position = new vscode.Position(line, character);
+
+    const editor = await vscode.window.showTextDocument(uri, {
+      selection: new vscode.Range(position, position),
+      preview: false,
+    });
+    editor.revealRange(new vscode.Range(position, position), vscode.TextEditorRevealType.InCenter);
+
+    return uri;
+  }
+
+  /**
+   * Read the code around a source location. In `component` mode this is the outermost
+   * definition containing the line, as reported by the language's symbol provider;
+   * otherwise (or when no symbol is found) `contextLines` lines either side of it.
+   * Only files inside a workspace folder are read, as the snippet goes into the AI prompt.
+   */
+  async readSnippet(
+    location: SourceLocation,
+    mode: Exclude<SourceContextMode, 'off'>,
+    contextLines: number
+  ): Promise<SourceSnippet | null> {
+    const uri = await this.resolve(location.fileName);
+    if (!uri || !isInWorkspace(uri)) {
+      return null;
+    }
+
+    const document = await vscode.workspace.openTextDocument(uri);
+    const line = Math.min(Math.max(0, (location.lineNumber ?? 1) - 1), document.lineCount - 1);
+
+    let range =
+      mode === 'component' ? await this.findEnclosingDefinition(uri, new vscode.Position(line, 0)) : null;
+
+    if (!range) {
+      range = new vscode.Range(
+        Math.max(0, line - contextLines),
+        0,
+        Math.min(document.lineCount - 1, line + contextLines),
+        0
+      );
+    }
+
+    const lastLine = document.lineAt(range.end.line);
+    return {
+      uri,
+      startLine: range.start.line + 1,
+      endLine: range.end.line + 1,
+      language: document.languageId,
+      code: document.getText(new vscode.Range(range.start.line, 0, lastLine.lineNumber, lastLine.text.length)),
+    };
+  }
+
+  private async findEnclosingDefinition(
+    uri: vscode.Uri,
+    position: vscode.Position
+  ): Promise<vscode.Range | null> {
+    const symbols = await vscode.commands.executeCommand<
+      (vscode.DocumentSymbol | vscode.SymbolInformation)[] | undefined
+    >('vscode.executeDocumentSymbolProvider', uri);
+
+    let best: vscode.Range | null = null;
+    for (const symbol of symbols ?? []) {
+      const range = 'range' in symbol ? symbol.range : symbol.location.range;
+      if (!DEFINITION_SYMBOL_KINDS.includes(symbol.kind) || !range.contains(position)) {
+        continue;
+      }
+      if (!best || range.contains(best)) {
+        best = range;
+      }
+    }
+
+    if (best && best.end.line - best.start.line + 1 > MAX_DEFINITION_LINES) {
+      this.logger.info(`Enclosing definition in ${uri.fsPath} is too long, using a line window`);
+      return null;
+    }
+    return best;
+  }
+
+  private async findBySuffix(normalized: string): Promise<vscode.Uri | null> {
+    const segments = normalized.split(/[/\\]+/).filter(Boolean);
+    const baseName = segments[segments.length - 1];
+    if (!baseName) {
+      return null;
+    }
+
+    const matches = await vscode.workspace.findFiles(`**/${baseName}`, '**/node_modules/**', 50);
+
+    let best: vscode.Uri | null = null;
+    let bestScore = 0;
+
+    for (const uri of matches) {
+      const candidateSegments = uri.fsPath.split(/[/\\]+/);
+      let score = 0;
+      while (
+        score < segments.length &&
+        score < candidateSegments.length &&
+        segments[segments.length - 1 - score] ===
+          candidateSegments[candidateSegments.length - 1 - score]
+      ) {
+        score++;
+      }
+
+      if (score > bestScore) {
+        best = uri;
+        bestScore = score;
+      }
+    }
+
+    if (best) {
+      this.logger.info(`Resolved ${normalized} to ${best.fsPath} by file name search`);
+    }
+    return best;
+  }
+}
+
+/**
+ * Strip URL schemes, bundler prefixes and query strings from a reported file name
+ */
+function normalizeFileName(fileName: string): string {
+  let normalized = fileName.trim();
+
+  if (normalized.startsWith('file://')) {
+    try {
+      return vscode.Uri.parse(normalized).fsPath;
+    } catch {
+      normalized = normalized.slice('file://'.length);
+    }
+  }
+
+  return normalized
+    .replace(/^webpack:\/\/[^/]*\//, '')
+    .replace(/^https?:\/\/[^/]+/, '')
+    .replace(/^\/@fs(?=\/)/, '')
+    .replace(/[?#].*$/, '')
+    .replace(/^\.\//, '');
+}
+
+/**
+ * Whether the file is inside one of the open workspace folders
+ */
+export function isInWorkspace(uri: vscode.Uri): boolean {
+  return vscode.workspace.getWorkspaceFolder(uri) !== undefined;
+}
+
+async function exists(uri: vscode.Uri): Promise<boolean> {
+  try {
+    await vscode.workspace.fs.stat(uri);
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -1,43 +1,59 @@
 import { WebSocketServer as WSServer, WebSocket } from 'ws';
+import type { IncomingMessage } from 'http';
 import * as vscode from 'vscode';
 import { CopilotIntegration } from './copilot-integration';
 import { StatusBarManager } from './status-bar';
+import { isOriginAllowed } from './pairing';
+import type { PairingManager } from './pairing';
+import type { ClaudeCliRunner } from './claude-cli-runner';
+import type { ElementContextBuilder } from './element-context';
+import type { GrabHistory } from './grab-history';
+import type { PromptTemplateStore } from './prompt-templates';
+import type { ScreenshotStore } from './screenshot-store';
+import type { SourceLocator } from './source-locator';
+import {
+  LEGACY_CLIENT_MESSAGE_TYPES,
+  MAX_PAYLOAD_SIZE,
+  MAX_PROMPT_ELEMENTS,
+  PROTOCOL_VERSION,
+} from './protocol';
+import type {
+  BrowserMessageType,
+  ClientCapabilities,
+  MessageFromBrowser,
+  MessageToBrowser,
+  ServerCapabilities,
+} from './protocol';
 import { Logger } from './utils/logger';
 
-interface MessageFromBrowser {
-  type: 'prompt' | 'ping' | 'element-context';
-  prompt?: string;
-  target?: 'copilot' | 'claude'; // Which AI assistant to use
-  elementInfo?: {
-    tagName: string;
-    className: string;
-    id: string;
-    props?: Record<string, unknown>;
-    componentName?: string;
-    path?: string;
-    jsx?: string;
-    filePath?: string;
-    markdownContext?: string; // Full markdown context from react-grab
-  };
-  timestamp: number;
-}
-
-interface MessageToBrowser {
-  type: 'success' | 'error' | 'pong' | 'status';
-  message?: string;
-  timestamp: number;
-  workspace?: {
-    name: string;
-    path: string;
-    port: number;
-  };
-}
+const UNPAIRED_MESSAGE =
+  'This browser is not paired with VSCode. Run "React Grab: Pair Browser Extension" in VSCode and enter the code in the extension popup.';
+
+// Message types this server handles, advertised to the browser in `status`
+const SUPPORTED_MESSAGE_TYPES: BrowserMessageType[] = [
+  'hello',
+  'prompt',
+  'ping',
+  'element-context',
+  'pair',
+  'auth',
+  'open-in-editor',
+  'locate-source',
+  'cancel',
+];
+
+// Messages that unpaired clients are allowed to send
+const UNAUTHENTICATED_MESSAGE_TYPES: BrowserMessageType[] = ['hello', 'ping', 'pair', 'auth'];
 
 export class WebSocketServer {
   private wss: WSServer | null = null;
   private clients: Set<WebSocket> = new Set();
+  private authenticatedClients: WeakSet<WebSocket> = new WeakSet();
+  private clientCapabilities: WeakMap<WebSocket, ClientCapabilities> = new WeakMap();
+  private activeRuns: Map<string, WebSocket> = new Map(); // Headless CLI runs by requestId
   private running = false;
   private activePort: number | null = null;
+  private lastAvailability: string | null = null; // Last availability sent, to only broadcast changes
 
   // Supported ports for multi-instance support
   private static readonly PORTS = [9765, 9766, 9767, 9768, 9769];
@@ -46,7 +62,14 @@ export class WebSocketServer {
     private port: number,
     private logger: Logger,
     private copilotIntegration: CopilotIntegration,
-    private statusBar: StatusBarManager
+    private statusBar: StatusBarManager,
+    private pairing: PairingManager,
+    private sourceLocator: SourceLocator,
+    private contextBuilder: ElementContextBuilder,
+    private history: GrabHistory,
+    private templates: PromptTemplateStore,
+    private claudeRunner: ClaudeCliRunner,
+    private screenshots: ScreenshotStore
   ) {}
 
   async start(): Promise<void> {
@@ -97,10 +120,10 @@ export class WebSocketServer {
   private tryStartOnPort(port: number): Promise<void> {
     return new Promise((resolve, reject) => {
       try {
-        const wss = new WSServer({ port });
+        const wss = new WSServer({ port, maxPayload: MAX_PAYLOAD_SIZE });
 
-        wss.on('connection', (ws: WebSocket) => {
-          this.handleConnection(ws);
+        wss.on('connection', (ws: WebSocket, request: IncomingMessage) => {
+          this.handleConnection(ws, request);
         });
 
         wss.on('listening', () => {
@@ -156,9 +179,73 @@ export class WebSocketServer {
     return this.clients.size;
   }
 
-  private handleConnection(ws: WebSocket): void {
+  /**
+   * Push the current prompt templates to every authenticated client
+   */
+  async broadcastTemplates(): Promise<void> {
+    const templates = await this.templates.getTemplates();
+    this.clients.forEach((ws) => {
+      if (this.authenticatedClients.has(ws)) {
+        this.sendMessage(ws, { type: 'templates', templates, timestamp: Date.now() });
+      }
+    });
+  }
+
+  /**
+   * Tell every authenticated client which AI targets are available, if that changed since it was last sent
+   */
+  async broadcastAvailability(): Promise<void> {
+    const availability = await this.copilotIntegration.getTargetAvailability();
+    const serialized = JSON.stringify(availability);
+    if (serialized === this.lastAvailability) {
+      return;
+    }
+
+    this.lastAvailability = serialized;
+    this.clients.forEach((ws) => {
+      if (this.authenticatedClients.has(ws)) {
+        this.sendMessage(ws, { type: 'availability', availability, timestamp: Date.now() });
+      }
+    });
+  }
+
+  /**
+   * Drop every connection so clients have to authenticate again (e.g. after revoking pairings)
+   */
+  disconnectAll(): void {
+    this.clients.forEach((ws) => {
+      ws.close();
+    });
+  }
+
+  private isPairingRequired(): boolean {
+    return vscode.workspace.getConfiguration('reactGrabCopilot').get<boolean>('requirePairing', true);
+  }
+
+  private handleConnection(ws: WebSocket, request: IncomingMessage): void {
+    const config = vscode.workspace.getConfiguration('reactGrabCopilot');
+    const allowedOrigins = config.get<string[]>('allowedOrigins', []);
+    const origin = request.headers.origin;
+
+    if (!isOriginAllowed(origin, allowedOrigins)) {
+      this.logger.warn(`Rejected connection from disallowed origin: ${origin}`);
+      this.sendMessage(ws, {
+        type: 'error',
+        code: 'origin-not-allowed',
+        message: `Origin ${origin} is not allowed. Add it to "reactGrabCopilot.allowedOrigins" in VSCode settings.`,
+        timestamp: Date.now(),
+      });
+      ws.close(1008, 'Origin not allowed');
+      return;
+    }
+
+    const pairingRequired = this.isPairingRequired();
+    if (!pairingRequired) {
+      this.authenticatedClients.add(ws);
+    }
+
     this.clients.add(ws);
-    this.logger.info('New client connected');
+    this.logger.info(`New client connected${origin ? ` from ${origin}` : ''}`);
     this.statusBar.updateStatus('running', this.clients.size);
 
     // Send initial status with workspace info
@@ -169,6 +256,10 @@ export class WebSocketServer {
     this.sendMessage(ws, {
       type: 'status',
       message: 'Connected to React Grab VSCode Extension',
+      paired: !pairingRequired,
+      pairingRequired,
+      protocolVersion: PROTOCOL_VERSION,
+      capabilities: this.getCapabilities(),
       timestamp: Date.now(),
       workspace: {
         name: workspaceName,
@@ -193,6 +284,7 @@ export class WebSocketServer {
 
     ws.on('close', () => {
       this.clients.delete(ws);
+      this.cancelRunsFor(ws);
       this.logger.info('Client disconnected');
       this.statusBar.updateStatus('running', this.clients.size);
     });
@@ -214,16 +306,47 @@ export class WebSocketServer {
   }
 
   private async handleMessage(ws: WebSocket, message: MessageFromBrowser): Promise<void> {
-    this.logger.info(`Received message type: ${message.type}`);
+    this.logger.info(
+      `Received message type: ${message.type}${message.requestId ? ` (${message.requestId})` : ''}`
+    );
+
+    if (!this.authenticatedClients.has(ws) && !UNAUTHENTICATED_MESSAGE_TYPES.includes(message.type)) {
+      this.sendMessage(ws, {
+        type: 'error',
+        requestId: message.requestId,
+        code: 'unauthorized',
+        message: UNPAIRED_MESSAGE,
+        timestamp: Date.now(),
+      });
+      return;
+    }
 
     switch (message.type) {
+      case 'hello':
+        await this.handleHelloMessage(ws, message);
+        break;
+
+      case 'pair':
+        await this.handlePairMessage(ws, message);
+        break;
+
+      case 'auth':
+        await this.handleAuthMessage(ws, message);
+        break;
+
       case 'prompt':
+        this.sendMessage(ws, {
+          type: 'received',
+          requestId: message.requestId,
+          timestamp: Date.now(),
+        });
         await this.handlePromptMessage(ws, message);
         break;
 
       case 'ping':
         this.sendMessage(ws, {
           type: 'pong',
+          requestId: message.requestId,
           timestamp: Date.now(),
         });
         break;
@@ -232,46 +355,192 @@ export class WebSocketServer {
         await this.handleElementContextMessage(ws, message);
         break;
 
+      case 'cancel':
+        this.handleCancelMessage(ws, message);
+        break;
+
+      case 'open-in-editor':
+        this.sendMessage(ws, {
+          type: 'received',
+          requestId: message.requestId,
+          timestamp: Date.now(),
+        });
+        await this.handleOpenInEditorMessage(ws, message);
+        break;
+
+      case 'locate-source':
+        await this.handleLocateSourceMessage(ws, message);
+        break;
+
       default:
         this.logger.warn(`Unknown message type: ${message.type}`);
         this.sendMessage(ws, {
           type: 'error',
-          message: `Unknown message type: ${message.type}`,
+          requestId: message.requestId,
+          code: 'unsupported',
+          message: `Unknown message type: ${(message as { type: string }).type}`,
           timestamp: Date.now(),
         });
     }
   }
 
+  private getCapabilities(): ServerCapabilities {
+    return {
+      targets: ['copilot', 'claude'],
+      streamingTargets: this.claudeRunner.isHeadless() ? ['claude'] : [],
+      messageTypes: SUPPORTED_MESSAGE_TYPES,
+      maxPayloadSize: MAX_PAYLOAD_SIZE,
+      maxElements: MAX_PROMPT_ELEMENTS,
+      screenshots: true,
+    };
+  }
+
+  private async handleHelloMessage(ws: WebSocket, message: MessageFromBrowser): Promise<void> {
+    const version = message.protocolVersion ?? 1;
+    this.logger.info(`Browser extension speaks protocol v${version} (server v${PROTOCOL_VERSION})`);
+
+    if (message.capabilities?.messageTypes) {
+      this.clientCapabilities.set(ws, message.capabilities);
+    }
+
+    // Clients that did not need to pair are already authenticated by now
+    if (this.authenticatedClients.has(ws)) {
+      await this.sendTemplates(ws);
+      await this.sendAvailability(ws);
+    }
+  }
+
+  private async sendTemplates(ws: WebSocket): Promise<void> {
+    this.sendMessage(ws, {
+      type: 'templates',
+      templates: await this.templates.getTemplates(),
+      timestamp: Date.now(),
+    });
+  }
+
+  private async sendAvailability(ws: WebSocket): Promise<void> {
+    const availability = await this.copilotIntegration.getTargetAvailability();
+    this.lastAvailability = JSON.stringify(availability);
+    this.sendMessage(ws, { type: 'availability', availability, timestamp: Date.now() });
+  }
+
+  private async handlePairMessage(ws: WebSocket, message: MessageFromBrowser): Promise<void> {
+    const token = message.code ? await this.pairing.redeemCode(message.code) : null;
+
+    if (!token) {
+      this.logger.warn('Rejected invalid or expired pairing code');
+      this.sendMessage(ws, {
+        type: 'error',
+        requestId: message.requestId,
+        code: 'invalid-pairing-code',
+        message: 'Invalid or expired pairing code. Generate a new one in VSCode and try again.',
+        timestamp: Date.now(),
+      });
+      return;
+    }
+
+    this.authenticatedClients.add(ws);
+    this.logger.info('Browser extension paired');
+
+    this.sendMessage(ws, {
+      type: 'paired',
+      requestId: message.requestId,
+      token,
+      message: 'Browser extension paired with VSCode',
+      timestamp: Date.now(),
+    });
+    await this.sendTemplates(ws);
+    await this.sendAvailability(ws);
+  }
+
+  private async handleAuthMessage(ws: WebSocket, message: MessageFromBrowser): Promise<void> {
+    if (!message.token || !this.pairing.isValidToken(message.token)) {
+      this.sendMessage(ws, {
+        type: 'error',
+        requestId: message.requestId,
+        code: 'unauthorized',
+        message: UNPAIRED_MESSAGE,
+        timestamp: Date.now(),
+      });
+      return;
+    }
+
+    this.authenticatedClients.add(ws);
+
+    this.sendMessage(ws, {
+      type: 'paired',
+      requestId: message.requestId,
+      timestamp: Date.now(),
+    });
+    await this.sendTemplates(ws);
+    await this.sendAvailability(ws);
+  }
+
   private async handlePromptMessage(ws: WebSocket, message: MessageFromBrowser): Promise<void> {
     if (!message.prompt) {
       this.sendMessage(ws, {
         type: 'error',
+        requestId: message.requestId,
         message: 'No prompt provided',
         timestamp: Date.now(),
       });
       return;
     }
 
+    if (message.elements && message.elements.length > MAX_PROMPT_ELEMENTS) {
+      this.sendMessage(ws, {
+        type: 'error',
+        requestId: message.requestId,
+        message: `Too many components (at most ${MAX_PROMPT_ELEMENTS} per prompt)`,
+        timestamp: Date.now(),
+      });
+      return;
+    }
+
     const config = vscode.workspace.getConfiguration('reactGrabCopilot');
     const showNotifications = config.get<boolean>('showNotifications', true);
 
-    let finalPrompt = message.prompt;
-
     // Always include element context if available (markdownContext from browser)
-    if (message.elementInfo) {
-      const context = this.formatElementContext(message.elementInfo);
-      if (context) {
-        finalPrompt = `${context}\n\n---\n\n**User Request:** ${message.prompt}`;
-      }
-    }
+    const elements = message.elements?.length ? message.elements : undefined;
+    const screenshot = message.screenshot ? await this.saveScreenshot(message) : null;
+    const finalPrompt = await this.contextBuilder.buildPrompt(
+      message.prompt,
+      elements ?? message.elementInfo,
+      screenshot ?? undefined
+    );
 
     // Determine which AI assistant to use
     const target = message.target || 'copilot';
+
+    const elementInfo = elements?.[0] ?? message.elementInfo;
+    if (elementInfo) {
+      await this.history.add({
+        grabId: message.grabId,
+        elementInfo,
+        elements: elements && elements.length > 1 ? elements : undefined,
+        pageUrl: message.pageUrl,
+        target,
+        prompt: message.prompt,
+      });
+    }
     const targetName = target === 'claude' ? 'Claude Code' : 'Copilot Chat';
 
+    if (target === 'claude' && this.claudeRunner.isHeadless()) {
+      await this.runClaudeHeadless(ws, message, finalPrompt);
+      return;
+    }
+
+    this.sendMessage(ws, {
+      type: 'dispatched',
+      requestId: message.requestId,
+      target,
+      message: `Sending prompt to ${targetName}`,
+      timestamp: Date.now(),
+    });
+
     try {
       // Execute prompt in the selected AI assistant
-      await this.copilotIntegration.executePrompt(finalPrompt, target);
+      await this.copilotIntegration.executePrompt(finalPrompt, target, screenshot ? [screenshot] : []);
 
       if (showNotifications) {
         vscode.window.showInformationMessage(`Prompt sent to ${targetName}`);
@@ -279,7 +548,9 @@ export class WebSocketServer {
 
       this.sendMessage(ws, {
         type: 'success',
-        message: 'Prompt executed successfully',
+        requestId: message.requestId,
+        target,
+        message: `Prompt sent to ${targetName}`,
         timestamp: Date.now(),
       });
     } catch (error) {
@@ -287,7 +558,10 @@ export class WebSocketServer {
 
       this.sendMessage(ws, {
         type: 'error',
+        requestId: message.requestId,
+        target,
         message: `Failed to execute prompt in ${targetName}`,
+        reason: error instanceof Error ? error.message : String(error),
         timestamp: Date.now(),
       });
 
@@ -297,72 +571,207 @@ export class WebSocketServer {
     }
   }
 
-  private async handleElementContextMessage(
+  private async saveScreenshot(message: MessageFromBrowser): Promise<vscode.Uri | null> {
+    try {
+      const componentName = message.elementInfo?.componentName ?? message.elements?.[0]?.componentName;
+      return await this.screenshots.save(message.screenshot ?? '', componentName);
+    } catch (error) {
+      // The prompt is still worth sending without it
+      this.logger.error('Failed to save screenshot', error);
+      return null;
+    }
+  }
+
+  /**
+   * Run the prompt through `claude -p` and stream its output back to the requesting client
+   */
+  private async runClaudeHeadless(
     ws: WebSocket,
-    message: MessageFromBrowser
+    message: MessageFromBrowser,
+    prompt: string
   ): Promise<void> {
-    if (!message.elementInfo) {
+    const runId = message.requestId ?? `run-${Date.now()}`;
+    this.activeRuns.set(runId, ws);
+
+    this.sendMessage(ws, {
+      type: 'dispatched',
+      requestId: message.requestId,
+      target: 'claude',
+      message: 'Running Claude Code CLI',
+      streaming: true,
+      timestamp: Date.now(),
+    });
+
+    const result = await this.claudeRunner.run(runId, prompt, (output) => {
+      this.sendMessage(ws, {
+        type: 'output',
+        requestId: message.requestId,
+        target: 'claude',
+        output,
+        timestamp: Date.now(),
+      });
+    });
+    this.activeRuns.delete(runId);
+
+    if (result.cancelled) {
       this.sendMessage(ws, {
         type: 'error',
-        message: 'No element context provided',
+        requestId: message.requestId,
+        target: 'claude',
+        message: 'Claude Code run cancelled',
+        reason: 'Cancelled',
+        exitCode: result.exitCode,
+        timestamp: Date.now(),
+      });
+    } else if (result.error) {
+      this.logger.error(`Claude CLI failed: ${result.error}`);
+      this.sendMessage(ws, {
+        type: 'error',
+        requestId: message.requestId,
+        target: 'claude',
+        message: 'Claude Code CLI failed',
+        reason: result.error,
+        exitCode: result.exitCode,
+        timestamp: Date.now(),
+      });
+    } else {
+      this.sendMessage(ws, {
+        type: 'success',
+        requestId: message.requestId,
+        target: 'claude',
+        message: 'Claude Code finished',
+        exitCode: result.exitCode,
         timestamp: Date.now(),
       });
+    }
+  }
+
+  private handleCancelMessage(ws: WebSocket, message: MessageFromBrowser): void {
+    // Clients may only stop their own runs
+    if (!message.requestId || this.activeRuns.get(message.requestId) !== ws) {
       return;
     }
 
-    // Store element context for potential use
-    this.logger.info('Received element context', message.elementInfo);
+    this.logger.info(`Cancelling Claude CLI run ${message.requestId}`);
+    this.claudeRunner.cancel(message.requestId);
+  }
 
-    this.sendMessage(ws, {
-      type: 'success',
-      message: 'Element context received',
-      timestamp: Date.now(),
+  private cancelRunsFor(ws: WebSocket): void {
+    this.activeRuns.forEach((owner, runId) => {
+      if (owner === ws) {
+        this.claudeRunner.cancel(runId);
+      }
     });
   }
 
-  private formatElementContext(elementInfo: MessageFromBrowser['elementInfo']): string {
-    if (!elementInfo) return '';
-
-    // If markdown context is provided from react-grab, use it directly
-    if (elementInfo.markdownContext) {
-      return elementInfo.markdownContext;
+  private async handleOpenInEditorMessage(ws: WebSocket, message: MessageFromBrowser): Promise<void> {
+    if (!message.source?.fileName) {
+      this.sendMessage(ws, {
+        type: 'error',
+        requestId: message.requestId,
+        message: 'No source location provided',
+        timestamp: Date.now(),
+      });
+      return;
     }
 
-    // Fallback to constructing context manually
-    let context = `## ${elementInfo.componentName || 'Unknown'}\n\n`;
+    const { fileName, lineNumber } = message.source;
+    const label = `${fileName.split(/[/\\]/).pop()}${lineNumber ? `:${lineNumber}` : ''}`;
 
-    if (elementInfo.filePath) {
-      context += `**Source:** \`${elementInfo.filePath}\`\n\n`;
-    }
+    try {
+      const uri = await this.sourceLocator.reveal(message.source);
+      if (!uri) {
+        this.sendMessage(ws, {
+          type: 'error',
+          requestId: message.requestId,
+          message: `Could not open ${label}`,
+          reason: `${fileName} was not found in the open workspace`,
+          timestamp: Date.now(),
+        });
+        return;
+      }
 
-    if (elementInfo.jsx) {
-      context += `### JSX\n\`\`\`jsx\n${elementInfo.jsx}\n\`\`\`\n\n`;
-    }
+      this.sendMessage(ws, {
+        type: 'success',
+        requestId: message.requestId,
+        message: `Opened ${label}`,
+        timestamp: Date.now(),
+      });
+    } catch (error) {
+      this.logger.error(`Failed to open ${fileName}`, error);
 
-    if (elementInfo.path) {
-      context += `**Element Path:** \`${elementInfo.path}\`\n\n`;
+      this.sendMessage(ws, {
+        type: 'error',
+        requestId: message.requestId,
+        message: `Could not open ${label}`,
+        reason: error instanceof Error ? error.message : String(error),
+        timestamp: Date.now(),
+      });
     }
+  }
 
-    if (elementInfo.props && Object.keys(elementInfo.props).length > 0) {
-      context += `### Props\n\`\`\`json\n${JSON.stringify(elementInfo.props, null, 2)}\n\`\`\`\n\n`;
+  // Relative file names like `src/App.tsx` could be in any workspace; the browser asks
+  // each one before routing a prompt by them
+  private async handleLocateSourceMessage(ws: WebSocket, message: MessageFromBrowser): Promise<void> {
+    const fileNames = (message.fileNames ?? [])
+      .filter((fileName) => typeof fileName === 'string')
+      .slice(0, MAX_PROMPT_ELEMENTS);
+    const found: string[] = [];
+    for (const fileName of fileNames) {
+      if (await this.sourceLocator.contains(fileName)) {
+        found.push(fileName);
+      }
     }
 
-    context += `### Element Info\n`;
-    context += `- **Tag:** \`${elementInfo.tagName}\`\n`;
+    this.sendMessage(ws, {
+      type: 'success',
+      requestId: message.requestId,
+      found,
+      timestamp: Date.now(),
+    });
+  }
 
-    if (elementInfo.id) {
-      context += `- **ID:** \`${elementInfo.id}\`\n`;
-    }
-    if (elementInfo.className) {
-      context += `- **Classes:** \`${elementInfo.className}\`\n`;
+  private async handleElementContextMessage(
+    ws: WebSocket,
+    message: MessageFromBrowser
+  ): Promise<void> {
+    if (!message.elementInfo) {
+      this.sendMessage(ws, {
+        type: 'error',
+        requestId: message.requestId,
+        message: 'No element context provided',
+        timestamp: Date.now(),
+      });
+      return;
     }
 
-    return context;
+    this.logger.info(`Received element context for ${message.elementInfo.componentName ?? 'element'}`);
+    await this.history.add({
+      grabId: message.grabId,
+      elementInfo: message.elementInfo,
+      pageUrl: message.pageUrl,
+    });
+
+    this.sendMessage(ws, {
+      type: 'success',
+      requestId: message.requestId,
+      message: 'Element context received',
+      timestamp: Date.now(),
+    });
   }
 
   private sendMessage(ws: WebSocket, message: MessageToBrowser): void {
-    if (ws.readyState === WebSocket.OPEN) {
-      ws.send(JSON.stringify(message));
+    if (ws.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    // Don't send replies an older browser extension would not understand
+    const supported = this.clientCapabilities.get(ws)?.messageTypes ?? LEGACY_CLIENT_MESSAGE_TYPES;
+    if (!supported.includes(message.type)) {
+      this.logger.debug(`Skipping '${message.type}' message unsupported by client`);
+      return;
     }
+
+    ws.send(JSON.stringify(message));
   }
-}
\ No newline at end of file
+}